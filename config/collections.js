@@ -10,6 +10,16 @@ const COLLECTIONS = {
   PAYMENTS: "payments",
   WISHLISTS: "wishlists",
   REVIEWS: "reviews",
+  BOOK_REVISIONS: "bookRevisions",
+  CATEGORIES: "categories",
+  AUTHORS: "authors",
+  BOOK_SALES_DAILY: "bookSalesDaily",
+  SALE_PRICES: "salePrices",
+  PRICE_HISTORY: "priceHistory",
+  STOCK_SUBSCRIPTIONS: "stockSubscriptions",
+  NOTIFICATIONS: "notifications",
+  SERIES: "series",
+  CARTS: "carts",
 };
 
 module.exports = COLLECTIONS;
@@ -0,0 +1,519 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { publicBookFilter } = require("../utils/bookQuery");
+const { escapeRegex } = require("../utils/search");
+const { withAvailability } = require("../utils/inventory");
+const { withSalePrices } = require("../utils/pricing");
+const {
+  authorSlug,
+  resolveAuthor,
+  syncBookAuthorNames,
+} = require("../utils/authors");
+const { diffBook, recordRevisions } = require("../utils/bookRevisions");
+const Author = require("../models/Author");
+
+/**
+ * Load the credits of the books linked to some authors, before a bulk change
+ * @param {ObjectId[]} authorIds - Authors about to change
+ * @returns {Promise<Array>} Books ({ _id, authors, author })
+ */
+const findCreditedBooks = (authorIds) =>
+  getCollection(COLLECTIONS.BOOKS)
+    .find(
+      { authors: { $in: authorIds } },
+      { projection: { authors: 1, author: 1 } }
+    )
+    .toArray();
+
+/**
+ * Record a revision on every book whose credits a bulk change updated, so
+ * the book's history (and reverts) account for it
+ * @param {Array} before - Books as loaded by findCreditedBooks
+ * @param {Object} user - Acting user (req.user)
+ * @returns {Promise<void>}
+ */
+const recordCreditChanges = async (before, user) => {
+  if (before.length === 0) return;
+
+  const after = await getCollection(COLLECTIONS.BOOKS)
+    .find(
+      { _id: { $in: before.map((book) => book._id) } },
+      { projection: { authors: 1, author: 1 } }
+    )
+    .toArray();
+  const previous = new Map(before.map((book) => [book._id.toString(), book]));
+
+  await recordRevisions(
+    after.map((book) => ({
+      bookId: book._id,
+      action: "author",
+      changes: diffBook(previous.get(book._id.toString()), book, [
+        "authors",
+        "author",
+      ]),
+      user,
+    }))
+  );
+};
+
+/**
+ * Find another author already using one of the given slugs as its slug or alias
+ * @param {string[]} slugs - Slugs to check
+ * @param {ObjectId|null} excludeId - Author to ignore (the one being edited)
+ * @returns {Promise<Object|null>} Conflicting author or null
+ */
+const findSlugConflict = (slugs, excludeId = null) => {
+  const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+  const query = {
+    $or: [{ slug: { $in: slugs } }, { aliases: { $in: slugs } }],
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return authorsCollection.findOne(query);
+};
+
+/**
+ * List authors (optionally searching by name), with published book counts
+ * @route GET /api/authors
+ * @access Public
+ */
+const getAuthors = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search = "" } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = search.trim()
+      ? { name: { $regex: escapeRegex(search.trim()), $options: "i" } }
+      : {};
+
+    const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+
+    const [totalCount, authors] = await Promise.all([
+      authorsCollection.countDocuments(query),
+      authorsCollection
+        .aggregate([
+          { $match: query },
+          { $sort: { name: 1 } },
+          { $skip: skip },
+          { $limit: limitNum },
+          {
+            $lookup: {
+              from: COLLECTIONS.BOOKS,
+              localField: "_id",
+              foreignField: "authors",
+              as: "publishedBooks",
+              pipeline: [
+                { $match: publicBookFilter() },
+                { $project: { _id: 1 } },
+              ],
+            },
+          },
+          { $addFields: { bookCount: { $size: "$publishedBooks" } } },
+          { $project: { publishedBooks: 0 } },
+        ])
+        .toArray(),
+    ]);
+
+    return successResponse(
+      res,
+      {
+        authors,
+        totalCount,
+        page: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+      },
+      "Authors retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting authors:", error);
+    return errorResponse(res, "Failed to get authors", 500, error.message);
+  }
+};
+
+/**
+ * Get an author page: bio plus their published books (paginated)
+ * Also resolves slugs and merged misspellings
+ * @route GET /api/authors/:id
+ * @access Public
+ */
+const getAuthorById = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const author = await resolveAuthor(req.params.id);
+
+    if (!author) {
+      return errorResponse(res, "Author not found", 404);
+    }
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 10;
+    const skip = (pageNum - 1) * limitNum;
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const query = { ...publicBookFilter(), authors: author._id };
+
+    const [totalCount, books] = await Promise.all([
+      booksCollection.countDocuments(query),
+      booksCollection
+        .find(query, {
+          projection: {
+            name: 1,
+            author: 1,
+            authors: 1,
+            imageURL: 1,
+            coverImage: 1,
+            price: 1,
+            quantity: 1,
+            category: 1,
+            categoryId: 1,
+            isbn13: 1,
+            createdAt: 1,
+          },
+        })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .toArray(),
+    ]);
+
+    return successResponse(
+      res,
+      {
+        author,
+        books: (await withSalePrices(books)).map(withAvailability),
+        totalCount,
+        page: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+      },
+      "Author retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting author:", error);
+    return errorResponse(res, "Failed to get author", 500, error.message);
+  }
+};
+
+/**
+ * Create an author
+ * @route POST /api/authors
+ * @access Librarian/Admin only
+ */
+const createAuthor = async (req, res) => {
+  try {
+    const errors = Author.validate(req.body);
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const author = new Author({
+      name: req.body.name,
+      bio: req.body.bio,
+      photoURL: req.body.photoURL,
+      aliases: req.body.aliases,
+      createdBy: req.user._id,
+    });
+    author.aliases = author.aliases.filter((alias) => alias !== author.slug);
+
+    const conflict = await findSlugConflict([author.slug, ...author.aliases]);
+    if (conflict) {
+      return errorResponse(
+        res,
+        `The name or an alias is already used by author '${conflict.name}'`,
+        409
+      );
+    }
+
+    const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+    const result = await authorsCollection.insertOne(author);
+
+    return successResponse(
+      res,
+      { _id: result.insertedId, ...author },
+      "Author created successfully",
+      201
+    );
+  } catch (error) {
+    console.error("❌ Error creating author:", error);
+    if (error.code === 11000) {
+      return errorResponse(res, "An author with this name already exists", 409);
+    }
+    return errorResponse(res, "Failed to create author", 500, error.message);
+  }
+};
+
+/**
+ * Update an author's name, bio, photo or aliases
+ * Renaming keeps the old slug as an alias and refreshes the author names
+ * shown on their books
+ * @route PUT /api/authors/:id
+ * @access Librarian/Admin only
+ */
+const updateAuthor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid author ID format", 400);
+    }
+
+    const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+    const author = await authorsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!author) {
+      return errorResponse(res, "Author not found", 404);
+    }
+
+    const { name, bio, photoURL, aliases } = req.body;
+    const errors = Author.validate({
+      name: name === undefined ? author.name : name,
+      bio,
+      aliases,
+    });
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const updateData = {};
+    if (bio !== undefined) updateData.bio = bio.trim();
+    if (photoURL !== undefined) updateData.photoURL = photoURL || null;
+
+    let nextAliases =
+      aliases === undefined
+        ? author.aliases
+        : aliases.map(authorSlug).filter(Boolean);
+
+    if (name !== undefined && name.trim() !== author.name) {
+      updateData.name = name.trim();
+      updateData.slug = authorSlug(name);
+      if (updateData.slug !== author.slug) {
+        nextAliases = [...nextAliases, author.slug];
+      }
+    }
+
+    const slug = updateData.slug || author.slug;
+    nextAliases = [...new Set(nextAliases)].filter((alias) => alias !== slug);
+    if (name !== undefined || aliases !== undefined) {
+      updateData.aliases = nextAliases;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return errorResponse(res, "No valid fields to update", 400);
+    }
+
+    const conflict = await findSlugConflict([slug, ...nextAliases], author._id);
+    if (conflict) {
+      return errorResponse(
+        res,
+        `The name or an alias is already used by author '${conflict.name}'`,
+        409
+      );
+    }
+
+    updateData.updatedAt = new Date();
+
+    await authorsCollection.updateOne(
+      { _id: author._id },
+      { $set: updateData }
+    );
+
+    if (updateData.name) {
+      const creditedBooks = await findCreditedBooks([author._id]);
+      await syncBookAuthorNames([author._id]);
+      await recordCreditChanges(creditedBooks, req.user);
+    }
+
+    return successResponse(
+      res,
+      { ...author, ...updateData },
+      "Author updated successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error updating author:", error);
+    if (error.code === 11000) {
+      return errorResponse(res, "An author with this name already exists", 409);
+    }
+    return errorResponse(res, "Failed to update author", 500, error.message);
+  }
+};
+
+/**
+ * Merge duplicate authors (e.g. misspellings) into this author
+ * Books are re-linked, the duplicates' names become aliases and the
+ * duplicate records are deleted
+ * @route POST /api/authors/:id/merge
+ * @access Admin only
+ */
+const mergeAuthors = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateIds } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid author ID format", 400);
+    }
+
+    if (
+      !Array.isArray(duplicateIds) ||
+      duplicateIds.length === 0 ||
+      !duplicateIds.every((duplicateId) => ObjectId.isValid(duplicateId))
+    ) {
+      return errorResponse(
+        res,
+        "duplicateIds must be a non-empty array of author IDs",
+        400
+      );
+    }
+
+    const targetId = new ObjectId(id);
+    const sourceIds = [...new Set(duplicateIds.map(String))]
+      .filter((duplicateId) => duplicateId !== id)
+      .map((duplicateId) => new ObjectId(duplicateId));
+
+    if (sourceIds.length === 0) {
+      return errorResponse(res, "An author cannot be merged into itself", 400);
+    }
+
+    const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+    const [target, sources] = await Promise.all([
+      authorsCollection.findOne({ _id: targetId }),
+      authorsCollection.find({ _id: { $in: sourceIds } }).toArray(),
+    ]);
+
+    if (!target) {
+      return errorResponse(res, "Author not found", 404);
+    }
+
+    if (sources.length !== sourceIds.length) {
+      return errorResponse(res, "One or more duplicate authors not found", 404);
+    }
+
+    // Re-link books: put the target where the first duplicate was credited
+    // and drop any repeated credit
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const creditedBooks = await findCreditedBooks(sourceIds);
+    const relinked = await booksCollection.updateMany(
+      { authors: { $in: sourceIds } },
+      [
+        {
+          $set: {
+            authors: {
+              $reduce: {
+                input: {
+                  $map: {
+                    input: "$authors",
+                    as: "authorId",
+                    in: {
+                      $cond: [
+                        { $in: ["$$authorId", sourceIds] },
+                        targetId,
+                        "$$authorId",
+                      ],
+                    },
+                  },
+                },
+                initialValue: [],
+                in: {
+                  $cond: [
+                    { $in: ["$$this", "$$value"] },
+                    "$$value",
+                    { $concatArrays: ["$$value", ["$$this"]] },
+                  ],
+                },
+              },
+            },
+            updatedAt: "$$NOW",
+          },
+        },
+      ]
+    );
+
+    const aliases = sources
+      .flatMap((source) => [source.slug, ...(source.aliases || [])])
+      .filter((alias) => alias !== target.slug);
+
+    await authorsCollection.deleteMany({ _id: { $in: sourceIds } });
+    await authorsCollection.updateOne(
+      { _id: targetId },
+      {
+        $addToSet: { aliases: { $each: aliases } },
+        $set: { updatedAt: new Date() },
+      }
+    );
+
+    await syncBookAuthorNames([targetId]);
+    await recordCreditChanges(creditedBooks, req.user);
+
+    return successResponse(
+      res,
+      {
+        mergedAuthors: sources.length,
+        relinkedBooks: relinked.modifiedCount,
+      },
+      "Authors merged successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error merging authors:", error);
+    return errorResponse(res, "Failed to merge authors", 500, error.message);
+  }
+};
+
+/**
+ * Delete an author that no book is linked to
+ * @route DELETE /api/authors/:id
+ * @access Admin only
+ */
+const deleteAuthor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid author ID format", 400);
+    }
+
+    // Archived books still credit their authors, so they count too
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const bookCount = await booksCollection.countDocuments({
+      authors: new ObjectId(id),
+    });
+
+    if (bookCount > 0) {
+      return errorResponse(
+        res,
+        `This author is linked to ${bookCount} book(s). Merge the author into another one instead.`,
+        409
+      );
+    }
+
+    const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+    const result = await authorsCollection.deleteOne({
+      _id: new ObjectId(id),
+    });
+
+    if (result.deletedCount === 0) {
+      return errorResponse(res, "Author not found", 404);
+    }
+
+    return successResponse(res, null, "Author deleted successfully");
+  } catch (error) {
+    console.error("❌ Error deleting author:", error);
+    return errorResponse(res, "Failed to delete author", 500, error.message);
+  }
+};
+
+module.exports = {
+  getAuthors,
+  getAuthorById,
+  createAuthor,
+  updateAuthor,
+  mergeAuthors,
+  deleteAuthor,
+};
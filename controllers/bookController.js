@@ -2,23 +2,162 @@ const { ObjectId } = require("mongodb");
 const { getCollection } = require("../utils/dbHelpers");
 const COLLECTIONS = require("../config/collections");
 const { successResponse, errorResponse } = require("../utils/response");
+const {
+  withAvailability,
+  stockUpdate,
+  syncVariantTotals,
+} = require("../utils/inventory");
+const {
+  withSalePrices,
+  recordPriceHistory,
+  checkPriceAgainstSales,
+} = require("../utils/pricing");
+const { parseVariant, isSameVariant } = require("../utils/variants");
+const {
+  publicBookFilter,
+  buildBookFilters,
+  ratingStages,
+  facetPipelines,
+  formatFacets,
+} = require("../utils/bookQuery");
+const { buildHighlights } = require("../utils/search");
+const { parseIsbn } = require("../utils/isbn");
+const { resolveCategory } = require("../utils/categories");
+const { parseSchedule, describeSchedule } = require("../utils/schedule");
+const {
+  APPROVED_STATUSES,
+  requiresReview,
+  initialModeration,
+  reviewAfterChange,
+} = require("../utils/moderation");
+const {
+  resolveAuthor,
+  resolveBookAuthors,
+  formatAuthorNames,
+} = require("../utils/authors");
+const {
+  findCoPurchasedBooks,
+  findSimilarBooks,
+} = require("../utils/recommendations");
+const {
+  parseWindowDays,
+  popularityStages,
+  getBestsellers,
+  getTrending,
+} = require("../utils/sales");
+const {
+  withTiebreaker,
+  parseCursorQuery,
+  cursorStages,
+  buildCursorPage,
+} = require("../utils/cursor");
+const {
+  REVERTIBLE_FIELDS,
+  isSameValue,
+  diffBook,
+  recordRevision,
+} = require("../utils/bookRevisions");
+const {
+  isRestock,
+  notifyBackInStock,
+  countWaitingSubscribers,
+} = require("../utils/stockAlerts");
+const { removeBookCovers } = require("../utils/images");
+const { findDuplicates } = require("../utils/duplicates");
+const { describeBookSeries } = require("../utils/series");
+const { orderedBookFilter, findOrderedBookIds } = require("../utils/orders");
+const {
+  DEFAULT_SUGGESTIONS,
+  MAX_SUGGESTIONS,
+  MAX_QUERY_LENGTH,
+  suggestCompletions,
+} = require("../utils/suggest");
+
+/**
+ * Find another book of the same librarian already using an ISBN, either as
+ * the book's own ISBN or as one of its variants' ISBNs
+ * @param {Collection} booksCollection - Books collection
+ * @param {ObjectId} librarianId - Book owner
+ * @param {string} isbn13 - Normalised ISBN-13
+ * @param {ObjectId|null} excludeBookId - Book to ignore (the one being edited)
+ * @returns {Promise<Object|null>} Conflicting book or null
+ */
+const findBookWithIsbn = (
+  booksCollection,
+  librarianId,
+  isbn13,
+  excludeBookId = null
+) => {
+  const query = {
+    librarian: new ObjectId(librarianId),
+    $or: [{ isbn13 }, { "variants.isbn13": isbn13 }],
+  };
+  if (excludeBookId) {
+    query._id = { $ne: excludeBookId };
+  }
+  return booksCollection.findOne(query);
+};
+
+/**
+ * Validate a list of variants for a new book
+ * @param {Array} input - Variants from the request body
+ * @returns {Object} { errors, variants }
+ */
+const parseVariantList = (input) => {
+  if (!Array.isArray(input)) {
+    return { errors: ["Variants must be an array"], variants: [] };
+  }
+
+  const errors = [];
+  const variants = [];
+  input.forEach((variantInput, index) => {
+    const parsed = parseVariant(variantInput);
+    parsed.errors.forEach((error) =>
+      errors.push(`Variant ${index + 1}: ${error}`)
+    );
+    if (parsed.errors.length === 0) {
+      if (variants.some((variant) => isSameVariant(variant, parsed.variant))) {
+        errors.push(`Variant ${index + 1}: Duplicate format and edition`);
+      }
+      variants.push(parsed.variant);
+    }
+  });
+
+  return { errors, variants };
+};
 
 /**
  * Add a new book to the library
+ * Likely duplicates of the librarian's existing books are returned with a
+ * 409 and their match scores unless the request sets force=true
  * @route POST /api/books/add
  * @access Librarian/Admin only
  */
 const addBook = async (req, res) => {
   try {
-    const { name, author, image, price, status, category, description } =
-      req.body;
-
-    // Validate required fields
+    const {
+      name,
+      author,
+      image,
+      price,
+      quantity,
+      status,
+      category,
+      description,
+      isbn,
+      variants,
+      authorIds,
+      force,
+    } = req.body;
+
+    // Books sold in several variants take price and stock from the variants
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+
+    // Validate required fields (authors may be given by id instead of name)
     const requiredFields = [
       "name",
-      "author",
-      "image",
-      "price",
+      ...(authorIds === undefined ? ["author"] : []),
+      ...(hasVariants ? [] : ["price"]),
       "status",
       "category",
     ];
@@ -32,13 +171,36 @@ const addBook = async (req, res) => {
       );
     }
 
+    // Validate variants (format, edition, price, quantity, ISBN)
+    let variantList = [];
+    if (variants !== undefined) {
+      const parsedVariants = parseVariantList(variants);
+      if (parsedVariants.errors.length > 0) {
+        return errorResponse(res, parsedVariants.errors.join("; "), 400);
+      }
+      variantList = parsedVariants.variants;
+    }
+
     // Validate price is a number
-    if (isNaN(price) || price < 0) {
+    if (!hasVariants && (isNaN(price) || price < 0)) {
       return errorResponse(res, "Price must be a valid positive number", 400);
     }
 
-    // Validate status
-    const validStatuses = ["published", "unpublished"];
+    // Validate quantity (copies in stock, defaults to 0)
+    const stockQuantity = quantity === undefined ? 0 : Number(quantity);
+    if (
+      !hasVariants &&
+      (!Number.isInteger(stockQuantity) || stockQuantity < 0)
+    ) {
+      return errorResponse(
+        res,
+        "Quantity must be a non-negative whole number",
+        400
+      );
+    }
+
+    // Validate status ("draft" saves the book without submitting it)
+    const validStatuses = [...APPROVED_STATUSES, "draft"];
     if (!validStatuses.includes(status)) {
       return errorResponse(
         res,
@@ -47,25 +209,153 @@ const addBook = async (req, res) => {
       );
     }
 
+    // Librarians' books wait for admin approval before going live; the
+    // requested status is applied once approved
+    const moderationState = initialModeration(status, req.user);
+
+    // Optional release/withdrawal dates (publishAt, unpublishAt)
+    const parsedSchedule = parseSchedule(req.body);
+    if (parsedSchedule.error) {
+      return errorResponse(res, parsedSchedule.error, 400);
+    }
+
+    // Category must be one of the managed categories (id, name, slug or alias)
+    const bookCategory = await resolveCategory(String(category).trim());
+    if (!bookCategory) {
+      return errorResponse(
+        res,
+        "Unknown category. Choose one of the categories from /api/categories",
+        400
+      );
+    }
+
+    // Validate and normalise ISBN (ISBN-10 or ISBN-13 accepted)
+    let parsedIsbn = null;
+    if (isbn) {
+      parsedIsbn = parseIsbn(isbn);
+      if (!parsedIsbn) {
+        return errorResponse(
+          res,
+          "Invalid ISBN. Provide a valid ISBN-10 or ISBN-13",
+          400
+        );
+      }
+    }
+
     // Get librarian ID from authenticated user
     const librarianId = req.user._id;
 
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+    // Each librarian may list a given ISBN only once
+    const isbns = [
+      ...(parsedIsbn ? [parsedIsbn.isbn13] : []),
+      ...variantList.map((variant) => variant.isbn13).filter(Boolean),
+    ];
+
+    if (new Set(isbns).size !== isbns.length) {
+      return errorResponse(
+        res,
+        "The same ISBN cannot be used twice within a book",
+        400
+      );
+    }
+
+    for (const isbn13 of isbns) {
+      const existingBook = await findBookWithIsbn(
+        booksCollection,
+        librarianId,
+        isbn13
+      );
+
+      if (existingBook) {
+        return errorResponse(
+          res,
+          "You have already added a book with this ISBN",
+          409
+        );
+      }
+    }
+
+    // Near-identical books of the same librarian are only added when the
+    // client confirms with force=true after seeing the likely duplicates
+    if (force !== true && force !== "true") {
+      const knownAuthor =
+        authorIds === undefined ? await resolveAuthor(author.trim()) : null;
+      const linkedAuthors = knownAuthor
+        ? [knownAuthor._id]
+        : (Array.isArray(authorIds) ? authorIds : []).filter((id) =>
+            ObjectId.isValid(id)
+          );
+
+      const duplicates = await findDuplicates({
+        librarian: librarianId,
+        name,
+        author: author || "",
+        authors: linkedAuthors,
+        isbns,
+      });
+
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "This book looks like a duplicate of a book you already have. Send force=true to add it anyway.",
+          data: {
+            duplicates: duplicates.map((duplicate) => ({
+              _id: duplicate._id,
+              name: duplicate.name,
+              author: duplicate.author,
+              isbn13: duplicate.isbn13 || null,
+              status: duplicate.status,
+              score: duplicate.score,
+              reasons: duplicate.reasons,
+            })),
+          },
+        });
+      }
+    }
+
+    // Link the book to its author records
+    const bookAuthors = await resolveBookAuthors(
+      { authorIds, author: author && author.trim() },
+      req.user
+    );
+    if (bookAuthors.error) {
+      return errorResponse(res, bookAuthors.error, 400);
+    }
+
     // Create book document
     const bookDocument = {
       name: name.trim(),
-      author: author.trim(),
-      imageURL: image.trim(),
-      price: parseFloat(price),
-      status,
-      category: category.trim(),
+      author: bookAuthors.author,
+      authors: bookAuthors.authors,
+      // Without an image URL the cover is uploaded afterwards
+      imageURL: image ? image.trim() : null,
+      coverImage: null,
+      price: hasVariants
+        ? Math.min(...variantList.map((variant) => variant.price))
+        : parseFloat(price),
+      quantity: hasVariants
+        ? variantList.reduce((total, variant) => total + variant.quantity, 0)
+        : stockQuantity,
+      variants: variantList,
+      status: moderationState.status,
+      moderation: moderationState.moderation,
+      publishAt: parsedSchedule.schedule.publishAt || null,
+      unpublishAt: parsedSchedule.schedule.unpublishAt || null,
+      category: bookCategory.name,
+      categoryId: bookCategory._id,
       description: description ? description.trim() : "",
+      isbn10: parsedIsbn ? parsedIsbn.isbn10 : null,
+      isbn13: parsedIsbn ? parsedIsbn.isbn13 : null,
+      series: null,
       librarian: new ObjectId(librarianId),
       createdAt: new Date(),
       updatedAt: new Date(),
     };
 
     // Insert book into database
-    const booksCollection = getCollection(COLLECTIONS.BOOKS);
     const result = await booksCollection.insertOne(bookDocument);
 
     if (!result.acknowledged) {
@@ -78,8 +368,38 @@ const addBook = async (req, res) => {
       ...bookDocument,
     };
 
-    return successResponse(res, createdBook, "Book added successfully", 201);
+    // Start the book's revision and price history
+    await recordRevision({
+      bookId: result.insertedId,
+      action: "create",
+      changes: diffBook({}, bookDocument),
+      user: req.user,
+    });
+    await recordPriceHistory({
+      bookId: result.insertedId,
+      before: {},
+      after: bookDocument,
+      source: "create",
+      user: req.user,
+    });
+
+    return successResponse(
+      res,
+      createdBook,
+      createdBook.status === "pending_review"
+        ? "Book added and submitted for review"
+        : "Book added successfully",
+      201
+    );
   } catch (error) {
+    // Unique index on librarian + ISBN caught a concurrent duplicate
+    if (error.code === 11000) {
+      return errorResponse(
+        res,
+        "You have already added a book with this ISBN",
+        409
+      );
+    }
     console.error("❌ Error adding book:", error);
     return errorResponse(res, "Failed to add book", 500, error.message);
   }
@@ -87,21 +407,34 @@ const addBook = async (req, res) => {
 
 /**
  * Get all published books (public view)
+ * Supports filtering and returns facet counts computed in the same query.
+ * The price range filter, price sorting and price facets use the list
+ * price, not the sale price shown as `effectivePrice`
  * @route GET /api/books
  * @access Public
  */
 const getAllBooks = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = "", sort = "newest" } = req.query;
+    const { page = 1, limit = 10, search = "" } = req.query;
+
+    // Rank by relevance by default when searching, otherwise newest first
+    const sort = req.query.sort || (search ? "relevance" : "newest");
 
     const booksCollection = getCollection(COLLECTIONS.BOOKS);
 
+    // Build filters (category, author, price range, rating, availability)
+    const { filter, minRating, error } = await buildBookFilters(req.query);
+
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
     // Build query
-    const query = { status: "published" };
+    const query = { ...publicBookFilter(), ...filter };
 
-    // Add search by name (case-insensitive)
+    // Full-text search across name, author, category and description
     if (search) {
-      query.name = { $regex: search, $options: "i" };
+      query.$text = { $search: String(search) };
     }
 
     // Determine sort order
@@ -122,25 +455,98 @@ const getAllBooks = async (req, res) => {
       case "name_desc":
         sortOption = { name: -1 };
         break;
+      case "rating":
+        sortOption = { averageRating: -1, reviewCount: -1 };
+        break;
+      case "popular":
+        // Orders over the last `days` days (default 30), from daily counters
+        sortOption = { recentOrders: -1, createdAt: -1 };
+        break;
+      case "relevance":
+        // Relevance only exists for text searches
+        sortOption = search ? { relevance: -1 } : { createdAt: -1 };
+        break;
       default:
         sortOption = { createdAt: -1 };
     }
 
+    // Cursor mode (when a `cursor` parameter is sent) reads after the
+    // cursor position; page mode keeps skip/limit for older clients
+    sortOption = withTiebreaker(sortOption);
+    const cursor = parseCursorQuery(req.query, sortOption, sort);
+    if (cursor && cursor.error) {
+      return errorResponse(res, cursor.error, 400);
+    }
+
     // Calculate pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Get total count
-    const totalCount = await booksCollection.countDocuments(query);
+    // Ratings are only joined for the whole result set when they are
+    // needed to filter or sort; otherwise just for the returned page
+    const needsRatingsUpfront = minRating !== undefined || sort === "rating";
 
-    // Get books with pagination and sorting
-    const books = await booksCollection
-      .find(query)
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limitNum)
-      .toArray();
+    const pipeline = [{ $match: query }];
+
+    if (search) {
+      pipeline.push({ $addFields: { relevance: { $meta: "textScore" } } });
+    }
+
+    if (needsRatingsUpfront) {
+      pipeline.push(...ratingStages());
+      if (minRating !== undefined) {
+        pipeline.push({ $match: { averageRating: { $gte: minRating } } });
+      }
+    }
+
+    // Get books page, total count and facets in a single round-trip
+    pipeline.push({
+      $facet: {
+        books: [
+          ...(sort === "popular"
+            ? popularityStages(parseWindowDays(req.query.days, 30))
+            : []),
+          ...(cursor
+            ? cursorStages(sortOption, cursor)
+            : [{ $sort: sortOption }, { $skip: skip }, { $limit: limitNum }]),
+          ...(needsRatingsUpfront ? [] : ratingStages()),
+        ],
+        totalCount: [{ $count: "count" }],
+        ...facetPipelines(),
+      },
+    });
+
+    const [result] = await booksCollection.aggregate(pipeline).toArray();
+
+    const cursorPage = cursor
+      ? buildCursorPage(result.books, sortOption, sort, cursor)
+      : null;
+    const pageBooks = cursorPage ? cursorPage.items : result.books;
+
+    const books = search
+      ? pageBooks.map((book) => ({
+          ...book,
+          highlights: buildHighlights(book, search),
+        }))
+      : pageBooks;
+    const totalCount =
+      result.totalCount.length > 0 ? result.totalCount[0].count : 0;
+
+    if (cursorPage) {
+      return successResponse(
+        res,
+        {
+          books: (await withSalePrices(books)).map(withAvailability),
+          totalCount,
+          limit: cursorPage.limit,
+          nextCursor: cursorPage.nextCursor,
+          prevCursor: cursorPage.prevCursor,
+          facets: formatFacets(result),
+        },
+        "Books retrieved successfully"
+      );
+    }
 
     // Calculate total pages
     const totalPages = Math.ceil(totalCount / limitNum);
@@ -148,11 +554,12 @@ const getAllBooks = async (req, res) => {
     return successResponse(
       res,
       {
-        books,
+        books: (await withSalePrices(books)).map(withAvailability),
         totalCount,
         page: pageNum,
         totalPages,
         limit: limitNum,
+        facets: formatFacets(result),
       },
       "Books retrieved successfully"
     );
@@ -162,10 +569,98 @@ const getAllBooks = async (req, res) => {
   }
 };
 
+/**
+ * Get bestsellers: published books with the most orders in a recent window
+ * @route GET /api/books/bestsellers
+ * @access Public
+ * @query days (default 7, max 90), limit (default 10, max 50), category
+ */
+const getBestsellerBooks = async (req, res) => {
+  try {
+    const days = parseWindowDays(req.query.days, 7);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const { filter, error } = await buildBookFilters({
+      category: req.query.category,
+    });
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const books = await getBestsellers({
+      days,
+      limit: limitNum,
+      categoryIds: filter.categoryId ? filter.categoryId.$in : null,
+    });
+
+    return successResponse(
+      res,
+      {
+        books: (await withSalePrices(books)).map(withAvailability),
+        days,
+        count: books.length,
+      },
+      "Bestsellers retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting bestsellers:", error);
+    return errorResponse(res, "Failed to get bestsellers", 500, error.message);
+  }
+};
+
+/**
+ * Get trending books: orders in the last window compared with the window before
+ * @route GET /api/books/trending
+ * @access Public
+ * @query days (default 7, max 90), limit (default 10, max 50),
+ *   minOrders (default 2), category
+ */
+const getTrendingBooks = async (req, res) => {
+  try {
+    const days = parseWindowDays(req.query.days, 7);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const minOrders = Math.max(parseInt(req.query.minOrders) || 2, 1);
+
+    const { filter, error } = await buildBookFilters({
+      category: req.query.category,
+    });
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const books = await getTrending({
+      days,
+      limit: limitNum,
+      minOrders,
+      categoryIds: filter.categoryId ? filter.categoryId.$in : null,
+    });
+
+    return successResponse(
+      res,
+      {
+        books: (await withSalePrices(books)).map(withAvailability),
+        days,
+        count: books.length,
+      },
+      "Trending books retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting trending books:", error);
+    return errorResponse(
+      res,
+      "Failed to get trending books",
+      500,
+      error.message
+    );
+  }
+};
+
 /**
  * Get single book by ID with librarian details
+ * A book in a series includes its place in the series, the neighbouring
+ * volumes and, for signed-in readers of earlier volumes, the next one to read
  * @route GET /api/books/:id
- * @access Public
+ * @access Public (personalised when signed in)
  */
 const getBookById = async (req, res) => {
   try {
@@ -178,10 +673,10 @@ const getBookById = async (req, res) => {
 
     const booksCollection = getCollection(COLLECTIONS.BOOKS);
 
-    // Use aggregate to populate librarian info
+    // Use aggregate to populate librarian info (archived books are hidden)
     const books = await booksCollection
       .aggregate([
-        { $match: { _id: new ObjectId(id) } },
+        { $match: { _id: new ObjectId(id), archivedAt: null } },
         {
           $lookup: {
             from: COLLECTIONS.USERS,
@@ -200,11 +695,21 @@ const getBookById = async (req, res) => {
           $project: {
             name: 1,
             author: 1,
+            authors: 1,
             imageURL: 1,
+            coverImage: 1,
             price: 1,
+            quantity: 1,
             status: 1,
+            publishAt: 1,
+            unpublishAt: 1,
             category: 1,
+            categoryId: 1,
             description: 1,
+            isbn10: 1,
+            isbn13: 1,
+            variants: 1,
+            series: 1,
             createdAt: 1,
             updatedAt: 1,
             librarian: {
@@ -222,11 +727,10 @@ const getBookById = async (req, res) => {
       return errorResponse(res, "Book not found", 404);
     }
 
-    return successResponse(
-      res,
-      books[0],
-      "Book details retrieved successfully"
-    );
+    const book = withAvailability((await withSalePrices(books))[0]);
+    book.series = await describeBookSeries(book, req.user);
+
+    return successResponse(res, book, "Book details retrieved successfully");
   } catch (error) {
     console.error("❌ Error getting book:", error);
     return errorResponse(res, "Failed to get book details", 500, error.message);
@@ -234,32 +738,81 @@ const getBookById = async (req, res) => {
 };
 
 /**
- * Get all books added by logged-in librarian
- * @route GET /api/books/librarian/my-books
- * @access Librarian/Admin only
+ * Get "customers who ordered this also ordered" recommendations
+ * Other published books are ranked by how many of this book's buyers also
+ * ordered them; when there are too few, books by the same author and then
+ * in the same category fill the list. Books the signed-in user has already
+ * ordered are left out.
+ * @route GET /api/books/:id/recommendations
+ * @access Public (personalised when signed in)
  */
-const getLibrarianBooks = async (req, res) => {
+const getBookRecommendations = async (req, res) => {
   try {
-    const librarianId = req.user._id;
+    const { id } = req.params;
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
 
     const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne(
+      { _id: new ObjectId(id), archivedAt: null },
+      { projection: { authors: 1, categoryId: 1 } }
+    );
 
-    // Get all books by this librarian (published + unpublished)
-    const books = await booksCollection
-      .find({ librarian: new ObjectId(librarianId) })
-      .sort({ createdAt: -1 })
-      .toArray();
+    if (!book) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    // Never recommend the book itself or anything the user already ordered
+    const excludeIds = [book._id];
+    if (req.user) {
+      const orderedBookIds = await findOrderedBookIds({
+        user: new ObjectId(req.user._id),
+      });
+      excludeIds.push(...orderedBookIds);
+    }
+
+    const coPurchased = await findCoPurchasedBooks(
+      book._id,
+      excludeIds,
+      limitNum
+    );
+    const recommendations = coPurchased.map((recommended) => ({
+      ...recommended,
+      reason: "co_purchase",
+    }));
+
+    // Fill sparse results with similar books
+    if (recommendations.length < limitNum) {
+      const similar = await findSimilarBooks(
+        book,
+        [
+          ...excludeIds,
+          ...recommendations.map((recommended) => recommended._id),
+        ],
+        limitNum - recommendations.length
+      );
+      recommendations.push(...similar);
+    }
 
     return successResponse(
       res,
-      { books, count: books.length },
-      "Librarian books retrieved successfully"
+      {
+        recommendations: (await withSalePrices(recommendations)).map(
+          withAvailability
+        ),
+        count: recommendations.length,
+      },
+      "Recommendations retrieved successfully"
     );
   } catch (error) {
-    console.error("❌ Error getting librarian books:", error);
+    console.error("❌ Error getting recommendations:", error);
     return errorResponse(
       res,
-      "Failed to get librarian books",
+      "Failed to get recommendations",
       500,
       error.message
     );
@@ -267,91 +820,335 @@ const getLibrarianBooks = async (req, res) => {
 };
 
 /**
- * Get all books for admin (regardless of status)
- * @route GET /api/books/admin/all
- * @access Admin only
+ * Typeahead suggestions for the search box
+ * Completes published book titles and the authors and categories that have
+ * published books, tolerating typos; meant to be called on every keystroke
+ * instead of the full listing
+ * @route GET /api/books/suggest
+ * @access Public
+ * @query q (required), limit (per group, default 5, max 10)
  */
-const getAllBooksForAdmin = async (req, res) => {
+const getSearchSuggestions = async (req, res) => {
   try {
-    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
 
-    // Use aggregate to populate librarian info
-    const books = await booksCollection
-      .aggregate([
-        {
-          $lookup: {
-            from: COLLECTIONS.USERS,
-            localField: "librarian",
-            foreignField: "_id",
-            as: "librarianDetails",
-          },
-        },
-        {
-          $unwind: {
-            path: "$librarianDetails",
-            preserveNullAndEmptyArrays: true,
-          },
-        },
-        {
-          $project: {
-            name: 1,
-            author: 1,
-            imageURL: 1,
-            price: 1,
-            status: 1,
-            category: 1,
-            description: 1,
-            createdAt: 1,
-            updatedAt: 1,
-            librarian: {
-              _id: "$librarianDetails._id",
-              name: "$librarianDetails.name",
-              email: "$librarianDetails.email",
-              photoURL: "$librarianDetails.photoURL",
-              role: "$librarianDetails.role",
-            },
-          },
-        },
-        { $sort: { createdAt: -1 } },
-      ])
-      .toArray();
+    if (!q) {
+      return errorResponse(res, "Query parameter 'q' is required", 400);
+    }
+
+    if (q.length > MAX_QUERY_LENGTH) {
+      return errorResponse(
+        res,
+        `Query must not exceed ${MAX_QUERY_LENGTH} characters`,
+        400
+      );
+    }
+
+    const limitNum = Math.min(
+      Math.max(parseInt(req.query.limit) || DEFAULT_SUGGESTIONS, 1),
+      MAX_SUGGESTIONS
+    );
+
+    const suggestions = await suggestCompletions(q, limitNum);
 
     return successResponse(
       res,
-      { books, count: books.length },
-      "All books retrieved successfully"
+      suggestions,
+      "Suggestions retrieved successfully"
     );
   } catch (error) {
-    console.error("❌ Error getting all books for admin:", error);
-    return errorResponse(res, "Failed to get books", 500, error.message);
+    console.error("❌ Error getting search suggestions:", error);
+    return errorResponse(res, "Failed to get suggestions", 500, error.message);
   }
 };
 
 /**
- * Update book (librarian can update their own books)
- * @route PUT /api/books/:id
- * @access Librarian/Admin only
+ * Get published books by ISBN (either ISBN-10 or ISBN-13)
+ * @route GET /api/books/isbn/:isbn
+ * @access Public
  */
-const updateBook = async (req, res) => {
+const getBooksByIsbn = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, author, image, price, status, category, description } =
-      req.body;
+    const parsedIsbn = parseIsbn(req.params.isbn);
 
-    // Validate ObjectId
-    if (!ObjectId.isValid(id)) {
-      return errorResponse(res, "Invalid book ID format", 400);
+    if (!parsedIsbn) {
+      return errorResponse(
+        res,
+        "Invalid ISBN. Provide a valid ISBN-10 or ISBN-13",
+        400
+      );
     }
 
     const booksCollection = getCollection(COLLECTIONS.BOOKS);
 
-    // Find book and verify ownership
+    // ISBN-13 is always stored, so it resolves both forms
+    const books = await booksCollection
+      .find({
+        ...publicBookFilter(),
+        $or: [
+          { isbn13: parsedIsbn.isbn13 },
+          { "variants.isbn13": parsedIsbn.isbn13 },
+        ],
+      })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    if (books.length === 0) {
+      return errorResponse(res, "No book found with this ISBN", 404);
+    }
+
+    return successResponse(
+      res,
+      {
+        isbn10: parsedIsbn.isbn10,
+        isbn13: parsedIsbn.isbn13,
+        books: (await withSalePrices(books)).map(withAvailability),
+        count: books.length,
+      },
+      "Books retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting books by ISBN:", error);
+    return errorResponse(res, "Failed to get books", 500, error.message);
+  }
+};
+
+/**
+ * Get all books added by logged-in librarian
+ * @route GET /api/books/librarian/my-books
+ * @access Librarian/Admin only
+ */
+const getLibrarianBooks = async (req, res) => {
+  try {
+    const librarianId = req.user._id;
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+    const query = { librarian: new ObjectId(librarianId), archivedAt: null };
+    const sort = { createdAt: -1, _id: -1 };
+    const now = new Date();
+
+    // Cursor mode returns one page at a time; without a cursor all books
+    // are returned as before
+    const cursor = parseCursorQuery(req.query, sort, "newest", 20);
+    if (cursor && cursor.error) {
+      return errorResponse(res, cursor.error, 400);
+    }
+
+    // Scheduled releases and withdrawals still ahead, soonest first
+    const scheduledBooks = await booksCollection
+      .find(
+        {
+          ...query,
+          status: "published",
+          $or: [{ publishAt: { $gt: now } }, { unpublishAt: { $gt: now } }],
+        },
+        { projection: { name: 1, status: 1, publishAt: 1, unpublishAt: 1 } }
+      )
+      .toArray();
+    const upcomingChanges = scheduledBooks
+      .map((book) => ({
+        bookId: book._id,
+        name: book.name,
+        ...describeSchedule(book, now).nextChange,
+      }))
+      .filter((change) => change.action)
+      .sort((a, b) => a.at - b.at);
+
+    // Each book reports whether it is live, scheduled or expired, and how
+    // many users are waiting for it to be back in stock (a demand signal)
+    const withDetails = (waiting) => (book) => ({
+      ...book,
+      schedule: describeSchedule(book, now),
+      waitingSubscribers: waiting.get(book._id.toString()) || 0,
+    });
+
+    if (cursor) {
+      const items = await booksCollection
+        .aggregate([{ $match: query }, ...cursorStages(sort, cursor)])
+        .toArray();
+      const page = buildCursorPage(items, sort, "newest", cursor);
+      const waiting = await countWaitingSubscribers(
+        page.items.map((book) => book._id)
+      );
+
+      return successResponse(
+        res,
+        {
+          books: page.items.map(withDetails(waiting)),
+          count: page.items.length,
+          limit: page.limit,
+          nextCursor: page.nextCursor,
+          prevCursor: page.prevCursor,
+          upcomingChanges,
+        },
+        "Librarian books retrieved successfully"
+      );
+    }
+
+    // Get all books by this librarian (published + unpublished, not archived)
+    const books = await booksCollection.find(query).sort(sort).toArray();
+    const waiting = await countWaitingSubscribers(
+      books.map((book) => book._id)
+    );
+
+    return successResponse(
+      res,
+      {
+        books: books.map(withDetails(waiting)),
+        count: books.length,
+        upcomingChanges,
+      },
+      "Librarian books retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting librarian books:", error);
+    return errorResponse(
+      res,
+      "Failed to get librarian books",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Get all books for admin (regardless of status)
+ * @route GET /api/books/admin/all
+ * @access Admin only
+ */
+const getAllBooksForAdmin = async (req, res) => {
+  try {
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+    const sort = { createdAt: -1, _id: -1 };
+    const cursor = parseCursorQuery(req.query, sort, "newest", 20);
+    if (cursor && cursor.error) {
+      return errorResponse(res, cursor.error, 400);
+    }
+
+    // Use aggregate to populate librarian info; in cursor mode only the
+    // page is read before the lookup
+    const items = await booksCollection
+      .aggregate([
+        ...(cursor ? cursorStages(sort, cursor) : [{ $sort: sort }]),
+        {
+          $lookup: {
+            from: COLLECTIONS.USERS,
+            localField: "librarian",
+            foreignField: "_id",
+            as: "librarianDetails",
+          },
+        },
+        {
+          $unwind: {
+            path: "$librarianDetails",
+            preserveNullAndEmptyArrays: true,
+          },
+        },
+        {
+          $project: {
+            name: 1,
+            author: 1,
+            authors: 1,
+            imageURL: 1,
+            coverImage: 1,
+            price: 1,
+            quantity: 1,
+            status: 1,
+            publishAt: 1,
+            unpublishAt: 1,
+            category: 1,
+            categoryId: 1,
+            description: 1,
+            isbn10: 1,
+            isbn13: 1,
+            variants: 1,
+            moderation: 1,
+            archivedAt: 1,
+            createdAt: 1,
+            updatedAt: 1,
+            librarian: {
+              _id: "$librarianDetails._id",
+              name: "$librarianDetails.name",
+              email: "$librarianDetails.email",
+              photoURL: "$librarianDetails.photoURL",
+              role: "$librarianDetails.role",
+            },
+          },
+        },
+      ])
+      .toArray();
+
+    if (cursor) {
+      const page = buildCursorPage(items, sort, "newest", cursor);
+      return successResponse(
+        res,
+        {
+          books: page.items,
+          count: page.items.length,
+          limit: page.limit,
+          nextCursor: page.nextCursor,
+          prevCursor: page.prevCursor,
+        },
+        "All books retrieved successfully"
+      );
+    }
+
+    return successResponse(
+      res,
+      { books: items, count: items.length },
+      "All books retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting all books for admin:", error);
+    return errorResponse(res, "Failed to get books", 500, error.message);
+  }
+};
+
+/**
+ * Update book (librarian can update their own books)
+ * @route PUT /api/books/:id
+ * @access Librarian/Admin only
+ */
+const updateBook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      name,
+      author,
+      image,
+      price,
+      quantity,
+      status,
+      category,
+      description,
+      isbn,
+      authorIds,
+    } = req.body;
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+    // Find book and verify ownership
     const book = await booksCollection.findOne({ _id: new ObjectId(id) });
 
     if (!book) {
       return errorResponse(res, "Book not found", 404);
     }
 
+    if (book.archivedAt) {
+      return errorResponse(
+        res,
+        "Archived books cannot be modified. Restore the book first.",
+        400
+      );
+    }
+
     // Verify librarian ownership (unless user is admin)
     const isOwner = book.librarian.toString() === req.user._id.toString();
     const isAdmin = req.user.role === "admin";
@@ -363,54 +1160,213 @@ const updateBook = async (req, res) => {
     // Build update object
     const updateData = {};
     if (name) updateData.name = name.trim();
-    if (author) updateData.author = author.trim();
-    if (image) updateData.imageURL = image.trim();
+    if (authorIds !== undefined || author) {
+      const bookAuthors = await resolveBookAuthors(
+        { authorIds, author: author && author.trim() },
+        req.user
+      );
+      if (bookAuthors.error) {
+        return errorResponse(res, bookAuthors.error, 400);
+      }
+      updateData.author = bookAuthors.author;
+      updateData.authors = bookAuthors.authors;
+    }
+    // An external image URL replaces an uploaded cover
+    if (image && image.trim() !== book.imageURL) {
+      updateData.imageURL = image.trim();
+      updateData.coverImage = null;
+    }
+    // Books with variants take price and stock from their variants
+    const hasVariants =
+      Array.isArray(book.variants) && book.variants.length > 0;
+    if (hasVariants && (price !== undefined || quantity !== undefined)) {
+      return errorResponse(
+        res,
+        "This book is sold in variants. Update price and quantity per variant.",
+        400
+      );
+    }
+
     if (price !== undefined) {
       if (isNaN(price) || price < 0) {
         return errorResponse(res, "Price must be a valid positive number", 400);
       }
       updateData.price = parseFloat(price);
     }
+    if (quantity !== undefined) {
+      const stockQuantity = Number(quantity);
+      if (!Number.isInteger(stockQuantity) || stockQuantity < 0) {
+        return errorResponse(
+          res,
+          "Quantity must be a non-negative whole number",
+          400
+        );
+      }
+      updateData.quantity = stockQuantity;
+    }
+    // Librarians can only switch approved books between published and
+    // unpublished; for books still in moderation the status is applied
+    // on approval
+    let requestedStatus = null;
     if (status) {
-      const validStatuses = ["published", "unpublished"];
-      if (!validStatuses.includes(status)) {
+      if (!APPROVED_STATUSES.includes(status)) {
+        return errorResponse(
+          res,
+          `Invalid status. Must be one of: ${APPROVED_STATUSES.join(", ")}`,
+          400
+        );
+      }
+      if (
+        APPROVED_STATUSES.includes(book.status) ||
+        !requiresReview(req.user)
+      ) {
+        updateData.status = status;
+      } else {
+        requestedStatus = status;
+      }
+    }
+    // publishAt/unpublishAt: a date schedules the change, null clears it
+    const parsedSchedule = parseSchedule(req.body, book);
+    if (parsedSchedule.error) {
+      return errorResponse(res, parsedSchedule.error, 400);
+    }
+    Object.assign(updateData, parsedSchedule.schedule);
+    if (category) {
+      const bookCategory = await resolveCategory(String(category).trim());
+      if (!bookCategory) {
         return errorResponse(
           res,
-          `Invalid status. Must be one of: ${validStatuses.join(", ")}`,
+          "Unknown category. Choose one of the categories from /api/categories",
           400
         );
       }
-      updateData.status = status;
+      updateData.category = bookCategory.name;
+      updateData.categoryId = bookCategory._id;
     }
-    if (category) updateData.category = category.trim();
     if (description !== undefined) updateData.description = description.trim();
+    if (isbn !== undefined) {
+      // An empty value clears the ISBN
+      if (!isbn) {
+        updateData.isbn10 = null;
+        updateData.isbn13 = null;
+      } else {
+        const parsedIsbn = parseIsbn(isbn);
+        if (!parsedIsbn) {
+          return errorResponse(
+            res,
+            "Invalid ISBN. Provide a valid ISBN-10 or ISBN-13",
+            400
+          );
+        }
+
+        const existingBook = await findBookWithIsbn(
+          booksCollection,
+          book.librarian,
+          parsedIsbn.isbn13,
+          book._id
+        );
+
+        if (existingBook) {
+          return errorResponse(
+            res,
+            "The book owner already has another book with this ISBN",
+            409
+          );
+        }
+
+        updateData.isbn10 = parsedIsbn.isbn10;
+        updateData.isbn13 = parsedIsbn.isbn13;
+      }
+    }
+
+    // A lower price or a new category may bring the book under a fixed
+    // sale it cannot absorb
+    const saleError = await checkPriceAgainstSales(book, updateData);
+    if (saleError) {
+      return errorResponse(res, saleError, 409);
+    }
+
+    // Significant changes by librarians send the book back to review
+    const review = reviewAfterChange(
+      book,
+      diffBook(book, updateData),
+      req.user
+    );
+    if (review) {
+      review.moderation.requestedStatus =
+        updateData.status ||
+        requestedStatus ||
+        review.moderation.requestedStatus;
+      Object.assign(updateData, review);
+    } else if (requestedStatus) {
+      updateData.moderation = { ...book.moderation, requestedStatus };
+    }
 
     updateData.updatedAt = new Date();
 
     // Update book
     const result = await booksCollection.updateOne(
       { _id: new ObjectId(id) },
-      { $set: updateData }
+      stockUpdate(book, updateData)
     );
 
     if (result.matchedCount === 0) {
       return errorResponse(res, "Book not found", 404);
     }
 
+    // Record what changed in the book's revision and price history
+    await recordRevision({
+      bookId: book._id,
+      action: "update",
+      changes: diffBook(book, updateData),
+      user: req.user,
+    });
+    await recordPriceHistory({
+      bookId: book._id,
+      before: book,
+      after: { ...book, ...updateData },
+      source: "update",
+      user: req.user,
+    });
+
     // Get updated book
     const updatedBook = await booksCollection.findOne({
       _id: new ObjectId(id),
     });
 
-    return successResponse(res, updatedBook, "Book updated successfully");
+    // Tell users waiting for this book that copies are available again
+    if (
+      updateData.quantity !== undefined &&
+      isRestock(book.quantity, updatedBook.quantity)
+    ) {
+      await notifyBackInStock(updatedBook);
+    }
+
+    return successResponse(
+      res,
+      updatedBook,
+      review
+        ? "Book updated and submitted for review"
+        : "Book updated successfully"
+    );
   } catch (error) {
+    // Unique index on librarian + ISBN caught a concurrent duplicate
+    if (error.code === 11000) {
+      return errorResponse(
+        res,
+        "The book owner already has another book with this ISBN",
+        409
+      );
+    }
     console.error("❌ Error updating book:", error);
     return errorResponse(res, "Failed to update book", 500, error.message);
   }
 };
 
 /**
- * Delete book and cascade delete related data (admin only)
+ * Archive book (soft delete, admin only)
+ * The book is hidden from the public catalog and can no longer be ordered,
+ * while its orders, reviews and payment history are preserved
  * @route DELETE /api/books/:id
  * @access Admin only
  */
@@ -433,42 +1389,51 @@ const deleteBook = async (req, res) => {
       return errorResponse(res, "Book not found", 404);
     }
 
-    // Delete the book
-    const deleteResult = await booksCollection.deleteOne({ _id: bookId });
-
-    if (deleteResult.deletedCount === 0) {
-      return errorResponse(res, "Failed to delete book", 500);
+    if (book.archivedAt) {
+      return errorResponse(res, "Book is already archived", 400);
     }
 
-    // Cascade delete: Remove all orders for this book
-    const ordersCollection = getCollection(COLLECTIONS.ORDERS);
-    await ordersCollection.deleteMany({ book: bookId });
+    // Archive the book
+    const archivedAt = new Date();
+    const result = await booksCollection.updateOne(
+      { _id: bookId, archivedAt: null },
+      {
+        $set: {
+          archivedAt,
+          archivedBy: new ObjectId(req.user._id),
+          updatedAt: archivedAt,
+        },
+      }
+    );
 
-    // Cascade delete: Remove all wishlists for this book
-    const wishlistsCollection = getCollection(COLLECTIONS.WISHLISTS);
-    await wishlistsCollection.deleteMany({ book: bookId });
+    if (result.matchedCount === 0) {
+      return errorResponse(res, "Book is already archived", 400);
+    }
 
-    // Cascade delete: Remove all reviews for this book
-    const reviewsCollection = getCollection(COLLECTIONS.REVIEWS);
-    await reviewsCollection.deleteMany({ book: bookId });
+    await recordRevision({
+      bookId,
+      action: "archive",
+      changes: [{ field: "archivedAt", from: null, to: archivedAt }],
+      user: req.user,
+    });
 
     return successResponse(
       res,
-      null,
-      "Book and all related data deleted successfully"
+      { _id: bookId, archivedAt },
+      "Book archived successfully. Order and review history is preserved."
     );
   } catch (error) {
-    console.error("❌ Error deleting book:", error);
-    return errorResponse(res, "Failed to delete book", 500, error.message);
+    console.error("❌ Error archiving book:", error);
+    return errorResponse(res, "Failed to archive book", 500, error.message);
   }
 };
 
 /**
- * Toggle book status between published and unpublished
- * @route PATCH /api/books/:id/status
- * @access Librarian/Admin only
+ * Restore an archived book
+ * @route PATCH /api/books/:id/restore
+ * @access Admin only
  */
-const toggleBookStatus = async (req, res) => {
+const restoreBook = async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -478,67 +1443,906 @@ const toggleBookStatus = async (req, res) => {
     }
 
     const booksCollection = getCollection(COLLECTIONS.BOOKS);
-
-    // Find book and verify ownership
     const book = await booksCollection.findOne({ _id: new ObjectId(id) });
 
     if (!book) {
       return errorResponse(res, "Book not found", 404);
     }
 
-    // Verify librarian ownership (unless user is admin)
-    const isOwner = book.librarian.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === "admin";
-
-    if (!isOwner && !isAdmin) {
-      return errorResponse(
-        res,
-        "You can only toggle status of your own books",
-        403
-      );
+    if (!book.archivedAt) {
+      return errorResponse(res, "Book is not archived", 400);
     }
 
-    // Toggle status
-    const newStatus = book.status === "published" ? "unpublished" : "published";
-
-    // Update book status
-    const result = await booksCollection.updateOne(
-      { _id: new ObjectId(id) },
+    await booksCollection.updateOne(
+      { _id: book._id },
       {
-        $set: {
-          status: newStatus,
-          updatedAt: new Date(),
-        },
+        $set: { archivedAt: null, archivedBy: null, updatedAt: new Date() },
       }
     );
 
-    if (result.matchedCount === 0) {
-      return errorResponse(res, "Book not found", 404);
-    }
+    await recordRevision({
+      bookId: book._id,
+      action: "restore",
+      changes: [{ field: "archivedAt", from: book.archivedAt, to: null }],
+      user: req.user,
+    });
 
-    return successResponse(
-      res,
-      { status: newStatus },
-      `Book status changed to '${newStatus}' successfully`
-    );
+    const restoredBook = await booksCollection.findOne({ _id: book._id });
+
+    return successResponse(res, restoredBook, "Book restored successfully");
   } catch (error) {
-    console.error("❌ Error toggling book status:", error);
-    return errorResponse(
-      res,
-      "Failed to toggle book status",
-      500,
+    console.error("❌ Error restoring book:", error);
+    return errorResponse(res, "Failed to restore book", 500, error.message);
+  }
+};
+
+/**
+ * Permanently remove an archived book
+ * Requires the book to be archived first and the book ID to be repeated in
+ * `confirm`, so a purge can never happen by accident. Reviews and wishlist
+ * entries are removed; orders are kept for payment history with the book
+ * name copied onto them.
+ * @route DELETE /api/books/:id/purge
+ * @access Admin only
+ */
+const purgeBook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const confirm = req.body?.confirm || req.query.confirm;
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    if (confirm !== id) {
+      return errorResponse(
+        res,
+        "Purging is permanent. Repeat the book ID in 'confirm' to proceed.",
+        400
+      );
+    }
+
+    const bookId = new ObjectId(id);
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne({ _id: bookId });
+
+    if (!book) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    if (!book.archivedAt) {
+      return errorResponse(
+        res,
+        "Only archived books can be purged. Archive the book first.",
+        400
+      );
+    }
+
+    // Refuse while orders for the book are still being fulfilled
+    const ordersCollection = getCollection(COLLECTIONS.ORDERS);
+    const activeOrders = await ordersCollection.countDocuments({
+      ...orderedBookFilter(bookId),
+      orderStatus: { $in: ["pending", "shipped"] },
+    });
+
+    if (activeOrders > 0) {
+      return errorResponse(
+        res,
+        `Cannot purge a book with ${activeOrders} active order(s). Complete or cancel them first.`,
+        400
+      );
+    }
+
+    // Keep order history readable once the book is gone (cart order lines
+    // carry the book name already)
+    await ordersCollection.updateMany(
+      { book: bookId },
+      { $set: { bookName: book.name } }
+    );
+
+    // Remove wishlists and reviews for this book
+    const wishlistsCollection = getCollection(COLLECTIONS.WISHLISTS);
+    await wishlistsCollection.deleteMany({ book: bookId });
+
+    const reviewsCollection = getCollection(COLLECTIONS.REVIEWS);
+    await reviewsCollection.deleteMany({ book: bookId });
+
+    // Delete the book
+    const deleteResult = await booksCollection.deleteOne({ _id: bookId });
+
+    if (deleteResult.deletedCount === 0) {
+      return errorResponse(res, "Failed to purge book", 500);
+    }
+
+    // Uploaded covers are kept for revisions until the book is gone
+    await removeBookCovers(book);
+
+    return successResponse(res, null, "Book purged permanently");
+  } catch (error) {
+    console.error("❌ Error purging book:", error);
+    return errorResponse(res, "Failed to purge book", 500, error.message);
+  }
+};
+
+/**
+ * Toggle book status between published and unpublished
+ * @route PATCH /api/books/:id/status
+ * @access Librarian/Admin only
+ */
+const toggleBookStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+    // Find book and verify ownership
+    const book = await booksCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!book) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    if (book.archivedAt) {
+      return errorResponse(
+        res,
+        "Archived books cannot be modified. Restore the book first.",
+        400
+      );
+    }
+
+    // Verify librarian ownership (unless user is admin)
+    const isOwner = book.librarian.toString() === req.user._id.toString();
+    const isAdmin = req.user.role === "admin";
+
+    if (!isOwner && !isAdmin) {
+      return errorResponse(
+        res,
+        "You can only toggle status of your own books",
+        403
+      );
+    }
+
+    // Books still in moderation are published by an admin's approval
+    if (!APPROVED_STATUSES.includes(book.status)) {
+      return errorResponse(
+        res,
+        `Only approved books can be published or unpublished. This book is '${book.status}'.`,
+        409
+      );
+    }
+
+    // Toggle status
+    const newStatus = book.status === "published" ? "unpublished" : "published";
+    const statusUpdate = { status: newStatus };
+
+    // Publishing by hand takes effect now: drop a release date still ahead
+    // and a withdrawal date already passed
+    const now = new Date();
+    if (newStatus === "published") {
+      if (book.publishAt && book.publishAt > now) statusUpdate.publishAt = null;
+      if (book.unpublishAt && book.unpublishAt <= now) {
+        statusUpdate.unpublishAt = null;
+      }
+    }
+
+    // Update book status
+    const result = await booksCollection.updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $set: {
+          ...statusUpdate,
+          updatedAt: now,
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    await recordRevision({
+      bookId: book._id,
+      action: "status",
+      changes: diffBook(book, statusUpdate),
+      user: req.user,
+    });
+
+    return successResponse(
+      res,
+      statusUpdate,
+      `Book status changed to '${newStatus}' successfully`
+    );
+  } catch (error) {
+    console.error("❌ Error toggling book status:", error);
+    return errorResponse(
+      res,
+      "Failed to toggle book status",
+      500,
       error.message
     );
   }
 };
 
+/**
+ * Load a book for variant management, checking ownership and archive state
+ * Sends the error response itself and returns null when the book cannot be edited
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Book document or null
+ */
+const loadBookForVariants = async (req, res) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    errorResponse(res, "Invalid book ID format", 400);
+    return null;
+  }
+
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+  const book = await booksCollection.findOne({ _id: new ObjectId(id) });
+
+  if (!book) {
+    errorResponse(res, "Book not found", 404);
+    return null;
+  }
+
+  if (book.archivedAt) {
+    errorResponse(
+      res,
+      "Archived books cannot be modified. Restore the book first.",
+      400
+    );
+    return null;
+  }
+
+  const isOwner = book.librarian.toString() === req.user._id.toString();
+  const isAdmin = req.user.role === "admin";
+
+  if (!isOwner && !isAdmin) {
+    errorResponse(res, "You can only manage variants of your own books", 403);
+    return null;
+  }
+
+  return book;
+};
+
+/**
+ * Add a variant (format/edition) to a book
+ * The first variant takes over the book's price and stock: from then on the
+ * book shows the lowest variant price and the total stock across variants
+ * @route POST /api/books/:id/variants
+ * @access Librarian (own books)/Admin
+ */
+const addVariant = async (req, res) => {
+  try {
+    const book = await loadBookForVariants(req, res);
+    if (!book) return;
+
+    const { errors, variant } = parseVariant(req.body);
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const variants = book.variants || [];
+    if (variants.some((existing) => isSameVariant(existing, variant))) {
+      return errorResponse(
+        res,
+        "This book already has a variant with the same format and edition",
+        409
+      );
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+    if (variant.isbn13) {
+      const existingBook = await findBookWithIsbn(
+        booksCollection,
+        book.librarian,
+        variant.isbn13
+      );
+
+      if (existingBook) {
+        return errorResponse(
+          res,
+          "The book owner already has a book with this ISBN",
+          409
+        );
+      }
+    }
+
+    // The first variant replaces the book's price; later ones can only
+    // lower it
+    const lowestPrice =
+      variants.length > 0 ? Math.min(book.price, variant.price) : variant.price;
+    const saleError = await checkPriceAgainstSales(book, {
+      price: lowestPrice,
+    });
+    if (saleError) {
+      return errorResponse(res, saleError, 409);
+    }
+
+    // A new format or price on an approved book is reviewed like an update
+    const changes = [{ field: "variants", from: null, to: variant }];
+    const review = reviewAfterChange(book, changes, req.user);
+
+    await booksCollection.updateOne(
+      { _id: book._id },
+      {
+        $push: { variants: variant },
+        $set: { ...review, updatedAt: new Date() },
+      }
+    );
+    await syncVariantTotals(book._id);
+
+    await recordRevision({
+      bookId: book._id,
+      action: "variant",
+      changes: review ? [...changes, ...diffBook(book, review)] : changes,
+      user: req.user,
+    });
+    await recordPriceHistory({
+      bookId: book._id,
+      before: book,
+      after: { variants: [...variants, variant] },
+      source: "variant",
+      user: req.user,
+    });
+
+    return successResponse(res, variant, "Variant added successfully", 201);
+  } catch (error) {
+    console.error("❌ Error adding variant:", error);
+    if (error.code === 11000) {
+      return errorResponse(
+        res,
+        "The book owner already has a book with this ISBN",
+        409
+      );
+    }
+    return errorResponse(res, "Failed to add variant", 500, error.message);
+  }
+};
+
+/**
+ * Update a variant's format, edition, price, quantity or ISBN
+ * @route PUT /api/books/:id/variants/:variantId
+ * @access Librarian (own books)/Admin
+ */
+const updateVariant = async (req, res) => {
+  try {
+    const { variantId } = req.params;
+
+    if (!ObjectId.isValid(variantId)) {
+      return errorResponse(res, "Invalid variant ID format", 400);
+    }
+
+    const book = await loadBookForVariants(req, res);
+    if (!book) return;
+
+    const variants = book.variants || [];
+    const current = variants.find(
+      (variant) => variant._id.toString() === variantId
+    );
+
+    if (!current) {
+      return errorResponse(res, "Variant not found", 404);
+    }
+
+    const { errors, variant } = parseVariant(req.body, current);
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const others = variants.filter((other) => other !== current);
+    if (others.some((other) => isSameVariant(other, variant))) {
+      return errorResponse(
+        res,
+        "This book already has a variant with the same format and edition",
+        409
+      );
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+    if (variant.isbn13 && variant.isbn13 !== current.isbn13) {
+      const usedInBook =
+        book.isbn13 === variant.isbn13 ||
+        others.some((other) => other.isbn13 === variant.isbn13);
+      const existingBook =
+        usedInBook ||
+        (await findBookWithIsbn(
+          booksCollection,
+          book.librarian,
+          variant.isbn13,
+          book._id
+        ));
+
+      if (existingBook) {
+        return errorResponse(
+          res,
+          "The book owner already has a book with this ISBN",
+          409
+        );
+      }
+    }
+
+    const saleError = await checkPriceAgainstSales(book, {
+      price: Math.min(variant.price, ...others.map((other) => other.price)),
+    });
+    if (saleError) {
+      return errorResponse(res, saleError, 409);
+    }
+
+    // Price, format or ISBN changes on an approved book are reviewed like
+    // an update; stock changes are not
+    const changes = [{ field: "variants", from: current, to: variant }];
+    const review = reviewAfterChange(book, changes, req.user);
+
+    const setFields = { ...review, updatedAt: new Date() };
+    ["format", "edition", "price", "isbn10", "isbn13"].forEach((field) => {
+      setFields[`variants.$.${field}`] = variant[field];
+    });
+
+    // Quantity also moves with orders, so apply the difference rather than
+    // overwriting a value that may have changed since the book was read
+    const update = { $set: setFields };
+    const quantityDelta = variant.quantity - current.quantity;
+    if (quantityDelta !== 0) {
+      update.$inc = { "variants.$.quantity": quantityDelta };
+    }
+
+    const result = await booksCollection.updateOne(
+      { _id: book._id, "variants._id": current._id },
+      update
+    );
+
+    if (result.matchedCount === 0) {
+      return errorResponse(res, "Variant not found", 404);
+    }
+
+    await syncVariantTotals(book._id);
+
+    if (quantityDelta > 0) {
+      const updatedBook = await booksCollection.findOne({ _id: book._id });
+      if (isRestock(book.quantity, updatedBook.quantity)) {
+        await notifyBackInStock(updatedBook);
+      }
+    }
+
+    await recordRevision({
+      bookId: book._id,
+      action: "variant",
+      changes: review ? [...changes, ...diffBook(book, review)] : changes,
+      user: req.user,
+    });
+    await recordPriceHistory({
+      bookId: book._id,
+      before: book,
+      after: { variants: [...others, variant] },
+      source: "variant",
+      user: req.user,
+    });
+
+    return successResponse(res, variant, "Variant updated successfully");
+  } catch (error) {
+    console.error("❌ Error updating variant:", error);
+    if (error.code === 11000) {
+      return errorResponse(
+        res,
+        "The book owner already has a book with this ISBN",
+        409
+      );
+    }
+    return errorResponse(res, "Failed to update variant", 500, error.message);
+  }
+};
+
+/**
+ * Remove a variant from a book
+ * Variants with pending or shipped orders cannot be removed
+ * @route DELETE /api/books/:id/variants/:variantId
+ * @access Librarian (own books)/Admin
+ */
+const removeVariant = async (req, res) => {
+  try {
+    const { variantId } = req.params;
+
+    if (!ObjectId.isValid(variantId)) {
+      return errorResponse(res, "Invalid variant ID format", 400);
+    }
+
+    const book = await loadBookForVariants(req, res);
+    if (!book) return;
+
+    const current = (book.variants || []).find(
+      (variant) => variant._id.toString() === variantId
+    );
+
+    if (!current) {
+      return errorResponse(res, "Variant not found", 404);
+    }
+
+    const ordersCollection = getCollection(COLLECTIONS.ORDERS);
+    const openOrders = await ordersCollection.countDocuments({
+      $or: [
+        { book: book._id, variant: current._id },
+        { items: { $elemMatch: { book: book._id, variant: current._id } } },
+      ],
+      orderStatus: { $in: ["pending", "shipped"] },
+    });
+
+    if (openOrders > 0) {
+      return errorResponse(
+        res,
+        `This variant has ${openOrders} pending or shipped order(s) and cannot be removed`,
+        409
+      );
+    }
+
+    // Dropping a format from an approved book is reviewed like an update
+    const changes = [{ field: "variants", from: current, to: null }];
+    const review = reviewAfterChange(book, changes, req.user);
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    await booksCollection.updateOne(
+      { _id: book._id },
+      {
+        $pull: { variants: { _id: current._id } },
+        $set: { ...review, updatedAt: new Date() },
+      }
+    );
+
+    // Removing the last variant leaves the book's price as it was and no stock
+    if (book.variants.length === 1) {
+      await booksCollection.updateOne(
+        { _id: book._id },
+        { $set: { quantity: 0 } }
+      );
+    } else {
+      await syncVariantTotals(book._id);
+    }
+
+    await recordRevision({
+      bookId: book._id,
+      action: "variant",
+      changes: review ? [...changes, ...diffBook(book, review)] : changes,
+      user: req.user,
+    });
+
+    return successResponse(res, null, "Variant removed successfully");
+  } catch (error) {
+    console.error("❌ Error removing variant:", error);
+    return errorResponse(res, "Failed to remove variant", 500, error.message);
+  }
+};
+
+/**
+ * Get revision history of a book (newest first)
+ * @route GET /api/books/:id/history
+ * @access Librarian (own books)/Admin
+ */
+const getBookHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!book) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    // Verify librarian ownership (unless user is admin)
+    const isOwner = book.librarian.toString() === req.user._id.toString();
+    const isAdmin = req.user.role === "admin";
+
+    if (!isOwner && !isAdmin) {
+      return errorResponse(
+        res,
+        "You can only view the history of your own books",
+        403
+      );
+    }
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const skip = (pageNum - 1) * limitNum;
+
+    const revisionsCollection = getCollection(COLLECTIONS.BOOK_REVISIONS);
+
+    const totalCount = await revisionsCollection.countDocuments({
+      book: book._id,
+    });
+
+    // Use aggregate to populate actor details
+    const revisions = await revisionsCollection
+      .aggregate([
+        { $match: { book: book._id } },
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $skip: skip },
+        { $limit: limitNum },
+        {
+          $lookup: {
+            from: COLLECTIONS.USERS,
+            localField: "actor._id",
+            foreignField: "_id",
+            as: "actorDetails",
+          },
+        },
+        {
+          $unwind: {
+            path: "$actorDetails",
+            preserveNullAndEmptyArrays: true,
+          },
+        },
+        {
+          $project: {
+            action: 1,
+            changes: 1,
+            revertedTo: 1,
+            createdAt: 1,
+            actor: {
+              _id: "$actor._id",
+              role: "$actor.role",
+              name: "$actorDetails.name",
+              email: "$actorDetails.email",
+            },
+          },
+        },
+      ])
+      .toArray();
+
+    return successResponse(
+      res,
+      {
+        revisions,
+        totalCount,
+        page: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+      },
+      "Book history retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting book history:", error);
+    return errorResponse(res, "Failed to get book history", 500, error.message);
+  }
+};
+
+/**
+ * Revert a book to its state right after a chosen revision
+ * Later revisions are undone newest-first; stock quantity and status are
+ * left as is, and so is the price of books sold in variants (it follows
+ * their variants). Significant changes go through the same review step as
+ * an update. The revert itself is recorded as a new revision.
+ * @route POST /api/books/:id/history/:revisionId/revert
+ * @access Admin only
+ */
+const revertBook = async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    // Validate ObjectIds
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+    if (!ObjectId.isValid(revisionId)) {
+      return errorResponse(res, "Invalid revision ID format", 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!book) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    if (book.archivedAt) {
+      return errorResponse(
+        res,
+        "Archived books cannot be modified. Restore the book first.",
+        400
+      );
+    }
+
+    const revisionsCollection = getCollection(COLLECTIONS.BOOK_REVISIONS);
+    const targetRevision = await revisionsCollection.findOne({
+      _id: new ObjectId(revisionId),
+      book: book._id,
+    });
+
+    if (!targetRevision) {
+      return errorResponse(res, "Revision not found for this book", 404);
+    }
+
+    // Every revision made after the target, newest first
+    const laterRevisions = await revisionsCollection
+      .find({
+        book: book._id,
+        $or: [
+          { createdAt: { $gt: targetRevision.createdAt } },
+          {
+            createdAt: targetRevision.createdAt,
+            _id: { $gt: targetRevision._id },
+          },
+        ],
+      })
+      .sort({ createdAt: -1, _id: -1 })
+      .toArray();
+
+    // Walk back from the current state, undoing each later change
+    const hasVariants =
+      Array.isArray(book.variants) && book.variants.length > 0;
+    const fields = REVERTIBLE_FIELDS.filter(
+      (field) => !(hasVariants && field === "price")
+    );
+    const restoredState = {};
+    fields.forEach((field) => {
+      restoredState[field] = book[field];
+    });
+    laterRevisions.forEach((revision) => {
+      revision.changes.forEach((change) => {
+        if (fields.includes(change.field)) {
+          restoredState[change.field] = change.from;
+        }
+      });
+    });
+
+    // A restored category must still exist; its current name is used
+    if (
+      restoredState.categoryId &&
+      (!isSameValue(restoredState.categoryId, book.categoryId) ||
+        restoredState.category !== book.category)
+    ) {
+      const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+      const restoredCategory = await categoriesCollection.findOne({
+        _id: new ObjectId(restoredState.categoryId),
+      });
+
+      if (!restoredCategory) {
+        return errorResponse(
+          res,
+          "Cannot revert: the book's earlier category no longer exists",
+          409
+        );
+      }
+
+      restoredState.categoryId = restoredCategory._id;
+      restoredState.category = restoredCategory.name;
+    }
+
+    // Restored authors must still exist; their current names are used
+    if (
+      Array.isArray(restoredState.authors) &&
+      (!isSameValue(restoredState.authors, book.authors) ||
+        restoredState.author !== book.author)
+    ) {
+      const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+      const authorIds = restoredState.authors.map((id) => new ObjectId(id));
+      const restoredAuthors = await authorsCollection
+        .find({ _id: { $in: authorIds } }, { projection: { name: 1 } })
+        .toArray();
+
+      if (restoredAuthors.length !== authorIds.length) {
+        return errorResponse(
+          res,
+          "Cannot revert: one of the book's earlier authors no longer exists",
+          409
+        );
+      }
+
+      restoredState.authors = authorIds;
+      restoredState.author = formatAuthorNames(
+        authorIds.map((id) =>
+          restoredAuthors.find((restored) => restored._id.equals(id))
+        )
+      );
+    }
+
+    const changes = diffBook(book, restoredState, fields);
+
+    if (changes.length === 0) {
+      return errorResponse(
+        res,
+        "Book already matches this revision. Nothing to revert.",
+        400
+      );
+    }
+
+    // ISBNs must stay unique per librarian
+    const isbnChange = changes.find((change) => change.field === "isbn13");
+    if (isbnChange && isbnChange.to) {
+      const existingBook = await findBookWithIsbn(
+        booksCollection,
+        book.librarian,
+        isbnChange.to,
+        book._id
+      );
+
+      if (existingBook) {
+        return errorResponse(
+          res,
+          "Cannot revert: the book owner now has another book with that ISBN",
+          409
+        );
+      }
+    }
+
+    const updateData = {};
+    changes.forEach((change) => {
+      updateData[change.field] = change.to;
+    });
+
+    // A restored lower price or category may not leave room for a fixed sale
+    const saleError = await checkPriceAgainstSales(book, updateData);
+    if (saleError) {
+      return errorResponse(res, `Cannot revert: ${saleError}`, 409);
+    }
+
+    // Significant changes are reviewed like any other update
+    const review = reviewAfterChange(book, changes, req.user);
+    if (review) {
+      Object.assign(updateData, review);
+    }
+    updateData.updatedAt = new Date();
+
+    await booksCollection.updateOne({ _id: book._id }, { $set: updateData });
+
+    await recordRevision({
+      bookId: book._id,
+      action: "revert",
+      changes: diffBook(book, updateData),
+      user: req.user,
+      extra: { revertedTo: targetRevision._id },
+    });
+    await recordPriceHistory({
+      bookId: book._id,
+      before: book,
+      after: { ...book, ...updateData },
+      source: "revert",
+      user: req.user,
+    });
+
+    const revertedBook = await booksCollection.findOne({ _id: book._id });
+
+    return successResponse(res, revertedBook, "Book reverted successfully");
+  } catch (error) {
+    console.error("❌ Error reverting book:", error);
+    return errorResponse(res, "Failed to revert book", 500, error.message);
+  }
+};
+
 module.exports = {
   addBook,
   getAllBooks,
+  getBestsellerBooks,
+  getTrendingBooks,
   getBookById,
+  getBookRecommendations,
+  getSearchSuggestions,
+  getBooksByIsbn,
   getLibrarianBooks,
   getAllBooksForAdmin,
   updateBook,
   deleteBook,
+  restoreBook,
+  purgeBook,
   toggleBookStatus,
+  addVariant,
+  updateVariant,
+  removeVariant,
+  getBookHistory,
+  revertBook,
 };
@@ -0,0 +1,458 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { reserveStock, releaseOrderStock } = require("../utils/inventory");
+const { recordOrderSales } = require("../utils/sales");
+const { priceOrder, roundPrice } = require("../utils/pricing");
+const { variantLabel } = require("../utils/variants");
+const {
+  resolveOrderVariant,
+  validateDeliveryDetails,
+  timelineEntry,
+} = require("../utils/orders");
+const {
+  MAX_LINE_QUANTITY,
+  MAX_CART_LINES,
+  parseQuantity,
+  isSameLine,
+  loadCartBooks,
+  describeCart,
+  getCartItems,
+} = require("../utils/cart");
+
+/**
+ * Get the logged-in user's cart
+ * Lines come with current book details, sale prices and stock; lines that
+ * cannot be checked out carry a `problem`
+ * @route GET /api/cart
+ * @access Protected (authenticated user)
+ */
+const getCart = async (req, res) => {
+  try {
+    const items = await getCartItems(req.user._id);
+
+    return successResponse(
+      res,
+      await describeCart(items),
+      "Cart retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting cart:", error);
+    return errorResponse(res, "Failed to get cart", 500, error.message);
+  }
+};
+
+/**
+ * Add a book to the cart
+ * Adding a book/variant already in the cart increases that line's quantity
+ * @route POST /api/cart/items
+ * @access Protected (authenticated user)
+ * @body bookId, variantId (books sold in variants), quantity (default 1)
+ */
+const addCartItem = async (req, res) => {
+  try {
+    const { bookId, variantId } = req.body;
+
+    if (!bookId) {
+      return errorResponse(res, "Book ID is required", 400);
+    }
+
+    if (!ObjectId.isValid(bookId)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    const quantity = parseQuantity(req.body.quantity);
+    if (quantity === null) {
+      return errorResponse(
+        res,
+        `Quantity must be a whole number between 1 and ${MAX_LINE_QUANTITY}`,
+        400
+      );
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+
+    const { variant, error, status } = resolveOrderVariant(book, variantId);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+
+    const userId = new ObjectId(req.user._id);
+    const variantKey = variant ? variant._id : null;
+    const items = await getCartItems(userId);
+    const existing = items.find((line) =>
+      isSameLine(line, book._id, variantKey)
+    );
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+    if (newQuantity > MAX_LINE_QUANTITY) {
+      return errorResponse(
+        res,
+        `You can order at most ${MAX_LINE_QUANTITY} copies of a book at once`,
+        400
+      );
+    }
+
+    if (!existing && items.length >= MAX_CART_LINES) {
+      return errorResponse(
+        res,
+        `Your cart can hold at most ${MAX_CART_LINES} different books`,
+        400
+      );
+    }
+
+    const inStock = (variant || book).quantity || 0;
+    if (inStock < newQuantity) {
+      return errorResponse(
+        res,
+        inStock > 0
+          ? `Only ${inStock} copies of this book are in stock`
+          : "This book is out of stock",
+        409
+      );
+    }
+
+    const cartsCollection = getCollection(COLLECTIONS.CARTS);
+    const now = new Date();
+
+    if (existing) {
+      await cartsCollection.updateOne(
+        { user: userId, "items._id": existing._id },
+        { $set: { "items.$.quantity": newQuantity, updatedAt: now } }
+      );
+    } else {
+      await cartsCollection.updateOne(
+        { user: userId },
+        {
+          $push: {
+            items: {
+              _id: new ObjectId(),
+              book: book._id,
+              variant: variantKey,
+              quantity,
+              addedAt: now,
+            },
+          },
+          $set: { updatedAt: now },
+          $setOnInsert: { user: userId, createdAt: now },
+        },
+        { upsert: true }
+      );
+    }
+
+    return successResponse(
+      res,
+      await describeCart(await getCartItems(userId)),
+      "Book added to cart successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error adding to cart:", error);
+    return errorResponse(res, "Failed to add book to cart", 500, error.message);
+  }
+};
+
+/**
+ * Change the quantity of a cart line
+ * @route PATCH /api/cart/items/:itemId
+ * @access Protected (authenticated user)
+ * @body quantity
+ */
+const updateCartItem = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    if (!ObjectId.isValid(itemId)) {
+      return errorResponse(res, "Invalid cart item ID format", 400);
+    }
+
+    if (req.body.quantity === undefined) {
+      return errorResponse(res, "Quantity is required", 400);
+    }
+
+    const quantity = parseQuantity(req.body.quantity);
+    if (quantity === null) {
+      return errorResponse(
+        res,
+        `Quantity must be a whole number between 1 and ${MAX_LINE_QUANTITY}`,
+        400
+      );
+    }
+
+    const userId = new ObjectId(req.user._id);
+    const items = await getCartItems(userId);
+    const line = items.find((item) => item._id.toString() === itemId);
+
+    if (!line) {
+      return errorResponse(res, "Cart item not found", 404);
+    }
+
+    // Only check the stock when asking for more copies, so a line can
+    // always be lowered
+    if (quantity > line.quantity) {
+      const booksById = await loadCartBooks([line]);
+      const book = booksById.get(line.book.toString());
+      const variant =
+        book && line.variant
+          ? (book.variants || []).find((option) =>
+              option._id.equals(line.variant)
+            )
+          : null;
+      const inStock = book ? (variant || book).quantity || 0 : 0;
+
+      if (inStock < quantity) {
+        return errorResponse(
+          res,
+          inStock > 0
+            ? `Only ${inStock} copies of this book are in stock`
+            : "This book is out of stock",
+          409
+        );
+      }
+    }
+
+    await getCollection(COLLECTIONS.CARTS).updateOne(
+      { user: userId, "items._id": line._id },
+      { $set: { "items.$.quantity": quantity, updatedAt: new Date() } }
+    );
+
+    return successResponse(
+      res,
+      await describeCart(await getCartItems(userId)),
+      "Cart item updated successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error updating cart item:", error);
+    return errorResponse(res, "Failed to update cart item", 500, error.message);
+  }
+};
+
+/**
+ * Remove a line from the cart
+ * @route DELETE /api/cart/items/:itemId
+ * @access Protected (authenticated user)
+ */
+const removeCartItem = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    if (!ObjectId.isValid(itemId)) {
+      return errorResponse(res, "Invalid cart item ID format", 400);
+    }
+
+    const userId = new ObjectId(req.user._id);
+    const result = await getCollection(COLLECTIONS.CARTS).updateOne(
+      { user: userId, "items._id": new ObjectId(itemId) },
+      {
+        $pull: { items: { _id: new ObjectId(itemId) } },
+        $set: { updatedAt: new Date() },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return errorResponse(res, "Cart item not found", 404);
+    }
+
+    return successResponse(
+      res,
+      await describeCart(await getCartItems(userId)),
+      "Cart item removed successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error removing cart item:", error);
+    return errorResponse(res, "Failed to remove cart item", 500, error.message);
+  }
+};
+
+/**
+ * Empty the cart
+ * @route DELETE /api/cart
+ * @access Protected (authenticated user)
+ */
+const clearCart = async (req, res) => {
+  try {
+    await getCollection(COLLECTIONS.CARTS).updateOne(
+      { user: new ObjectId(req.user._id) },
+      { $set: { items: [], updatedAt: new Date() } }
+    );
+
+    return successResponse(
+      res,
+      await describeCart([]),
+      "Cart cleared successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error clearing cart:", error);
+    return errorResponse(res, "Failed to clear cart", 500, error.message);
+  }
+};
+
+/**
+ * Place one order for everything in the cart
+ * The order lists each book as a line item with its own price and
+ * librarian, ships to a single delivery address and is paid with one
+ * payment (POST /api/payments for the order's totalAmount). Stock is
+ * reserved line by line; if any line runs out, the copies already reserved
+ * are returned and nothing is ordered.
+ * @route POST /api/cart/checkout
+ * @access Protected (authenticated user)
+ * @body userName, userEmail, phoneNumber, address
+ */
+const checkout = async (req, res) => {
+  try {
+    const { userName, userEmail, phoneNumber, address } = req.body;
+
+    const detailsError = validateDeliveryDetails(req.body);
+    if (detailsError) {
+      return errorResponse(res, detailsError, 400);
+    }
+
+    const userId = new ObjectId(req.user._id);
+    const cartItems = await getCartItems(userId);
+
+    if (cartItems.length === 0) {
+      return errorResponse(res, "Your cart is empty", 400);
+    }
+
+    const cart = await describeCart(cartItems);
+    if (!cart.canCheckout) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Some books in your cart cannot be ordered. Update or remove them and try again.",
+        data: cart,
+      });
+    }
+
+    // Price every line with the sales running now; the order keeps each
+    // line's list price and discount so later price changes do not affect it
+    const booksById = await loadCartBooks(cartItems);
+    const items = [];
+    for (const line of cartItems) {
+      const book = booksById.get(line.book.toString());
+      const { variant } = resolveOrderVariant(
+        book,
+        line.variant ? line.variant.toString() : null
+      );
+      const pricing = await priceOrder(book, variant, line.quantity);
+
+      items.push({
+        book: book._id,
+        bookName: book.name,
+        variant: variant ? variant._id : null,
+        variantLabel: variant ? variantLabel(variant) : null,
+        librarian: book.librarian,
+        quantity: line.quantity,
+        listPrice: pricing.listPrice,
+        discount: pricing.discount,
+        sale: pricing.sale,
+        totalAmount: pricing.totalAmount,
+      });
+    }
+
+    // Atomically reserve every line; give back what was taken if one fails
+    const reserved = [];
+    for (const line of items) {
+      const reservedBook = await reserveStock(
+        line.book,
+        line.quantity,
+        line.variant
+      );
+
+      if (!reservedBook) {
+        await releaseOrderStock({ items: reserved });
+        return errorResponse(
+          res,
+          line.variantLabel
+            ? `"${line.bookName}" (${line.variantLabel}) no longer has ${line.quantity} copies in stock`
+            : `"${line.bookName}" no longer has ${line.quantity} copies in stock`,
+          409
+        );
+      }
+      reserved.push(line);
+    }
+
+    const librarians = [
+      ...new Map(
+        items.map((line) => [line.librarian.toString(), line.librarian])
+      ).values(),
+    ];
+
+    const orderDate = new Date();
+    const orderDocument = {
+      user: userId,
+      items,
+      librarians,
+      librarian: librarians.length === 1 ? librarians[0] : null,
+      userName: userName.trim(),
+      userEmail: userEmail.trim().toLowerCase(),
+      phoneNumber: phoneNumber.trim(),
+      address: address.trim(),
+      quantity: items.reduce((sum, line) => sum + line.quantity, 0),
+      orderStatus: "pending",
+      paymentStatus: "unpaid",
+      totalAmount: roundPrice(
+        items.reduce((sum, line) => sum + line.totalAmount, 0)
+      ),
+      orderDate,
+      timeline: [
+        timelineEntry({
+          from: null,
+          to: "pending",
+          user: req.user,
+          at: orderDate,
+        }),
+      ],
+    };
+
+    const ordersCollection = getCollection(COLLECTIONS.ORDERS);
+    let result;
+    try {
+      result = await ordersCollection.insertOne(orderDocument);
+    } catch (insertError) {
+      // Rollback: Return the reserved copies if the order could not be stored
+      await releaseOrderStock(orderDocument);
+      throw insertError;
+    }
+
+    if (!result.acknowledged) {
+      await releaseOrderStock(orderDocument);
+      return errorResponse(res, "Failed to place order", 500);
+    }
+
+    // Count the order towards bestseller and trending rankings
+    await recordOrderSales(orderDocument);
+
+    // Only the lines that were ordered leave the cart, in case books were
+    // added meanwhile
+    await getCollection(COLLECTIONS.CARTS).updateOne(
+      { user: userId },
+      {
+        $pull: {
+          items: { _id: { $in: cartItems.map((line) => line._id) } },
+        },
+        $set: { updatedAt: new Date() },
+      }
+    );
+
+    return successResponse(
+      res,
+      { _id: result.insertedId, ...orderDocument },
+      "Order placed successfully",
+      201
+    );
+  } catch (error) {
+    console.error("❌ Error checking out cart:", error);
+    return errorResponse(res, "Failed to place order", 500, error.message);
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout,
+};
@@ -0,0 +1,695 @@
+const { once } = require("events");
+const { ObjectId } = require("mongodb");
+const { validationResult } = require("express-validator");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { parseCsv, formatCsvRow } = require("../utils/csv");
+const { buildBookFilters, ratingStages } = require("../utils/bookQuery");
+const { parseIsbn } = require("../utils/isbn");
+const { resolveCategory } = require("../utils/categories");
+const { resolveAuthor, findOrCreateAuthor } = require("../utils/authors");
+const { validateScheduleWindow } = require("../utils/schedule");
+const {
+  APPROVED_STATUSES,
+  requiresReview,
+  initialModeration,
+  reviewAfterChange,
+} = require("../utils/moderation");
+const {
+  recordPriceHistory,
+  checkPriceAgainstSales,
+} = require("../utils/pricing");
+const { stockUpdate } = require("../utils/inventory");
+const { isRestock, notifyBackInStock } = require("../utils/stockAlerts");
+const { validateBookInput } = require("../middleware/validate");
+const Book = require("../models/Book");
+const {
+  TRACKED_FIELDS,
+  diffBook,
+  recordRevisions,
+} = require("../utils/bookRevisions");
+
+// Upper bound on rows accepted in a single import request
+const MAX_IMPORT_ROWS = 5000;
+
+// Alternative column names accepted in import files (e.g. from an export)
+const COLUMN_ALIASES = {
+  imageURL: "image",
+  isbn13: "isbn",
+  isbn10: "isbn",
+};
+
+// Columns kept as numbers when a JSON row gives them as numbers; every
+// other column is read as text
+const NUMERIC_IMPORT_COLUMNS = ["price", "quantity"];
+
+// Columns available for export, in default output order
+const EXPORT_COLUMNS = [
+  "_id",
+  "name",
+  "author",
+  "imageURL",
+  "price",
+  "quantity",
+  "status",
+  "publishAt",
+  "unpublishAt",
+  "category",
+  "description",
+  "isbn10",
+  "isbn13",
+  "librarian",
+  "archivedAt",
+  "createdAt",
+  "updatedAt",
+  "averageRating",
+  "reviewCount",
+];
+
+// Columns that need reviews joined in
+const RATING_COLUMNS = ["averageRating", "reviewCount"];
+
+/**
+ * Map an uploaded row onto the field names used by addBook
+ * String values are trimmed; empty values are treated as absent. Only
+ * numeric columns keep JSON numbers, so a title like 1984 is read as text
+ * @param {Object} raw - Row as parsed from CSV or JSON
+ * @returns {Object} Normalised row
+ */
+const normalizeImportRow = (raw) => {
+  const row = {};
+
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    const field = COLUMN_ALIASES[key] || key;
+    const normalized = typeof value === "string" ? value.trim() : value;
+
+    if (normalized === "" || normalized === null || normalized === undefined) {
+      return;
+    }
+    // Prefer the canonical column when both it and an alias are present
+    if (row[field] !== undefined && field !== key) return;
+
+    row[field] =
+      typeof normalized === "number" && NUMERIC_IMPORT_COLUMNS.includes(field)
+        ? normalized
+        : String(normalized);
+  });
+
+  return row;
+};
+
+/**
+ * Run a row through the same rules as Book.validate and validateBookInput
+ * @param {Object} row - Normalised row
+ * @param {ObjectId} librarianId - Owner of the imported books
+ * @returns {Promise<string[]>} Validation error messages (empty if valid)
+ */
+const validateImportRow = async (row, librarianId) => {
+  const errors = Book.validate({ ...row, librarian: librarianId });
+
+  // express-validator chains can be run against any request-like object
+  const validationRequest = { body: { ...row } };
+  await Promise.all(
+    validateBookInput.map((chain) => chain.run(validationRequest))
+  );
+  validationResult(validationRequest)
+    .array()
+    .forEach((error) => errors.push(error.msg));
+
+  if (row.publishAt && row.unpublishAt) {
+    const windowError = validateScheduleWindow(
+      new Date(row.publishAt),
+      new Date(row.unpublishAt)
+    );
+    if (windowError) errors.push(windowError);
+  }
+
+  return [...new Set(errors)];
+};
+
+/**
+ * Build the book fields for a validated row
+ * Optional columns left empty are omitted so updates keep existing values
+ * @param {Object} row - Normalised, validated row
+ * @param {Object|null} isbn - Parsed ISBN ({ isbn10, isbn13 }) or null
+ * @param {Object|null} category - Resolved category document or null
+ * @param {Object|null} author - Linked author document (null on a dry run
+ *   when the author does not exist yet)
+ * @returns {Object} Book fields
+ */
+const buildBookFields = (row, isbn, category, author) => {
+  const fields = {
+    name: row.name,
+    author: author ? author.name : row.author,
+    price: parseFloat(row.price),
+  };
+
+  if (row.image !== undefined) fields.imageURL = row.image;
+  if (row.quantity !== undefined) fields.quantity = Number(row.quantity);
+  if (row.status !== undefined) fields.status = row.status;
+  if (row.publishAt !== undefined) fields.publishAt = new Date(row.publishAt);
+  if (row.unpublishAt !== undefined) {
+    fields.unpublishAt = new Date(row.unpublishAt);
+  }
+  if (author) fields.authors = [author._id];
+  if (category) {
+    fields.category = category.name;
+    fields.categoryId = category._id;
+  }
+  if (row.description !== undefined) fields.description = row.description;
+  if (isbn) {
+    fields.isbn10 = isbn.isbn10;
+    fields.isbn13 = isbn.isbn13;
+  }
+
+  return fields;
+};
+
+/**
+ * Key used to match rows to existing books when no ISBN is given
+ * @param {string} name - Book name
+ * @param {string} author - Author name
+ * @returns {string} Case-insensitive name+author key
+ */
+const nameAuthorKey = (name, author) =>
+  `${String(name).trim().toLowerCase()}\u0000${String(author)
+    .trim()
+    .toLowerCase()}`;
+
+/**
+ * Extract import rows from the request body (CSV text or JSON)
+ * @param {Request} req - Express request object
+ * @returns {Object[]} Raw rows
+ * @throws {Error} If the body cannot be read as CSV or JSON rows
+ */
+const readImportRows = (req) => {
+  if (typeof req.body === "string") {
+    return parseCsv(req.body);
+  }
+
+  const rows = Array.isArray(req.body) ? req.body : req.body?.books;
+  if (!Array.isArray(rows)) {
+    throw new Error(
+      "Request body must be CSV text or JSON with a 'books' array"
+    );
+  }
+  return rows;
+};
+
+/**
+ * Bulk import books from CSV or JSON
+ * Rows are matched to the librarian's existing books by ISBN, then by
+ * name + author; matches are updated, everything else is created.
+ * Books created or significantly changed by librarians wait for review.
+ * @route POST /api/books/import
+ * @access Librarian/Admin only
+ * @query dryRun=true - Validate and report without saving anything
+ */
+const importBooks = async (req, res) => {
+  try {
+    let rawRows;
+    try {
+      rawRows = readImportRows(req);
+    } catch (parseError) {
+      return errorResponse(res, parseError.message, 400);
+    }
+
+    if (rawRows.length === 0) {
+      return errorResponse(res, "No rows found to import", 400);
+    }
+
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+      return errorResponse(
+        res,
+        `Too many rows. A single import may contain at most ${MAX_IMPORT_ROWS} rows`,
+        400
+      );
+    }
+
+    const dryRun =
+      req.query.dryRun === "true" ||
+      (req.body && !Array.isArray(req.body) && req.body.dryRun === true);
+
+    const librarianId = new ObjectId(req.user._id);
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+    // Index the librarian's existing books for matching (tracked fields are
+    // loaded too so updates can be recorded in each book's history)
+    const existingBooks = await booksCollection
+      .find(
+        { librarian: librarianId, archivedAt: null },
+        {
+          projection: {
+            ...Object.fromEntries(TRACKED_FIELDS.map((field) => [field, 1])),
+            variants: 1,
+            moderation: 1,
+          },
+        }
+      )
+      .toArray();
+
+    const booksByIsbn = new Map();
+    const booksByNameAuthor = new Map();
+    existingBooks.forEach((book) => {
+      if (book.isbn13) booksByIsbn.set(book.isbn13, book);
+      booksByNameAuthor.set(nameAuthorKey(book.name, book.author), book);
+    });
+
+    const report = [];
+    const operations = [];
+    const operationRows = [];
+    const operationRevisions = [];
+    const operationPrices = [];
+    const operationRestocks = [];
+    const seenKeys = new Map();
+    const categoriesByName = new Map();
+    const authorsByName = new Map();
+    const now = new Date();
+
+    for (let index = 0; index < rawRows.length; index++) {
+      const rowNumber = index + 1;
+      const row = normalizeImportRow(rawRows[index]);
+
+      const errors = await validateImportRow(row, librarianId);
+      if (errors.length > 0) {
+        report.push({ row: rowNumber, status: "rejected", errors });
+        continue;
+      }
+
+      const isbn = row.isbn ? parseIsbn(row.isbn) : null;
+      const key = nameAuthorKey(row.name, row.author);
+
+      const match =
+        (isbn && booksByIsbn.get(isbn.isbn13)) || booksByNameAuthor.get(key);
+
+      // New books without a category go to "General"; updates keep theirs
+      const categoryName =
+        row.category !== undefined ? row.category : !match && "General";
+      let category = null;
+      if (categoryName) {
+        if (!categoriesByName.has(categoryName)) {
+          categoriesByName.set(
+            categoryName,
+            await resolveCategory(categoryName)
+          );
+        }
+        category = categoriesByName.get(categoryName);
+
+        if (!category) {
+          report.push({
+            row: rowNumber,
+            status: "rejected",
+            errors: [`Unknown category '${categoryName}'`],
+          });
+          continue;
+        }
+      }
+
+      // Reject rows repeating an earlier row of the same file
+      const duplicateOf =
+        (isbn && seenKeys.get(isbn.isbn13)) || seenKeys.get(key);
+      if (duplicateOf) {
+        report.push({
+          row: rowNumber,
+          status: "rejected",
+          errors: [`Duplicate of row ${duplicateOf} in this import`],
+        });
+        continue;
+      }
+      if (isbn) seenKeys.set(isbn.isbn13, rowNumber);
+      seenKeys.set(key, rowNumber);
+
+      // Link the row to its author record (created on a real run if missing).
+      // An update naming the same author(s) keeps the book's linked authors.
+      const keepAuthors =
+        match &&
+        String(match.author).toLowerCase() === row.author.toLowerCase();
+      if (!keepAuthors && !authorsByName.has(row.author)) {
+        authorsByName.set(
+          row.author,
+          dryRun
+            ? await resolveAuthor(row.author)
+            : await findOrCreateAuthor(row.author, req.user)
+        );
+      }
+
+      const fields = buildBookFields(
+        row,
+        isbn,
+        category,
+        keepAuthors ? null : authorsByName.get(row.author)
+      );
+      if (keepAuthors) delete fields.author;
+
+      if (match) {
+        // Price and stock of books sold in variants are managed per variant
+        if (match.variants && match.variants.length > 0) {
+          delete fields.price;
+          delete fields.quantity;
+        }
+
+        // A lower price or a new category may bring the book under a fixed
+        // sale it cannot absorb
+        const saleError = await checkPriceAgainstSales(match, fields);
+        if (saleError) {
+          report.push({
+            row: rowNumber,
+            status: "rejected",
+            errors: [saleError],
+          });
+          continue;
+        }
+
+        // "draft" only applies to new books, and the status of books under
+        // review is decided by the moderator
+        if (
+          fields.status === "draft" ||
+          (requiresReview(req.user) &&
+            !APPROVED_STATUSES.includes(match.status))
+        ) {
+          delete fields.status;
+        }
+
+        // Significant changes send the book back to review
+        const review = reviewAfterChange(
+          match,
+          diffBook(match, fields),
+          req.user,
+          now
+        );
+        if (review) {
+          review.moderation.requestedStatus =
+            fields.status || review.moderation.requestedStatus;
+          Object.assign(fields, review);
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { _id: match._id },
+            update: stockUpdate(match, { ...fields, updatedAt: now }),
+          },
+        });
+        if (
+          fields.quantity !== undefined &&
+          isRestock(match.quantity, fields.quantity)
+        ) {
+          operationRestocks.push({ index: operations.length - 1, match });
+        }
+        operationRows.push(report.length);
+        operationRevisions.push({
+          bookId: match._id,
+          action: "import",
+          changes: diffBook(match, fields),
+          user: req.user,
+        });
+        operationPrices.push({
+          bookId: match._id,
+          before: match,
+          after: { ...match, ...fields },
+          source: "import",
+          user: req.user,
+        });
+        report.push({
+          row: rowNumber,
+          status: "updated",
+          bookId: match._id,
+          ...(review ? { pendingReview: true } : {}),
+        });
+      } else {
+        const bookId = new ObjectId();
+        const moderationState = initialModeration(fields.status, req.user, now);
+        const document = {
+          _id: bookId,
+          quantity: 0,
+          imageURL: null,
+          coverImage: null,
+          publishAt: null,
+          unpublishAt: null,
+          description: "",
+          isbn10: null,
+          isbn13: null,
+          series: null,
+          variants: [],
+          ...fields,
+          status: moderationState.status,
+          moderation: moderationState.moderation,
+          librarian: librarianId,
+          createdAt: now,
+          updatedAt: now,
+        };
+        operations.push({ insertOne: { document } });
+        operationRows.push(report.length);
+        operationRevisions.push({
+          bookId,
+          action: "create",
+          changes: diffBook({}, document),
+          user: req.user,
+        });
+        operationPrices.push({
+          bookId,
+          before: {},
+          after: document,
+          source: "import",
+          user: req.user,
+        });
+        report.push({
+          row: rowNumber,
+          status: "created",
+          bookId,
+          ...(document.status === "pending_review"
+            ? { pendingReview: true }
+            : {}),
+        });
+      }
+    }
+
+    if (!dryRun && operations.length > 0) {
+      try {
+        await booksCollection.bulkWrite(operations, { ordered: false });
+      } catch (writeError) {
+        if (!writeError.writeErrors) throw writeError;
+
+        // Unordered writes continue past failures; mark just the failed rows
+        [].concat(writeError.writeErrors).forEach((failure) => {
+          const entry = report[operationRows[failure.index]];
+          entry.status = "rejected";
+          entry.errors = [
+            failure.code === 11000
+              ? "ISBN is already used by another of your books"
+              : failure.errmsg,
+          ];
+          delete entry.bookId;
+        });
+      }
+
+      // Record history for every row that was actually written
+      const written = (entry, index) =>
+        report[operationRows[index]].status !== "rejected";
+      await recordRevisions(operationRevisions.filter(written));
+      await recordPriceHistory(operationPrices.filter(written));
+
+      // Tell subscribers about the books the import brought back in stock
+      const restockedIds = operationRestocks
+        .filter(({ index }) => written(null, index))
+        .map(({ match }) => match._id);
+      if (restockedIds.length > 0) {
+        const restockedBooks = await booksCollection
+          .find({ _id: { $in: restockedIds }, quantity: { $gt: 0 } })
+          .toArray();
+        for (const book of restockedBooks) {
+          await notifyBackInStock(book);
+        }
+      }
+    }
+
+    const summary = {
+      total: report.length,
+      created: 0,
+      updated: 0,
+      rejected: 0,
+    };
+    report.forEach((entry) => {
+      summary[entry.status] += 1;
+    });
+
+    return successResponse(
+      res,
+      { dryRun, summary, rows: report },
+      dryRun
+        ? "Import validated. No changes were saved (dry run)"
+        : "Import completed"
+    );
+  } catch (error) {
+    console.error("❌ Error importing books:", error);
+    return errorResponse(res, "Failed to import books", 500, error.message);
+  }
+};
+
+/**
+ * Write a chunk to the response, waiting for the socket to drain when its
+ * buffer is full so large exports do not pile up in memory
+ * Rejects when the client has gone away, since `drain` would never come
+ * @param {Response} res - Express response object
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error("Client disconnected during export");
+  }
+  if (res.write(chunk)) return;
+
+  // Whichever comes first wins; the other listener is removed
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    const event = await Promise.race([
+      once(res, "drain", { signal }).then(() => "drain"),
+      once(res, "close", { signal }).then(() => "close"),
+    ]);
+    if (event === "close") {
+      throw new Error("Client disconnected during export");
+    }
+  } finally {
+    controller.abort();
+  }
+};
+
+/**
+ * Export books as CSV or NDJSON (streamed)
+ * Librarians export their own catalog; admins export the whole catalog
+ * (optionally narrowed to one librarian)
+ * @route GET /api/books/export
+ * @access Librarian/Admin only
+ * @query format (csv, ndjson), columns (comma-separated), status, librarian (admin only)
+ * @query category, author, minPrice, maxPrice, minRating, inStock - same as GET /api/books
+ */
+const exportBooks = async (req, res) => {
+  try {
+    const { format = "csv", status, librarian } = req.query;
+
+    const validFormats = ["csv", "ndjson"];
+    if (!validFormats.includes(format)) {
+      return errorResponse(
+        res,
+        `Invalid format. Must be one of: ${validFormats.join(", ")}`,
+        400
+      );
+    }
+
+    // Resolve the requested columns
+    const columns = req.query.columns
+      ? String(req.query.columns)
+          .split(",")
+          .map((column) => column.trim())
+          .filter(Boolean)
+      : EXPORT_COLUMNS;
+    const unknownColumns = columns.filter(
+      (column) => !EXPORT_COLUMNS.includes(column)
+    );
+
+    if (columns.length === 0 || unknownColumns.length > 0) {
+      return errorResponse(
+        res,
+        `Invalid columns: ${unknownColumns.join(", ") || "none given"}. ` +
+          `Available columns: ${EXPORT_COLUMNS.join(", ")}`,
+        400
+      );
+    }
+
+    const { filter, minRating, error } = await buildBookFilters(req.query);
+
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    // Scope the export to the caller's catalog unless they are an admin
+    const isAdmin = req.user.role === "admin";
+    const query = { ...filter };
+
+    if (!isAdmin) {
+      query.librarian = new ObjectId(req.user._id);
+      query.archivedAt = null;
+    } else if (librarian) {
+      if (!ObjectId.isValid(librarian)) {
+        return errorResponse(res, "Invalid librarian ID format", 400);
+      }
+      query.librarian = new ObjectId(librarian);
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const pipeline = [{ $match: query }, { $sort: { createdAt: -1, _id: 1 } }];
+
+    if (
+      minRating !== undefined ||
+      columns.some((column) => RATING_COLUMNS.includes(column))
+    ) {
+      pipeline.push(...ratingStages());
+      if (minRating !== undefined) {
+        pipeline.push({ $match: { averageRating: { $gte: minRating } } });
+      }
+    }
+
+    pipeline.push({
+      $project: Object.fromEntries(columns.map((column) => [column, 1])),
+    });
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const cursor = booksCollection.aggregate(pipeline);
+
+    const date = new Date().toISOString().slice(0, 10);
+    const extension = format === "csv" ? "csv" : "ndjson";
+    res.status(200);
+    res.setHeader(
+      "Content-Type",
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/x-ndjson; charset=utf-8"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="books-${date}.${extension}"`
+    );
+
+    try {
+      if (format === "csv") {
+        await writeChunk(res, formatCsvRow(columns));
+      }
+
+      for await (const book of cursor) {
+        if (format === "csv") {
+          await writeChunk(
+            res,
+            formatCsvRow(columns.map((column) => book[column]))
+          );
+        } else {
+          const record = {};
+          columns.forEach((column) => {
+            record[column] = book[column] === undefined ? null : book[column];
+          });
+          await writeChunk(res, `${JSON.stringify(record)}\n`);
+        }
+      }
+
+      res.end();
+    } catch (streamError) {
+      // Headers are already sent, so the only option is to abort the download
+      console.error("❌ Error streaming book export:", streamError);
+      res.destroy(streamError);
+    } finally {
+      await cursor.close();
+    }
+  } catch (error) {
+    console.error("❌ Error exporting books:", error);
+    return errorResponse(res, "Failed to export books", 500, error.message);
+  }
+};
+
+module.exports = {
+  importBooks,
+  exportBooks,
+};
@@ -0,0 +1,485 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { publicBookFilter } = require("../utils/bookQuery");
+const {
+  slugify,
+  resolveCategory,
+  buildCategoryTree,
+} = require("../utils/categories");
+const { diffBook, recordRevisions } = require("../utils/bookRevisions");
+const Category = require("../models/Category");
+
+/**
+ * Find another category already using one of the given slugs as its slug or alias
+ * @param {string[]} slugs - Slugs to check
+ * @param {ObjectId|null} excludeId - Category to ignore (the one being edited)
+ * @returns {Promise<Object|null>} Conflicting category or null
+ */
+const findSlugConflict = (slugs, excludeId = null) => {
+  const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+  const query = {
+    $or: [{ slug: { $in: slugs } }, { aliases: { $in: slugs } }],
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return categoriesCollection.findOne(query);
+};
+
+/**
+ * Count published books per category
+ * @returns {Promise<Map>} Map of category id string to book count
+ */
+const countBooksByCategory = async () => {
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+  const counts = await booksCollection
+    .aggregate([
+      { $match: { ...publicBookFilter(), categoryId: { $ne: null } } },
+      { $group: { _id: "$categoryId", count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * Get all categories as a tree (or a flat list with ?flat=true)
+ * Each category carries its own published book count
+ * @route GET /api/categories
+ * @access Public
+ */
+const getCategories = async (req, res) => {
+  try {
+    const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+
+    const [categories, bookCounts] = await Promise.all([
+      categoriesCollection.find({}).sort({ name: 1 }).toArray(),
+      countBooksByCategory(),
+    ]);
+
+    const withCounts = categories.map((category) => ({
+      ...category,
+      bookCount: bookCounts.get(category._id.toString()) || 0,
+    }));
+
+    const result =
+      req.query.flat === "true" ? withCounts : buildCategoryTree(withCounts);
+
+    return successResponse(
+      res,
+      { categories: result, count: categories.length },
+      "Categories retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting categories:", error);
+    return errorResponse(res, "Failed to get categories", 500, error.message);
+  }
+};
+
+/**
+ * Get a single category by id, slug or alias, with its breadcrumb and children
+ * @route GET /api/categories/:idOrSlug
+ * @access Public
+ */
+const getCategory = async (req, res) => {
+  try {
+    const category = await resolveCategory(req.params.idOrSlug);
+
+    if (!category) {
+      return errorResponse(res, "Category not found", 404);
+    }
+
+    const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+
+    const [ancestors, children] = await Promise.all([
+      categoriesCollection
+        .find(
+          { _id: { $in: category.ancestors } },
+          { projection: { name: 1, slug: 1 } }
+        )
+        .toArray(),
+      categoriesCollection
+        .find({ parent: category._id }, { projection: { name: 1, slug: 1 } })
+        .sort({ name: 1 })
+        .toArray(),
+    ]);
+
+    // Order the breadcrumb root first, as stored in `ancestors`
+    const breadcrumb = category.ancestors
+      .map((ancestorId) =>
+        ancestors.find((ancestor) => ancestor._id.equals(ancestorId))
+      )
+      .filter(Boolean);
+
+    return successResponse(
+      res,
+      { ...category, breadcrumb, children },
+      "Category retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting category:", error);
+    return errorResponse(res, "Failed to get category", 500, error.message);
+  }
+};
+
+/**
+ * Create a category, optionally under a parent
+ * @route POST /api/categories
+ * @access Admin only
+ */
+const createCategory = async (req, res) => {
+  try {
+    const errors = Category.validate(req.body);
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+
+    let ancestors = [];
+    if (req.body.parent) {
+      const parent = await categoriesCollection.findOne({
+        _id: new ObjectId(req.body.parent),
+      });
+
+      if (!parent) {
+        return errorResponse(res, "Parent category not found", 404);
+      }
+
+      ancestors = [...parent.ancestors, parent._id];
+    }
+
+    const category = new Category({ ...req.body, ancestors });
+    category.aliases = category.aliases.filter(
+      (alias) => alias !== category.slug
+    );
+
+    const conflict = await findSlugConflict([
+      category.slug,
+      ...category.aliases,
+    ]);
+    if (conflict) {
+      return errorResponse(
+        res,
+        `The name or an alias is already used by category '${conflict.name}'`,
+        409
+      );
+    }
+
+    const result = await categoriesCollection.insertOne(category);
+
+    return successResponse(
+      res,
+      { _id: result.insertedId, ...category },
+      "Category created successfully",
+      201
+    );
+  } catch (error) {
+    console.error("❌ Error creating category:", error);
+    if (error.code === 11000) {
+      return errorResponse(
+        res,
+        "A category with this name already exists",
+        409
+      );
+    }
+    return errorResponse(res, "Failed to create category", 500, error.message);
+  }
+};
+
+/**
+ * Update a category's name, description, aliases or parent
+ * Renaming keeps the old slug as an alias so existing links keep working,
+ * and updates the category name stored on its books. Moving a category
+ * moves its whole subtree.
+ * @route PUT /api/categories/:id
+ * @access Admin only
+ */
+const updateCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid category ID format", 400);
+    }
+
+    const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+    const category = await categoriesCollection.findOne({
+      _id: new ObjectId(id),
+    });
+
+    if (!category) {
+      return errorResponse(res, "Category not found", 404);
+    }
+
+    const { name, description, aliases, parent } = req.body;
+    const errors = Category.validate({
+      name: name === undefined ? category.name : name,
+      parent,
+      aliases,
+    });
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const updateData = {};
+    if (description !== undefined) updateData.description = description;
+
+    let nextAliases =
+      aliases === undefined
+        ? category.aliases
+        : aliases.map(slugify).filter(Boolean);
+
+    if (name !== undefined && name.trim() !== category.name) {
+      updateData.name = name.trim();
+      updateData.slug = slugify(name);
+      if (updateData.slug !== category.slug) {
+        nextAliases = [...nextAliases, category.slug];
+      }
+    }
+
+    const slug = updateData.slug || category.slug;
+    nextAliases = [...new Set(nextAliases)].filter((alias) => alias !== slug);
+    if (name !== undefined || aliases !== undefined) {
+      updateData.aliases = nextAliases;
+    }
+
+    const conflict = await findSlugConflict(
+      [slug, ...nextAliases],
+      category._id
+    );
+    if (conflict) {
+      return errorResponse(
+        res,
+        `The name or an alias is already used by category '${conflict.name}'`,
+        409
+      );
+    }
+
+    // Moving to a new parent (null moves the category to the top level)
+    let nextAncestors = null;
+    if (parent !== undefined) {
+      const currentParent = category.parent ? category.parent.toString() : null;
+      const requestedParent = parent ? String(parent) : null;
+
+      if (requestedParent !== currentParent) {
+        if (!requestedParent) {
+          nextAncestors = [];
+        } else {
+          const parentCategory = await categoriesCollection.findOne({
+            _id: new ObjectId(requestedParent),
+          });
+
+          if (!parentCategory) {
+            return errorResponse(res, "Parent category not found", 404);
+          }
+
+          if (
+            parentCategory._id.equals(category._id) ||
+            parentCategory.ancestors.some((ancestorId) =>
+              ancestorId.equals(category._id)
+            )
+          ) {
+            return errorResponse(
+              res,
+              "A category cannot be moved under itself or one of its descendants",
+              400
+            );
+          }
+
+          nextAncestors = [...parentCategory.ancestors, parentCategory._id];
+        }
+
+        updateData.parent = requestedParent
+          ? new ObjectId(requestedParent)
+          : null;
+        updateData.ancestors = nextAncestors;
+      }
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return errorResponse(res, "No valid fields to update", 400);
+    }
+
+    updateData.updatedAt = new Date();
+
+    await categoriesCollection.updateOne(
+      { _id: category._id },
+      { $set: updateData }
+    );
+
+    // Rewrite the ancestor path of every descendant: everything above the
+    // moved category is replaced, the part below it is kept
+    if (nextAncestors) {
+      await categoriesCollection.updateMany({ ancestors: category._id }, [
+        {
+          $set: {
+            ancestors: {
+              $concatArrays: [
+                [...nextAncestors, category._id],
+                {
+                  $slice: [
+                    "$ancestors",
+                    {
+                      $add: [
+                        { $indexOfArray: ["$ancestors", category._id] },
+                        1,
+                      ],
+                    },
+                    { $size: "$ancestors" },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+      ]);
+    }
+
+    // Keep the denormalised category name on books in sync, and in their
+    // history
+    if (updateData.name) {
+      const booksCollection = getCollection(COLLECTIONS.BOOKS);
+      const renamedBooks = await booksCollection
+        .find(
+          { categoryId: category._id, category: { $ne: updateData.name } },
+          { projection: { category: 1 } }
+        )
+        .toArray();
+      await booksCollection.updateMany(
+        { categoryId: category._id },
+        { $set: { category: updateData.name } }
+      );
+      await recordRevisions(
+        renamedBooks.map((book) => ({
+          bookId: book._id,
+          action: "category",
+          changes: [
+            { field: "category", from: book.category, to: updateData.name },
+          ],
+          user: req.user,
+        }))
+      );
+    }
+
+    return successResponse(
+      res,
+      { ...category, ...updateData },
+      "Category updated successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error updating category:", error);
+    if (error.code === 11000) {
+      return errorResponse(
+        res,
+        "A category with this name already exists",
+        409
+      );
+    }
+    return errorResponse(res, "Failed to update category", 500, error.message);
+  }
+};
+
+/**
+ * Delete a category
+ * Categories with subcategories cannot be deleted. Categories with books
+ * can only be deleted when `moveBooksTo` names a category to move them to.
+ * @route DELETE /api/categories/:id
+ * @access Admin only
+ */
+const deleteCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const moveBooksTo =
+      (req.body && req.body.moveBooksTo) || req.query.moveBooksTo;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid category ID format", 400);
+    }
+
+    const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+    const category = await categoriesCollection.findOne({
+      _id: new ObjectId(id),
+    });
+
+    if (!category) {
+      return errorResponse(res, "Category not found", 404);
+    }
+
+    const childCount = await categoriesCollection.countDocuments({
+      parent: category._id,
+    });
+    if (childCount > 0) {
+      return errorResponse(
+        res,
+        `This category has ${childCount} subcategory(ies). Move or delete them first.`,
+        409
+      );
+    }
+
+    // Archived books still reference their category, so they count too
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const bookCount = await booksCollection.countDocuments({
+      categoryId: category._id,
+    });
+
+    let movedBooks = 0;
+    if (bookCount > 0) {
+      if (!moveBooksTo) {
+        return errorResponse(
+          res,
+          `This category has ${bookCount} book(s). Provide moveBooksTo to move them to another category.`,
+          409
+        );
+      }
+
+      const target = await resolveCategory(moveBooksTo);
+      if (!target || target._id.equals(category._id)) {
+        return errorResponse(res, "Target category not found", 404);
+      }
+
+      const books = await booksCollection
+        .find(
+          { categoryId: category._id },
+          { projection: { category: 1, categoryId: 1 } }
+        )
+        .toArray();
+      const moved = { categoryId: target._id, category: target.name };
+      const result = await booksCollection.updateMany(
+        { categoryId: category._id },
+        { $set: { ...moved, updatedAt: new Date() } }
+      );
+      movedBooks = result.modifiedCount;
+
+      await recordRevisions(
+        books.map((book) => ({
+          bookId: book._id,
+          action: "category",
+          changes: diffBook(book, moved, ["category", "categoryId"]),
+          user: req.user,
+        }))
+      );
+    }
+
+    await categoriesCollection.deleteOne({ _id: category._id });
+
+    return successResponse(
+      res,
+      { movedBooks },
+      "Category deleted successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error deleting category:", error);
+    return errorResponse(res, "Failed to delete category", 500, error.message);
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
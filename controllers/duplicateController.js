@@ -0,0 +1,473 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const {
+  DUPLICATE_THRESHOLD,
+  DUPLICATE_PROJECTION,
+  clusterDuplicates,
+} = require("../utils/duplicates");
+const { recordRevisions } = require("../utils/bookRevisions");
+const { isRestock, notifyBackInStock } = require("../utils/stockAlerts");
+const { orderedBooksFilter, orderLineStages } = require("../utils/orders");
+
+/**
+ * Count documents per book in a collection
+ * @param {string} collectionName - Collection with a `book` field
+ * @param {ObjectId[]} bookIds - Books to count for
+ * @returns {Promise<Map>} Book id string -> count
+ */
+const countByBook = async (collectionName, bookIds) => {
+  const counts = await getCollection(collectionName)
+    .aggregate([
+      { $match: { book: { $in: bookIds } } },
+      { $group: { _id: "$book", count: { $sum: 1 } } },
+    ])
+    .toArray();
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * Count orders per book, counting cart orders for each book they include
+ * @param {ObjectId[]} bookIds - Books to count for
+ * @returns {Promise<Map>} Book id string -> count
+ */
+const countOrdersByBook = async (bookIds) => {
+  const counts = await getCollection(COLLECTIONS.ORDERS)
+    .aggregate([
+      { $match: orderedBooksFilter(bookIds) },
+      ...orderLineStages(),
+      { $match: { "line.book": { $in: bookIds } } },
+      { $group: { _id: "$line.book", orders: { $addToSet: "$_id" } } },
+    ])
+    .toArray();
+  return new Map(
+    counts.map((entry) => [entry._id.toString(), entry.orders.length])
+  );
+};
+
+/**
+ * Report clusters of books that look like duplicates of each other
+ * Books are only compared with other books of the same librarian. Each book
+ * comes with its order, review and wishlist counts to help pick the one to
+ * keep when merging.
+ * @route GET /api/books/admin/duplicates
+ * @access Admin only
+ * @query librarian (id), minScore (0.5-1, default 0.8)
+ */
+const getDuplicateReport = async (req, res) => {
+  try {
+    const { librarian } = req.query;
+
+    const minScore =
+      req.query.minScore === undefined
+        ? DUPLICATE_THRESHOLD
+        : Number(req.query.minScore);
+    if (isNaN(minScore) || minScore < 0.5 || minScore > 1) {
+      return errorResponse(res, "minScore must be between 0.5 and 1", 400);
+    }
+
+    const query = { archivedAt: null };
+    if (librarian) {
+      if (!ObjectId.isValid(librarian)) {
+        return errorResponse(res, "Invalid librarian ID format", 400);
+      }
+      query.librarian = new ObjectId(librarian);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const books = await booksCollection
+      .find(query, { projection: DUPLICATE_PROJECTION })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const byLibrarian = new Map();
+    books.forEach((book) => {
+      const key = book.librarian.toString();
+      if (!byLibrarian.has(key)) byLibrarian.set(key, []);
+      byLibrarian.get(key).push(book);
+    });
+
+    const clusters = [...byLibrarian.values()]
+      .flatMap((librarianBooks) => clusterDuplicates(librarianBooks, minScore))
+      .sort((a, b) => b.score - a.score);
+
+    const bookIds = clusters.flatMap((cluster) =>
+      cluster.books.map((book) => book._id)
+    );
+    const librarianIds = [
+      ...new Set(
+        clusters.map((cluster) => cluster.books[0].librarian.toString())
+      ),
+    ].map((id) => new ObjectId(id));
+
+    const [orders, reviews, wishlists, librarians] = await Promise.all([
+      countOrdersByBook(bookIds),
+      countByBook(COLLECTIONS.REVIEWS, bookIds),
+      countByBook(COLLECTIONS.WISHLISTS, bookIds),
+      getCollection(COLLECTIONS.USERS)
+        .find(
+          { _id: { $in: librarianIds } },
+          { projection: { name: 1, email: 1 } }
+        )
+        .toArray(),
+    ]);
+
+    const report = clusters.map((cluster) => ({
+      score: cluster.score,
+      librarian: librarians.find((user) =>
+        user._id.equals(cluster.books[0].librarian)
+      ) || { _id: cluster.books[0].librarian },
+      books: cluster.books.map((book) => {
+        const id = book._id.toString();
+        return {
+          _id: book._id,
+          name: book.name,
+          author: book.author,
+          isbn13: book.isbn13 || null,
+          status: book.status,
+          quantity: book.quantity,
+          createdAt: book.createdAt,
+          orders: orders.get(id) || 0,
+          reviews: reviews.get(id) || 0,
+          wishlists: wishlists.get(id) || 0,
+        };
+      }),
+      pairs: cluster.pairs,
+    }));
+
+    return successResponse(
+      res,
+      { clusters: report, count: report.length, minScore },
+      "Duplicate report generated successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error generating duplicate report:", error);
+    return errorResponse(
+      res,
+      "Failed to generate duplicate report",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Move per-user documents (one per user and book) from merged books to the
+ * target; where the user already has one for the target, theirs is kept
+ * and the merged book's is removed
+ * @param {string} collectionName - Collection with `user` and `book` fields
+ * @param {ObjectId[]} sourceIds - Merged books
+ * @param {ObjectId} targetId - Book kept
+ * @param {Object} filter - Extra filter (e.g. only waiting subscriptions)
+ * @returns {Promise<Object>} { moved, removed }
+ */
+const moveUserDocuments = async (
+  collectionName,
+  sourceIds,
+  targetId,
+  filter = {}
+) => {
+  const collection = getCollection(collectionName);
+
+  const [existing, incoming] = await Promise.all([
+    collection
+      .find({ ...filter, book: targetId }, { projection: { user: 1 } })
+      .toArray(),
+    collection
+      .find(
+        { ...filter, book: { $in: sourceIds } },
+        { projection: { user: 1 } }
+      )
+      .sort({ _id: -1 })
+      .toArray(),
+  ]);
+
+  // Newest document wins when a user has one on several merged books
+  const users = new Set(existing.map((document) => document.user.toString()));
+  const moved = [];
+  const removed = [];
+  incoming.forEach((document) => {
+    const user = document.user.toString();
+    if (users.has(user)) {
+      removed.push(document._id);
+    } else {
+      users.add(user);
+      moved.push(document._id);
+    }
+  });
+
+  if (removed.length > 0) {
+    await collection.deleteMany({ _id: { $in: removed } });
+  }
+  if (moved.length > 0) {
+    await collection.updateMany(
+      { _id: { $in: moved } },
+      { $set: { book: targetId } }
+    );
+  }
+
+  return { moved: moved.length, removed: removed.length };
+};
+
+/**
+ * Merge duplicate books into this book
+ * Orders, reviews, wishlist entries, back-in-stock subscriptions and daily
+ * sales counters of the duplicates move to this book, their stock is added
+ * to it, and the duplicates are archived with `mergedInto` pointing here.
+ * A user's review or wishlist entry already on this book is kept over the
+ * duplicates'.
+ * @route POST /api/books/:id/merge
+ * @access Admin only
+ * @body duplicateIds - Books to merge into this one (same librarian)
+ */
+const mergeBooks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateIds } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    if (
+      !Array.isArray(duplicateIds) ||
+      duplicateIds.length === 0 ||
+      !duplicateIds.every((duplicateId) => ObjectId.isValid(duplicateId))
+    ) {
+      return errorResponse(
+        res,
+        "duplicateIds must be a non-empty array of book IDs",
+        400
+      );
+    }
+
+    const targetId = new ObjectId(id);
+    const sourceIds = [...new Set(duplicateIds.map(String))]
+      .filter((duplicateId) => duplicateId !== id)
+      .map((duplicateId) => new ObjectId(duplicateId));
+
+    if (sourceIds.length === 0) {
+      return errorResponse(res, "A book cannot be merged into itself", 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const [target, sources] = await Promise.all([
+      booksCollection.findOne({ _id: targetId }),
+      booksCollection.find({ _id: { $in: sourceIds } }).toArray(),
+    ]);
+
+    if (!target || target.archivedAt) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    if (
+      sources.length !== sourceIds.length ||
+      sources.some((source) => source.archivedAt)
+    ) {
+      return errorResponse(res, "One or more duplicate books not found", 404);
+    }
+
+    if (sources.some((source) => !source.librarian.equals(target.librarian))) {
+      return errorResponse(
+        res,
+        "Only books of the same librarian can be merged",
+        400
+      );
+    }
+
+    // Variant stock and orders cannot be mapped onto another book's variants
+    if (sources.some((source) => (source.variants || []).length > 0)) {
+      return errorResponse(
+        res,
+        "Books sold in variants cannot be merged into another book",
+        400
+      );
+    }
+
+    const movedStock = sources.reduce(
+      (total, source) => total + Math.max(source.quantity || 0, 0),
+      0
+    );
+    if (movedStock > 0 && (target.variants || []).length > 0) {
+      return errorResponse(
+        res,
+        "The duplicates have copies in stock, which cannot be moved into a book sold in variants. Add them to a variant and set the duplicates' quantity to 0 first.",
+        400
+      );
+    }
+
+    const now = new Date();
+
+    // Archive the duplicates first so no new orders reach them. Each one is
+    // only archived with the stock that was read, since that is what moves.
+    const archived = await booksCollection.bulkWrite(
+      sources.map((source) => ({
+        updateOne: {
+          filter: {
+            _id: source._id,
+            archivedAt: null,
+            quantity: source.quantity === undefined ? null : source.quantity,
+          },
+          update: {
+            $set: {
+              archivedAt: now,
+              archivedBy: new ObjectId(req.user._id),
+              mergedInto: targetId,
+              quantity: 0,
+              updatedAt: now,
+            },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+
+    if (archived.modifiedCount !== sourceIds.length) {
+      // Put back the duplicates that were archived, with their stock (copies
+      // released by cancellations since then are kept)
+      await booksCollection.bulkWrite(
+        sources.map((source) => ({
+          updateOne: {
+            filter: { _id: source._id, archivedAt: now, mergedInto: targetId },
+            update: {
+              $set: {
+                archivedAt: null,
+                archivedBy: null,
+                mergedInto: null,
+                updatedAt: new Date(),
+              },
+              $inc: {
+                quantity:
+                  typeof source.quantity === "number" ? source.quantity : 0,
+              },
+            },
+          },
+        })),
+        { ordered: false }
+      );
+      return errorResponse(
+        res,
+        "A duplicate book was changed during the merge. Check the books and try again.",
+        409
+      );
+    }
+
+    const orders = await getCollection(COLLECTIONS.ORDERS).updateMany(
+      { book: { $in: sourceIds } },
+      [{ $set: { mergedFrom: "$book", book: targetId } }]
+    );
+    const cartOrders = await getCollection(COLLECTIONS.ORDERS).updateMany(
+      { "items.book": { $in: sourceIds } },
+      [
+        {
+          $set: {
+            items: {
+              $map: {
+                input: "$items",
+                as: "line",
+                in: {
+                  $cond: [
+                    { $in: ["$$line.book", sourceIds] },
+                    {
+                      $mergeObjects: [
+                        "$$line",
+                        { mergedFrom: "$$line.book", book: targetId },
+                      ],
+                    },
+                    "$$line",
+                  ],
+                },
+              },
+            },
+          },
+        },
+      ]
+    );
+
+    const [reviews, wishlists, subscriptions] = await Promise.all([
+      moveUserDocuments(COLLECTIONS.REVIEWS, sourceIds, targetId),
+      moveUserDocuments(COLLECTIONS.WISHLISTS, sourceIds, targetId),
+      moveUserDocuments(COLLECTIONS.STOCK_SUBSCRIPTIONS, sourceIds, targetId, {
+        status: "waiting",
+      }),
+    ]);
+
+    // Fold the duplicates' daily sales counters into the target's
+    const salesCollection = getCollection(COLLECTIONS.BOOK_SALES_DAILY);
+    const counters = await salesCollection
+      .find({ book: { $in: sourceIds } })
+      .toArray();
+    if (counters.length > 0) {
+      await salesCollection.bulkWrite(
+        counters.map((counter) => ({
+          updateOne: {
+            filter: { book: targetId, day: counter.day },
+            update: { $inc: { orders: counter.orders } },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+      await salesCollection.deleteMany({ book: { $in: sourceIds } });
+    }
+
+    let updatedTarget = target;
+    if (movedStock > 0) {
+      updatedTarget = await booksCollection.findOneAndUpdate(
+        { _id: targetId },
+        { $inc: { quantity: movedStock }, $set: { updatedAt: now } },
+        { returnDocument: "after" }
+      );
+    }
+
+    await recordRevisions([
+      {
+        bookId: targetId,
+        action: "merge",
+        changes: [
+          {
+            field: "quantity",
+            from: target.quantity,
+            to: updatedTarget.quantity,
+          },
+        ].filter((change) => change.from !== change.to),
+        user: req.user,
+        extra: { mergedBooks: sourceIds },
+      },
+      ...sources.map((source) => ({
+        bookId: source._id,
+        action: "merge",
+        changes: [{ field: "archivedAt", from: null, to: now }],
+        user: req.user,
+        extra: { mergedInto: targetId },
+      })),
+    ]);
+
+    if (isRestock(target.quantity, updatedTarget.quantity)) {
+      await notifyBackInStock(updatedTarget);
+    }
+
+    return successResponse(
+      res,
+      {
+        _id: targetId,
+        mergedBooks: sources.length,
+        quantity: updatedTarget.quantity,
+        orders: orders.modifiedCount + cartOrders.modifiedCount,
+        reviews,
+        wishlists,
+        subscriptions,
+      },
+      "Books merged successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error merging books:", error);
+    return errorResponse(res, "Failed to merge books", 500, error.message);
+  }
+};
+
+module.exports = {
+  getDuplicateReport,
+  mergeBooks,
+};
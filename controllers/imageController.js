@@ -0,0 +1,256 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { storeImage, removeImage } = require("../utils/images");
+const { reviewAfterChange } = require("../utils/moderation");
+const { diffBook, recordRevision } = require("../utils/bookRevisions");
+
+/**
+ * Content type of an upload, without parameters such as charset
+ * @param {Request} req - Express request object
+ * @returns {string} Lower-case media type
+ */
+const uploadType = (req) =>
+  (req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+
+/**
+ * Load a book whose cover is being changed, checking access
+ * Sends the error response itself and returns null when not allowed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Book document or null
+ */
+const loadBookForCover = async (req, res) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    errorResponse(res, "Invalid book ID format", 400);
+    return null;
+  }
+
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+  const book = await booksCollection.findOne({ _id: new ObjectId(id) });
+
+  if (!book) {
+    errorResponse(res, "Book not found", 404);
+    return null;
+  }
+
+  if (book.archivedAt) {
+    errorResponse(
+      res,
+      "Archived books cannot be modified. Restore the book first.",
+      400
+    );
+    return null;
+  }
+
+  const isOwner = book.librarian.toString() === req.user._id.toString();
+  if (!isOwner && req.user.role !== "admin") {
+    errorResponse(res, "You can only change the cover of your own books", 403);
+    return null;
+  }
+
+  return book;
+};
+
+/**
+ * Point a book at a new cover (or none) and record the change
+ * A changed cover is significant, so librarians' books go back to review
+ * @param {Object} book - Book before the change
+ * @param {Object|null} asset - Stored cover, or null to remove it
+ * @param {Object} user - Acting user (req.user)
+ * @returns {Promise<Object|null>} Applied update, or null if the book is gone
+ */
+const setBookCover = async (book, asset, user) => {
+  const updateData = {
+    imageURL: asset ? asset.url : null,
+    coverImage: asset,
+  };
+  const changes = diffBook(book, updateData);
+
+  const review = reviewAfterChange(book, changes, user);
+  if (review) Object.assign(updateData, review);
+  updateData.updatedAt = new Date();
+
+  const result = await getCollection(COLLECTIONS.BOOKS).updateOne(
+    { _id: book._id, archivedAt: null },
+    { $set: updateData }
+  );
+  if (result.matchedCount === 0) return null;
+
+  await recordRevision({
+    bookId: book._id,
+    action: "update",
+    changes: diffBook(book, updateData),
+    user,
+  });
+
+  return updateData;
+};
+
+/**
+ * Upload a book cover
+ * The image is sent as the raw request body. Replaced covers stay in
+ * storage so the book's revisions can still be reverted; they are removed
+ * when the book is purged.
+ * @route PUT /api/books/:id/cover
+ * @access Librarian (own books)/Admin
+ * @body Image bytes (Content-Type image/jpeg, image/png or image/webp)
+ */
+const uploadBookCover = async (req, res) => {
+  try {
+    const book = await loadBookForCover(req, res);
+    if (!book) return;
+
+    const { asset, error } = await storeImage(
+      req.body,
+      uploadType(req),
+      "cover",
+      book._id.toString()
+    );
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const update = await setBookCover(book, asset, req.user);
+    if (!update) {
+      await removeImage(asset);
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    return successResponse(
+      res,
+      {
+        imageURL: update.imageURL,
+        coverImage: update.coverImage,
+        status: update.status || book.status,
+      },
+      update.status === "pending_review" && book.status !== "pending_review"
+        ? "Cover uploaded and book submitted for review"
+        : "Cover uploaded successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error uploading book cover:", error);
+    return errorResponse(res, "Failed to upload cover", 500, error.message);
+  }
+};
+
+/**
+ * Remove a book's uploaded cover
+ * @route DELETE /api/books/:id/cover
+ * @access Librarian (own books)/Admin
+ */
+const removeBookCover = async (req, res) => {
+  try {
+    const book = await loadBookForCover(req, res);
+    if (!book) return;
+
+    if (!book.coverImage) {
+      return errorResponse(res, "This book has no uploaded cover", 404);
+    }
+
+    const update = await setBookCover(book, null, req.user);
+    if (!update) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    return successResponse(
+      res,
+      {
+        imageURL: null,
+        coverImage: null,
+        status: update.status || book.status,
+      },
+      "Cover removed successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error removing book cover:", error);
+    return errorResponse(res, "Failed to remove cover", 500, error.message);
+  }
+};
+
+/**
+ * Upload the user's avatar
+ * The image is sent as the raw request body; the previous avatar is deleted
+ * @route PUT /api/users/avatar
+ * @access Protected
+ * @body Image bytes (Content-Type image/jpeg, image/png or image/webp)
+ */
+const uploadAvatar = async (req, res) => {
+  try {
+    const userId = new ObjectId(req.user._id);
+
+    const { asset, error } = await storeImage(
+      req.body,
+      uploadType(req),
+      "avatar",
+      userId.toString()
+    );
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const usersCollection = getCollection(COLLECTIONS.USERS);
+    const previous = await usersCollection.findOneAndUpdate(
+      { _id: userId },
+      { $set: { photoURL: asset.url, avatar: asset, updatedAt: new Date() } },
+      { projection: { avatar: 1 } }
+    );
+
+    if (!previous) {
+      await removeImage(asset);
+      return errorResponse(res, "User not found", 404);
+    }
+
+    await removeImage(previous.avatar);
+
+    return successResponse(
+      res,
+      { photoURL: asset.url, avatar: asset },
+      "Avatar uploaded successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error uploading avatar:", error);
+    return errorResponse(res, "Failed to upload avatar", 500, error.message);
+  }
+};
+
+/**
+ * Remove the user's uploaded avatar
+ * @route DELETE /api/users/avatar
+ * @access Protected
+ */
+const removeAvatar = async (req, res) => {
+  try {
+    const usersCollection = getCollection(COLLECTIONS.USERS);
+    const previous = await usersCollection.findOneAndUpdate(
+      { _id: new ObjectId(req.user._id), avatar: { $ne: null } },
+      { $set: { photoURL: null, avatar: null, updatedAt: new Date() } },
+      { projection: { avatar: 1 } }
+    );
+
+    if (!previous) {
+      return errorResponse(res, "You have no uploaded avatar", 404);
+    }
+
+    await removeImage(previous.avatar);
+
+    return successResponse(
+      res,
+      { photoURL: null, avatar: null },
+      "Avatar removed successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error removing avatar:", error);
+    return errorResponse(res, "Failed to remove avatar", 500, error.message);
+  }
+};
+
+module.exports = {
+  uploadBookCover,
+  removeBookCover,
+  uploadAvatar,
+  removeAvatar,
+};
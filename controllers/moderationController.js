@@ -0,0 +1,328 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { diffBook, recordRevision } = require("../utils/bookRevisions");
+const { submission } = require("../utils/moderation");
+const {
+  parseCursorQuery,
+  cursorStages,
+  buildCursorPage,
+} = require("../utils/cursor");
+
+/**
+ * The moderation queue is worked through oldest submission first
+ */
+const QUEUE_SORT = { submittedAt: 1, _id: 1 };
+
+/**
+ * Longest accepted rejection reason
+ */
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * Get books waiting for review, oldest submission first
+ * Each book comes with its librarian and the changes of its latest revision,
+ * so reviewers can see what was added or edited
+ * @route GET /api/books/admin/moderation
+ * @access Admin only
+ * @query cursor, limit - optional cursor pagination
+ */
+const getModerationQueue = async (req, res) => {
+  try {
+    const cursor = parseCursorQuery(req.query, QUEUE_SORT, "oldest", 20);
+    if (cursor && cursor.error) {
+      return errorResponse(res, cursor.error, 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const query = { status: "pending_review", archivedAt: null };
+
+    const items = await booksCollection
+      .aggregate([
+        { $match: query },
+        { $addFields: { submittedAt: "$moderation.submittedAt" } },
+        ...(cursor
+          ? cursorStages(QUEUE_SORT, cursor)
+          : [{ $sort: QUEUE_SORT }]),
+        {
+          $lookup: {
+            from: COLLECTIONS.USERS,
+            localField: "librarian",
+            foreignField: "_id",
+            as: "librarianDetails",
+          },
+        },
+        {
+          $unwind: {
+            path: "$librarianDetails",
+            preserveNullAndEmptyArrays: true,
+          },
+        },
+        {
+          $lookup: {
+            from: COLLECTIONS.BOOK_REVISIONS,
+            localField: "_id",
+            foreignField: "book",
+            as: "latestRevision",
+            pipeline: [
+              { $sort: { createdAt: -1 } },
+              { $limit: 1 },
+              { $project: { action: 1, changes: 1, createdAt: 1 } },
+            ],
+          },
+        },
+        {
+          $project: {
+            name: 1,
+            author: 1,
+            authors: 1,
+            imageURL: 1,
+            coverImage: 1,
+            price: 1,
+            quantity: 1,
+            status: 1,
+            category: 1,
+            categoryId: 1,
+            description: 1,
+            isbn10: 1,
+            isbn13: 1,
+            variants: 1,
+            moderation: 1,
+            submittedAt: 1,
+            createdAt: 1,
+            updatedAt: 1,
+            latestRevision: { $arrayElemAt: ["$latestRevision", 0] },
+            librarian: {
+              _id: "$librarianDetails._id",
+              name: "$librarianDetails.name",
+              email: "$librarianDetails.email",
+            },
+          },
+        },
+      ])
+      .toArray();
+
+    if (cursor) {
+      const page = buildCursorPage(items, QUEUE_SORT, "oldest", cursor);
+      return successResponse(
+        res,
+        {
+          books: page.items,
+          count: page.items.length,
+          limit: page.limit,
+          nextCursor: page.nextCursor,
+          prevCursor: page.prevCursor,
+        },
+        "Moderation queue retrieved successfully"
+      );
+    }
+
+    return successResponse(
+      res,
+      { books: items, count: items.length },
+      "Moderation queue retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting moderation queue:", error);
+    return errorResponse(
+      res,
+      "Failed to get moderation queue",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Submit a draft or rejected book for review
+ * @route POST /api/books/:id/submit
+ * @access Librarian (own books)/Admin
+ */
+const submitBookForReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!book || book.archivedAt) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    const isOwner = book.librarian.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== "admin") {
+      return errorResponse(res, "You can only submit your own books", 403);
+    }
+
+    if (!["draft", "rejected"].includes(book.status)) {
+      return errorResponse(
+        res,
+        `Only draft or rejected books can be submitted for review. This book is '${book.status}'.`,
+        409
+      );
+    }
+
+    const now = new Date();
+    const requestedStatus =
+      (book.moderation && book.moderation.requestedStatus) || "published";
+    const update = {
+      status: "pending_review",
+      moderation: submission(requestedStatus, now),
+    };
+
+    // Only move the book if nobody changed its status in the meantime
+    const result = await booksCollection.updateOne(
+      { _id: book._id, status: book.status },
+      { $set: { ...update, updatedAt: now } }
+    );
+
+    if (result.matchedCount === 0) {
+      return errorResponse(
+        res,
+        "Book status has changed. Please refresh and try again.",
+        409
+      );
+    }
+
+    await recordRevision({
+      bookId: book._id,
+      action: "moderation",
+      changes: diffBook(book, update),
+      user: req.user,
+      extra: { decision: "submit" },
+    });
+
+    return successResponse(
+      res,
+      { status: update.status, moderation: update.moderation },
+      "Book submitted for review"
+    );
+  } catch (error) {
+    console.error("❌ Error submitting book for review:", error);
+    return errorResponse(
+      res,
+      "Failed to submit book for review",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Approve or reject a book waiting for review
+ * Approval applies the status the librarian asked for (published or
+ * unpublished); rejection requires a reason, which the librarian sees in
+ * their book list
+ * @route PATCH /api/books/:id/review
+ * @access Admin only
+ * @body decision ("approve" or "reject"), reason (required when rejecting)
+ */
+const reviewBook = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, reason } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    if (!["approve", "reject"].includes(decision)) {
+      return errorResponse(
+        res,
+        'Invalid decision. Must be "approve" or "reject"',
+        400
+      );
+    }
+
+    const rejectionReason = typeof reason === "string" ? reason.trim() : "";
+    if (decision === "reject" && !rejectionReason) {
+      return errorResponse(res, "A reason is required to reject a book", 400);
+    }
+    if (rejectionReason.length > MAX_REASON_LENGTH) {
+      return errorResponse(
+        res,
+        `Reason must not exceed ${MAX_REASON_LENGTH} characters`,
+        400
+      );
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!book || book.archivedAt) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    if (book.status !== "pending_review") {
+      return errorResponse(
+        res,
+        `Only books waiting for review can be approved or rejected. This book is '${book.status}'.`,
+        409
+      );
+    }
+
+    const now = new Date();
+    const moderation = book.moderation || {};
+    const update = {
+      status:
+        decision === "approve"
+          ? moderation.requestedStatus || "published"
+          : "rejected",
+      moderation: {
+        ...moderation,
+        reviewedAt: now,
+        reviewedBy: new ObjectId(req.user._id),
+        rejectionReason: decision === "reject" ? rejectionReason : null,
+      },
+    };
+
+    // A librarian edit may have changed the book since it was loaded
+    const result = await booksCollection.updateOne(
+      {
+        _id: book._id,
+        status: "pending_review",
+        "moderation.submittedAt": moderation.submittedAt || null,
+      },
+      { $set: { ...update, updatedAt: now } }
+    );
+
+    if (result.matchedCount === 0) {
+      return errorResponse(
+        res,
+        "The book was changed while you were reviewing it. Please refresh and review it again.",
+        409
+      );
+    }
+
+    await recordRevision({
+      bookId: book._id,
+      action: "moderation",
+      changes: diffBook(book, update),
+      user: req.user,
+      extra: {
+        decision,
+        ...(decision === "reject" ? { reason: rejectionReason } : {}),
+      },
+    });
+
+    return successResponse(
+      res,
+      { status: update.status, moderation: update.moderation },
+      decision === "approve" ? "Book approved" : "Book rejected"
+    );
+  } catch (error) {
+    console.error("❌ Error reviewing book:", error);
+    return errorResponse(res, "Failed to review book", 500, error.message);
+  }
+};
+
+module.exports = {
+  getModerationQueue,
+  submitBookForReview,
+  reviewBook,
+};
@@ -2,6 +2,93 @@ const { ObjectId } = require("mongodb");
 const { getCollection } = require("../utils/dbHelpers");
 const COLLECTIONS = require("../config/collections");
 const { successResponse, errorResponse } = require("../utils/response");
+const { reserveStock, releaseOrderStock } = require("../utils/inventory");
+const { variantLabel } = require("../utils/variants");
+const { recordOrderSales } = require("../utils/sales");
+const { notifyBackInStock } = require("../utils/stockAlerts");
+const { priceOrder } = require("../utils/pricing");
+const {
+  orderedBookFilter,
+  librarianOrderFilter,
+  isOrderLibrarian,
+  resolveOrderVariant,
+  validateDeliveryDetails,
+  timelineEntry,
+  orderTimeline,
+} = require("../utils/orders");
+const {
+  parseCursorQuery,
+  cursorStages,
+  buildCursorPage,
+} = require("../utils/cursor");
+
+/**
+ * Order lists are sorted newest first; _id breaks ties between orders
+ * placed in the same millisecond
+ */
+const ORDER_SORT = { orderDate: -1, _id: -1 };
+
+/**
+ * Longest accepted note on a status change
+ */
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Read the optional note of a status change
+ * @param {*} value - Raw note
+ * @returns {Object} { note } (null when empty), or { error }
+ */
+const parseStatusNote = (value) => {
+  if (value === undefined || value === null) return { note: null };
+  if (typeof value !== "string") return { error: "Note must be text" };
+
+  const note = value.trim();
+  if (note.length > MAX_NOTE_LENGTH) {
+    return { error: `Note must not exceed ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { note: note || null };
+};
+
+/**
+ * Whether a user may see an order
+ * @param {Object} order - Order (needs user, librarian and librarians)
+ * @param {Object} user - req.user
+ * @returns {boolean} True for the customer, its librarians and admins
+ */
+const canViewOrder = (order, user) =>
+  order.user.toString() === user._id.toString() ||
+  isOrderLibrarian(order, user._id) ||
+  user.role === "admin";
+
+/**
+ * Stages selecting the orders of a list: one page in cursor mode, all
+ * orders otherwise. They run before the lookups so only the page is joined.
+ * @param {Object|null} cursor - Parsed cursor from parseCursorQuery
+ * @returns {Array} Aggregation stages
+ */
+const orderPageStages = (cursor) =>
+  cursor ? cursorStages(ORDER_SORT, cursor) : [{ $sort: ORDER_SORT }];
+
+/**
+ * Send an order list, with next/prev cursors in cursor mode
+ * @param {Object} res - Express response object
+ * @param {Array} orders - Orders read with orderPageStages
+ * @param {Object|null} cursor - Parsed cursor
+ */
+const sendOrderList = (res, orders, cursor) => {
+  if (!cursor) {
+    return successResponse(res, { count: orders.length, orders });
+  }
+
+  const page = buildCursorPage(orders, ORDER_SORT, "newest", cursor);
+  return successResponse(res, {
+    count: page.items.length,
+    orders: page.items,
+    limit: page.limit,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+  });
+};
 
 /**
  * Place a new order for a book
@@ -10,35 +97,13 @@ const { successResponse, errorResponse } = require("../utils/response");
  */
 const placeOrder = async (req, res) => {
   try {
-    const { userName, userEmail, phoneNumber, address, bookId } = req.body;
-
-    // Validate required fields
-    const requiredFields = [
-      "userName",
-      "userEmail",
-      "phoneNumber",
-      "address",
-      "bookId",
-    ];
-    const missingFields = requiredFields.filter((field) => !req.body[field]);
-
-    if (missingFields.length > 0) {
-      return errorResponse(
-        res,
-        `Missing required fields: ${missingFields.join(", ")}`,
-        400
-      );
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(userEmail)) {
-      return errorResponse(res, "Invalid email format", 400);
-    }
+    const { userName, userEmail, phoneNumber, address, bookId, variantId } =
+      req.body;
 
-    // Validate phone number (basic validation)
-    if (phoneNumber.length < 10) {
-      return errorResponse(res, "Phone number must be at least 10 digits", 400);
+    // Validate delivery details and required fields
+    const detailsError = validateDeliveryDetails(req.body, ["bookId"]);
+    if (detailsError) {
+      return errorResponse(res, detailsError, 400);
     }
 
     // Validate bookId format
@@ -46,45 +111,85 @@ const placeOrder = async (req, res) => {
       return errorResponse(res, "Invalid book ID format", 400);
     }
 
-    // Find book and verify it exists and is published
+    // Find book and verify it can be ordered now, in the chosen variant
     const booksCollection = getCollection(COLLECTIONS.BOOKS);
     const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
 
-    if (!book) {
-      return errorResponse(res, "Book not found", 404);
+    const { variant, error, status } = resolveOrderVariant(book, variantId);
+    if (error) {
+      return errorResponse(res, error, status);
     }
 
-    if (book.status !== "published") {
+    // Price the copy with any sale running now; the order keeps the list
+    // price and discount so later price changes do not affect it
+    const pricing = await priceOrder(book, variant, 1);
+
+    // Atomically reserve a copy so concurrent orders cannot oversell
+    const reservedBook = await reserveStock(
+      bookId,
+      1,
+      variant ? variant._id : null
+    );
+
+    if (!reservedBook) {
       return errorResponse(
         res,
-        "This book is not available for order. Only published books can be ordered.",
-        400
+        variant
+          ? `This book is out of stock in ${variantLabel(variant)}`
+          : "This book is out of stock",
+        409
       );
     }
 
     // Create order document
+    const orderDate = new Date();
     const orderDocument = {
       user: new ObjectId(req.user._id),
       book: new ObjectId(bookId),
+      variant: variant ? variant._id : null,
+      variantLabel: variant ? variantLabel(variant) : null,
       librarian: book.librarian,
       userName: userName.trim(),
       userEmail: userEmail.trim().toLowerCase(),
       phoneNumber: phoneNumber.trim(),
       address: address.trim(),
+      quantity: 1,
       orderStatus: "pending",
       paymentStatus: "unpaid",
-      totalAmount: book.price,
-      orderDate: new Date(),
+      listPrice: pricing.listPrice,
+      discount: pricing.discount,
+      sale: pricing.sale,
+      totalAmount: pricing.totalAmount,
+      orderDate,
+      timeline: [
+        timelineEntry({
+          from: null,
+          to: "pending",
+          user: req.user,
+          at: orderDate,
+        }),
+      ],
     };
 
     // Insert order into database
     const ordersCollection = getCollection(COLLECTIONS.ORDERS);
-    const result = await ordersCollection.insertOne(orderDocument);
+    let result;
+    try {
+      result = await ordersCollection.insertOne(orderDocument);
+    } catch (insertError) {
+      // Rollback: Return the reserved copy if the order could not be stored
+      await releaseOrderStock(orderDocument);
+      throw insertError;
+    }
 
     if (!result.acknowledged) {
+      await releaseOrderStock(orderDocument);
       return errorResponse(res, "Failed to place order", 500);
     }
 
+    // Count the order towards bestseller and trending rankings
+    await recordOrderSales(orderDocument);
+
     // Return created order
     const createdOrder = {
       _id: result.insertedId,
@@ -109,10 +214,16 @@ const getUserOrders = async (req, res) => {
 
     const ordersCollection = getCollection(COLLECTIONS.ORDERS);
 
+    const cursor = parseCursorQuery(req.query, ORDER_SORT, "newest", 20);
+    if (cursor && cursor.error) {
+      return errorResponse(res, cursor.error, 400);
+    }
+
     // Use aggregate to populate book details
     const orders = await ordersCollection
       .aggregate([
         { $match: { user: new ObjectId(userId) } },
+        ...orderPageStages(cursor),
         {
           $lookup: {
             from: COLLECTIONS.BOOKS,
@@ -136,6 +247,11 @@ const getUserOrders = async (req, res) => {
             orderStatus: 1,
             paymentStatus: 1,
             totalAmount: 1,
+            listPrice: 1,
+            discount: 1,
+            quantity: 1,
+            variantLabel: 1,
+            items: 1,
             orderDate: 1,
             book: {
               _id: "$bookDetails._id",
@@ -147,11 +263,10 @@ const getUserOrders = async (req, res) => {
             },
           },
         },
-        { $sort: { orderDate: -1 } },
       ])
       .toArray();
 
-    return successResponse(res, { count: orders.length, orders });
+    return sendOrderList(res, orders, cursor);
   } catch (error) {
     console.error("❌ Error getting user orders:", error);
     return errorResponse(res, "Failed to get orders", 500, error.message);
@@ -160,19 +275,37 @@ const getUserOrders = async (req, res) => {
 
 /**
  * Get all orders for books added by logged-in librarian
+ * Cart orders only list the librarian's own lines in `items` (admins see
+ * every line)
  * @route GET /api/orders/librarian/orders
  * @access Librarian/Admin only
  */
 const getLibrarianOrders = async (req, res) => {
   try {
     const librarianId = req.user._id;
+    const ownLines =
+      req.user.role === "admin"
+        ? "$items"
+        : {
+            $filter: {
+              input: "$items",
+              as: "line",
+              cond: { $eq: ["$$line.librarian", new ObjectId(librarianId)] },
+            },
+          };
 
     const ordersCollection = getCollection(COLLECTIONS.ORDERS);
 
+    const cursor = parseCursorQuery(req.query, ORDER_SORT, "newest", 20);
+    if (cursor && cursor.error) {
+      return errorResponse(res, cursor.error, 400);
+    }
+
     // Use aggregate to populate book and user details
     const orders = await ordersCollection
       .aggregate([
-        { $match: { librarian: new ObjectId(librarianId) } },
+        { $match: librarianOrderFilter(librarianId) },
+        ...orderPageStages(cursor),
         {
           $lookup: {
             from: COLLECTIONS.BOOKS,
@@ -210,6 +343,13 @@ const getLibrarianOrders = async (req, res) => {
             orderStatus: 1,
             paymentStatus: 1,
             totalAmount: 1,
+            listPrice: 1,
+            discount: 1,
+            quantity: 1,
+            variantLabel: 1,
+            items: {
+              $cond: [{ $isArray: "$items" }, ownLines, "$$REMOVE"],
+            },
             orderDate: 1,
             book: {
               _id: "$bookDetails._id",
@@ -227,11 +367,10 @@ const getLibrarianOrders = async (req, res) => {
             },
           },
         },
-        { $sort: { orderDate: -1 } },
       ])
       .toArray();
 
-    return successResponse(res, { count: orders.length, orders });
+    return sendOrderList(res, orders, cursor);
   } catch (error) {
     console.error("❌ Error getting librarian orders:", error);
     return errorResponse(
@@ -252,9 +391,15 @@ const getAllOrders = async (req, res) => {
   try {
     const ordersCollection = getCollection(COLLECTIONS.ORDERS);
 
+    const cursor = parseCursorQuery(req.query, ORDER_SORT, "newest", 20);
+    if (cursor && cursor.error) {
+      return errorResponse(res, cursor.error, 400);
+    }
+
     // Use aggregate to populate book, user, and librarian details
     const orders = await ordersCollection
       .aggregate([
+        ...orderPageStages(cursor),
         {
           $lookup: {
             from: COLLECTIONS.BOOKS,
@@ -306,6 +451,11 @@ const getAllOrders = async (req, res) => {
             orderStatus: 1,
             paymentStatus: 1,
             totalAmount: 1,
+            listPrice: 1,
+            discount: 1,
+            quantity: 1,
+            variantLabel: 1,
+            items: 1,
             orderDate: 1,
             book: {
               _id: "$bookDetails._id",
@@ -329,11 +479,10 @@ const getAllOrders = async (req, res) => {
             },
           },
         },
-        { $sort: { orderDate: -1 } },
       ])
       .toArray();
 
-    return successResponse(res, { count: orders.length, orders });
+    return sendOrderList(res, orders, cursor);
   } catch (error) {
     console.error("❌ Error getting all orders:", error);
     return errorResponse(res, "Failed to get orders", 500, error.message);
@@ -398,8 +547,16 @@ const getOrderById = async (req, res) => {
             orderStatus: 1,
             paymentStatus: 1,
             totalAmount: 1,
+            listPrice: 1,
+            discount: 1,
+            quantity: 1,
+            variantLabel: 1,
+            items: 1,
             orderDate: 1,
+            updatedAt: 1,
+            timeline: 1,
             librarian: 1,
+            librarians: 1,
             book: {
               _id: "$bookDetails._id",
               name: "$bookDetails.name",
@@ -426,11 +583,7 @@ const getOrderById = async (req, res) => {
     const order = orders[0];
 
     // Verify user ownership or admin/librarian access
-    const isOwner = order.user.toString() === req.user._id.toString();
-    const isLibrarian = order.librarian.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === "admin";
-
-    if (!isOwner && !isLibrarian && !isAdmin) {
+    if (!canViewOrder(order, req.user)) {
       return errorResponse(
         res,
         "You do not have permission to view this order",
@@ -438,6 +591,16 @@ const getOrderById = async (req, res) => {
       );
     }
 
+    // The librarians of a cart order only see their own lines
+    const isCustomer = order.user.toString() === req.user._id.toString();
+    if (order.items && !isCustomer && req.user.role !== "admin") {
+      order.items = order.items.filter(
+        (line) => String(line.librarian) === String(req.user._id)
+      );
+    }
+
+    order.timeline = orderTimeline(order);
+
     return successResponse(res, order, "Order details retrieved successfully");
   } catch (error) {
     console.error("❌ Error getting order:", error);
@@ -450,10 +613,72 @@ const getOrderById = async (req, res) => {
   }
 };
 
+/**
+ * Get the status timeline of an order
+ * @route GET /api/orders/:id/timeline
+ * @access Protected (order owner, librarian, or admin)
+ */
+const getOrderTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid order ID format", 400);
+    }
+
+    const order = await getCollection(COLLECTIONS.ORDERS).findOne(
+      { _id: new ObjectId(id) },
+      {
+        projection: {
+          user: 1,
+          librarian: 1,
+          librarians: 1,
+          orderStatus: 1,
+          orderDate: 1,
+          updatedAt: 1,
+          timeline: 1,
+        },
+      }
+    );
+
+    if (!order) {
+      return errorResponse(res, "Order not found", 404);
+    }
+
+    if (!canViewOrder(order, req.user)) {
+      return errorResponse(
+        res,
+        "You do not have permission to view this order",
+        403
+      );
+    }
+
+    return successResponse(
+      res,
+      {
+        _id: order._id,
+        orderStatus: order.orderStatus,
+        timeline: orderTimeline(order),
+      },
+      "Order timeline retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting order timeline:", error);
+    return errorResponse(
+      res,
+      "Failed to get order timeline",
+      500,
+      error.message
+    );
+  }
+};
+
 /**
  * Cancel order (user can cancel if status is pending)
  * @route PATCH /api/orders/:id/cancel
  * @access Protected (order owner)
+ * @body note (optional reason, kept in the order timeline)
  */
 const cancelOrder = async (req, res) => {
   try {
@@ -464,6 +689,11 @@ const cancelOrder = async (req, res) => {
       return errorResponse(res, "Invalid order ID format", 400);
     }
 
+    const { note, error: noteError } = parseStatusNote(req.body.note);
+    if (noteError) {
+      return errorResponse(res, noteError, 400);
+    }
+
     const ordersCollection = getCollection(COLLECTIONS.ORDERS);
 
     // Find order
@@ -487,19 +717,42 @@ const cancelOrder = async (req, res) => {
       );
     }
 
-    // Update order status to cancelled
+    // Update order status to cancelled (only if still pending, so a
+    // concurrent cancellation cannot release the stock twice)
+    const now = new Date();
     const result = await ordersCollection.updateOne(
-      { _id: new ObjectId(id) },
+      { _id: new ObjectId(id), orderStatus: "pending" },
       {
         $set: {
           orderStatus: "cancelled",
-          updatedAt: new Date(),
+          updatedAt: now,
+          timeline: [
+            ...orderTimeline(order),
+            timelineEntry({
+              from: "pending",
+              to: "cancelled",
+              user: req.user,
+              note,
+              at: now,
+            }),
+          ],
         },
       }
     );
 
     if (result.matchedCount === 0) {
-      return errorResponse(res, "Order not found", 404);
+      return errorResponse(
+        res,
+        "Order status has changed. Please refresh and try again.",
+        409
+      );
+    }
+
+    // Return the reserved copy to stock and take it out of the rankings
+    const restocked = await releaseOrderStock(order);
+    await recordOrderSales(order, -1);
+    for (const book of restocked) {
+      await notifyBackInStock(book);
     }
 
     return successResponse(res, null, "Order cancelled successfully");
@@ -511,8 +764,11 @@ const cancelOrder = async (req, res) => {
 
 /**
  * Update order status (librarian can change status)
+ * Orders with books from several librarians move as a whole, so only an
+ * admin can update them
  * @route PATCH /api/orders/:id/status
  * @access Librarian/Admin only
+ * @body status, note (optional, kept in the order timeline)
  */
 const updateOrderStatus = async (req, res) => {
   try {
@@ -538,6 +794,11 @@ const updateOrderStatus = async (req, res) => {
       );
     }
 
+    const { note, error: noteError } = parseStatusNote(req.body.note);
+    if (noteError) {
+      return errorResponse(res, noteError, 400);
+    }
+
     const ordersCollection = getCollection(COLLECTIONS.ORDERS);
 
     // Find order
@@ -548,7 +809,7 @@ const updateOrderStatus = async (req, res) => {
     }
 
     // Verify librarian ownership (unless admin)
-    const isLibrarian = order.librarian.toString() === req.user._id.toString();
+    const isLibrarian = isOrderLibrarian(order, req.user._id);
     const isAdmin = req.user.role === "admin";
 
     if (!isLibrarian && !isAdmin) {
@@ -559,6 +820,16 @@ const updateOrderStatus = async (req, res) => {
       );
     }
 
+    // One librarian shipping or cancelling would also move the other
+    // librarians' books
+    if (!isAdmin && (order.librarians || []).length > 1) {
+      return errorResponse(
+        res,
+        "Orders with books from several librarians can only be updated by an admin",
+        403
+      );
+    }
+
     // Validate status transitions
     const currentStatus = order.orderStatus;
 
@@ -580,19 +851,46 @@ const updateOrderStatus = async (req, res) => {
       );
     }
 
-    // Update order status
+    // Update order status (guarded on the current status so concurrent
+    // updates cannot apply the same transition twice, nor both extend the
+    // timeline)
+    const now = new Date();
     const result = await ordersCollection.updateOne(
-      { _id: new ObjectId(id) },
+      { _id: new ObjectId(id), orderStatus: currentStatus },
       {
         $set: {
           orderStatus: newStatus,
-          updatedAt: new Date(),
+          updatedAt: now,
+          timeline: [
+            ...orderTimeline(order),
+            timelineEntry({
+              from: currentStatus,
+              to: newStatus,
+              user: req.user,
+              note,
+              at: now,
+            }),
+          ],
         },
       }
     );
 
     if (result.matchedCount === 0) {
-      return errorResponse(res, "Order not found", 404);
+      return errorResponse(
+        res,
+        "Order status has changed. Please refresh and try again.",
+        409
+      );
+    }
+
+    // Return the reserved copy to stock when a librarian cancels, and take
+    // the order out of the rankings
+    if (newStatus === "cancelled") {
+      const restocked = await releaseOrderStock(order);
+      await recordOrderSales(order, -1);
+      for (const book of restocked) {
+        await notifyBackInStock(book);
+      }
     }
 
     // Get updated order
@@ -704,16 +1002,40 @@ const getLibrarianStats = async (req, res) => {
     // Aggregate orders for librarian's books
     const orderStats = await ordersCollection
       .aggregate([
-        {
-          $match: {
-            librarian: new ObjectId(librarianId),
-          },
-        },
+        { $match: librarianOrderFilter(librarianId) },
         {
           $group: {
             _id: null,
             totalOrders: { $sum: 1 },
-            totalRevenue: { $sum: "$totalAmount" },
+            // Only their own lines of cart orders count towards revenue
+            totalRevenue: {
+              $sum: {
+                $cond: [
+                  { $isArray: "$items" },
+                  {
+                    $sum: {
+                      $map: {
+                        input: {
+                          $filter: {
+                            input: "$items",
+                            as: "line",
+                            cond: {
+                              $eq: [
+                                "$$line.librarian",
+                                new ObjectId(librarianId),
+                              ],
+                            },
+                          },
+                        },
+                        as: "line",
+                        in: "$$line.totalAmount",
+                      },
+                    },
+                  },
+                  "$totalAmount",
+                ],
+              },
+            },
           },
         },
       ])
@@ -831,16 +1153,14 @@ const canReviewBook = async (req, res) => {
     // Check if user has ordered this book
     const order = await ordersCollection.findOne({
       user: new ObjectId(userId),
-      book: new ObjectId(bookId),
+      ...orderedBookFilter(new ObjectId(bookId)),
       orderStatus: { $in: ["delivered", "pending", "shipped"] },
     });
 
     return successResponse(
       res,
       { canReview: !!order },
-      order
-        ? "User can review this book"
-        : "User has not ordered this book"
+      order ? "User can review this book" : "User has not ordered this book"
     );
   } catch (error) {
     console.error("❌ Error checking review eligibility:", error);
@@ -859,6 +1179,7 @@ module.exports = {
   getLibrarianOrders,
   getAllOrders,
   getOrderById,
+  getOrderTimeline,
   cancelOrder,
   updateOrderStatus,
   updatePaymentStatus,
@@ -197,6 +197,7 @@ const getUserPayments = async (req, res) => {
               orderStatus: "$orderDetails.orderStatus",
               orderDate: "$orderDetails.orderDate",
               totalAmount: "$orderDetails.totalAmount",
+              items: "$orderDetails.items",
             },
             book: {
               _id: "$bookDetails._id",
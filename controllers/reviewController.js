@@ -2,6 +2,7 @@ const { ObjectId } = require("mongodb");
 const { getCollection } = require("../utils/dbHelpers");
 const COLLECTIONS = require("../config/collections");
 const { successResponse, errorResponse } = require("../utils/response");
+const { orderedBookFilter } = require("../utils/orders");
 
 /**
  * Add review (user can review only if they ordered the book)
@@ -34,7 +35,7 @@ const addReview = async (req, res) => {
     const ordersCollection = getCollection(COLLECTIONS.ORDERS);
     const order = await ordersCollection.findOne({
       user: new ObjectId(userId),
-      book: new ObjectId(bookId),
+      ...orderedBookFilter(new ObjectId(bookId)),
       orderStatus: "delivered",
     });
 
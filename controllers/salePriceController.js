@@ -0,0 +1,452 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { resolveCategory } = require("../utils/categories");
+const { withSalePrices, lowestCoveredPrice } = require("../utils/pricing");
+const SalePrice = require("../models/SalePrice");
+
+/**
+ * Where a sale is in its lifetime
+ * @param {Object} sale - Sale document
+ * @param {Date} now - Moment to evaluate
+ * @returns {string} "upcoming", "active" or "ended"
+ */
+const saleState = (sale, now = new Date()) => {
+  if (sale.startsAt > now) return "upcoming";
+  return sale.endsAt > now ? "active" : "ended";
+};
+
+/**
+ * Whether a user may manage a sale
+ * Category sales are admin-only; book sales belong to the book's librarian
+ * @param {Object} sale - Sale document
+ * @param {Object} user - Acting user (req.user)
+ * @returns {boolean} True when allowed
+ */
+const canManageSale = (sale, user) =>
+  user.role === "admin" ||
+  Boolean(sale.librarian && sale.librarian.toString() === user._id.toString());
+
+/**
+ * Check that a fixed discount stays below the price of every book it covers
+ * @param {Object} sale - Sale ({ type, value, book or category })
+ * @returns {Promise<string|null>} Error message, or null when the discount fits
+ */
+const checkFixedDiscount = async (sale) => {
+  if (sale.type !== "fixed") return null;
+
+  const lowest = await lowestCoveredPrice(sale);
+  if (lowest === null || Number(sale.value) < lowest) return null;
+
+  return sale.book
+    ? "A fixed discount must be smaller than the book's price"
+    : `A fixed discount must be smaller than the price of every book in the category (the cheapest costs ${lowest})`;
+};
+
+/**
+ * Load a sale for an update or delete, checking access
+ * Sends the error response itself and returns null when not allowed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Sale document or null
+ */
+const loadSaleForChange = async (req, res) => {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    errorResponse(res, "Invalid sale ID format", 400);
+    return null;
+  }
+
+  const salePricesCollection = getCollection(COLLECTIONS.SALE_PRICES);
+  const sale = await salePricesCollection.findOne({ _id: new ObjectId(id) });
+
+  if (!sale) {
+    errorResponse(res, "Sale not found", 404);
+    return null;
+  }
+
+  if (!canManageSale(sale, req.user)) {
+    errorResponse(res, "You can only manage sales on your own books", 403);
+    return null;
+  }
+
+  return sale;
+};
+
+/**
+ * List sales, newest start first
+ * Librarians see the sales on their own books and every category sale
+ * @route GET /api/sale-prices
+ * @access Librarian/Admin only
+ * @query state (upcoming, active, ended), book, category
+ */
+const getSalePrices = async (req, res) => {
+  try {
+    const { state, book, category } = req.query;
+    const now = new Date();
+    const query = {};
+
+    if (state === "upcoming") {
+      query.startsAt = { $gt: now };
+    } else if (state === "active") {
+      query.startsAt = { $lte: now };
+      query.endsAt = { $gt: now };
+    } else if (state === "ended") {
+      query.endsAt = { $lte: now };
+    } else if (state !== undefined) {
+      return errorResponse(
+        res,
+        "Invalid state. Must be one of: upcoming, active, ended",
+        400
+      );
+    }
+
+    if (book) {
+      if (!ObjectId.isValid(book)) {
+        return errorResponse(res, "Invalid book ID format", 400);
+      }
+      query.book = new ObjectId(book);
+    }
+
+    if (category) {
+      const categoryDocument = await resolveCategory(String(category).trim());
+      if (!categoryDocument) {
+        return errorResponse(res, "Category not found", 404);
+      }
+      query.category = categoryDocument._id;
+    }
+
+    if (req.user.role !== "admin") {
+      query.$or = [
+        { librarian: new ObjectId(req.user._id) },
+        { category: { $ne: null } },
+      ];
+    }
+
+    const salePricesCollection = getCollection(COLLECTIONS.SALE_PRICES);
+    const sales = await salePricesCollection
+      .find(query)
+      .sort({ startsAt: -1 })
+      .toArray();
+
+    return successResponse(
+      res,
+      {
+        sales: sales.map((sale) => ({ ...sale, state: saleState(sale, now) })),
+        count: sales.length,
+      },
+      "Sales retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting sales:", error);
+    return errorResponse(res, "Failed to get sales", 500, error.message);
+  }
+};
+
+/**
+ * Schedule a sale on a book or a category
+ * @route POST /api/sale-prices
+ * @access Librarian (own books)/Admin (any book, categories)
+ * @body name, type (percentage, fixed), value, book or category, startsAt, endsAt
+ */
+const createSalePrice = async (req, res) => {
+  try {
+    const { book: bookId, category } = req.body;
+
+    let categoryDocument = null;
+    if (category) {
+      if (req.user.role !== "admin") {
+        return errorResponse(
+          res,
+          "Only admins can put categories on sale",
+          403
+        );
+      }
+      categoryDocument = await resolveCategory(String(category).trim());
+      if (!categoryDocument) {
+        return errorResponse(res, "Category not found", 404);
+      }
+    }
+
+    const input = {
+      ...req.body,
+      category: categoryDocument ? categoryDocument._id : null,
+    };
+    const errors = SalePrice.validate(input);
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    let book = null;
+    if (bookId) {
+      const booksCollection = getCollection(COLLECTIONS.BOOKS);
+      book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+
+      if (!book || book.archivedAt) {
+        return errorResponse(res, "Book not found", 404);
+      }
+
+      const isOwner = book.librarian.toString() === req.user._id.toString();
+      if (!isOwner && req.user.role !== "admin") {
+        return errorResponse(
+          res,
+          "You can only put your own books on sale",
+          403
+        );
+      }
+    }
+
+    const discountError = await checkFixedDiscount(input);
+    if (discountError) {
+      return errorResponse(res, discountError, 400);
+    }
+
+    const sale = new SalePrice({
+      ...input,
+      librarian: book ? book.librarian : null,
+      createdBy: { _id: new ObjectId(req.user._id), role: req.user.role },
+    });
+
+    if (sale.endsAt <= new Date()) {
+      return errorResponse(res, "endsAt must be in the future", 400);
+    }
+
+    const salePricesCollection = getCollection(COLLECTIONS.SALE_PRICES);
+    const result = await salePricesCollection.insertOne(sale);
+
+    return successResponse(
+      res,
+      { _id: result.insertedId, ...sale, state: saleState(sale) },
+      "Sale scheduled successfully",
+      201
+    );
+  } catch (error) {
+    console.error("❌ Error creating sale:", error);
+    return errorResponse(res, "Failed to create sale", 500, error.message);
+  }
+};
+
+/**
+ * Update a sale
+ * Upcoming sales can be changed freely. Running sales keep their discount
+ * (orders already placed were priced with it), so only their name and end
+ * date can change; ended sales are part of the price history and are final.
+ * @route PUT /api/sale-prices/:id
+ * @access Librarian (own books)/Admin
+ * @body name, type, value, startsAt, endsAt
+ */
+const updateSalePrice = async (req, res) => {
+  try {
+    const sale = await loadSaleForChange(req, res);
+    if (!sale) return;
+
+    const now = new Date();
+    const state = saleState(sale, now);
+
+    if (state === "ended") {
+      return errorResponse(res, "Ended sales cannot be changed", 409);
+    }
+
+    const editable =
+      state === "upcoming"
+        ? ["name", "type", "value", "startsAt", "endsAt"]
+        : ["name", "endsAt"];
+    const locked = Object.keys(req.body).filter(
+      (field) =>
+        ["name", "type", "value", "startsAt", "endsAt"].includes(field) &&
+        !editable.includes(field)
+    );
+    if (locked.length > 0) {
+      return errorResponse(
+        res,
+        `Running sales can only change their name and end date (not ${locked.join(
+          ", "
+        )})`,
+        409
+      );
+    }
+
+    const merged = { ...sale };
+    editable.forEach((field) => {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    });
+
+    const errors = SalePrice.validate(merged);
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const updated = new SalePrice({ ...merged, updatedAt: now });
+    if (updated.endsAt <= now) {
+      return errorResponse(
+        res,
+        "endsAt must be in the future. Delete the sale to end it now.",
+        400
+      );
+    }
+
+    if (req.body.type !== undefined || req.body.value !== undefined) {
+      const discountError = await checkFixedDiscount(updated);
+      if (discountError) {
+        return errorResponse(res, discountError, 400);
+      }
+    }
+
+    const updateData = {
+      name: updated.name,
+      type: updated.type,
+      value: updated.value,
+      startsAt: updated.startsAt,
+      endsAt: updated.endsAt,
+      updatedAt: now,
+    };
+
+    const salePricesCollection = getCollection(COLLECTIONS.SALE_PRICES);
+    await salePricesCollection.updateOne(
+      { _id: sale._id },
+      { $set: updateData }
+    );
+
+    const result = { ...sale, ...updateData };
+    return successResponse(
+      res,
+      { ...result, state: saleState(result, now) },
+      "Sale updated successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error updating sale:", error);
+    return errorResponse(res, "Failed to update sale", 500, error.message);
+  }
+};
+
+/**
+ * Cancel a sale
+ * Upcoming sales are removed; a running sale is ended now so the price
+ * history still shows it
+ * @route DELETE /api/sale-prices/:id
+ * @access Librarian (own books)/Admin
+ */
+const deleteSalePrice = async (req, res) => {
+  try {
+    const sale = await loadSaleForChange(req, res);
+    if (!sale) return;
+
+    const now = new Date();
+    const state = saleState(sale, now);
+    const salePricesCollection = getCollection(COLLECTIONS.SALE_PRICES);
+
+    if (state === "ended") {
+      return errorResponse(res, "This sale has already ended", 409);
+    }
+
+    if (state === "upcoming") {
+      await salePricesCollection.deleteOne({ _id: sale._id });
+      return successResponse(res, null, "Sale cancelled successfully");
+    }
+
+    await salePricesCollection.updateOne(
+      { _id: sale._id },
+      { $set: { endsAt: now, updatedAt: now } }
+    );
+
+    return successResponse(
+      res,
+      { ...sale, endsAt: now, updatedAt: now, state: "ended" },
+      "Sale ended successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error deleting sale:", error);
+    return errorResponse(res, "Failed to cancel sale", 500, error.message);
+  }
+};
+
+/**
+ * Get a book's price history (newest first)
+ * Returns the current effective price, every list price change and the
+ * sales that applied to the book, directly or through its category
+ * @route GET /api/books/:id/price-history
+ * @access Librarian (own books)/Admin
+ */
+const getBookPriceHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!book) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    const isOwner = book.librarian.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== "admin") {
+      return errorResponse(
+        res,
+        "You can only view the price history of your own books",
+        403
+      );
+    }
+
+    // Sales on the book's category also cover it through subcategories
+    let categoryIds = [];
+    if (book.categoryId) {
+      const category = await getCollection(COLLECTIONS.CATEGORIES).findOne(
+        { _id: book.categoryId },
+        { projection: { ancestors: 1 } }
+      );
+      categoryIds = category
+        ? [category._id, ...(category.ancestors || [])]
+        : [];
+    }
+
+    const [listPrices, sales, [current]] = await Promise.all([
+      getCollection(COLLECTIONS.PRICE_HISTORY)
+        .find({ book: book._id })
+        .sort({ createdAt: -1 })
+        .toArray(),
+      getCollection(COLLECTIONS.SALE_PRICES)
+        .find({
+          $or: [{ book: book._id }, { category: { $in: categoryIds } }],
+        })
+        .sort({ startsAt: -1 })
+        .toArray(),
+      withSalePrices([book]),
+    ]);
+
+    const now = new Date();
+    return successResponse(
+      res,
+      {
+        bookId: book._id,
+        price: current.price,
+        effectivePrice: current.effectivePrice,
+        sale: current.sale,
+        listPrices,
+        sales: sales.map((sale) => ({ ...sale, state: saleState(sale, now) })),
+      },
+      "Price history retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting price history:", error);
+    return errorResponse(
+      res,
+      "Failed to get price history",
+      500,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getSalePrices,
+  createSalePrice,
+  updateSalePrice,
+  deleteSalePrice,
+  getBookPriceHistory,
+};
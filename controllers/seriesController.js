@@ -0,0 +1,440 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { publicBookFilter } = require("../utils/bookQuery");
+const { escapeRegex } = require("../utils/search");
+const { withAvailability } = require("../utils/inventory");
+const { withSalePrices } = require("../utils/pricing");
+const { slugify } = require("../utils/categories");
+const { recordRevision } = require("../utils/bookRevisions");
+const {
+  MAX_VOLUME,
+  parseVolume,
+  resolveSeries,
+  getPublishedVolumes,
+  nextInSeries,
+} = require("../utils/series");
+const Series = require("../models/Series");
+
+/**
+ * List series (optionally searching by name), with published volume counts
+ * @route GET /api/series
+ * @access Public
+ */
+const getSeries = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search = "" } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = search.trim()
+      ? { name: { $regex: escapeRegex(search.trim()), $options: "i" } }
+      : {};
+
+    const seriesCollection = getCollection(COLLECTIONS.SERIES);
+
+    const [totalCount, series] = await Promise.all([
+      seriesCollection.countDocuments(query),
+      seriesCollection
+        .aggregate([
+          { $match: query },
+          { $sort: { name: 1 } },
+          { $skip: skip },
+          { $limit: limitNum },
+          {
+            $lookup: {
+              from: COLLECTIONS.BOOKS,
+              localField: "_id",
+              foreignField: "series._id",
+              as: "publishedBooks",
+              pipeline: [
+                { $match: publicBookFilter() },
+                { $project: { _id: 1 } },
+              ],
+            },
+          },
+          { $addFields: { volumeCount: { $size: "$publishedBooks" } } },
+          { $project: { publishedBooks: 0 } },
+        ])
+        .toArray(),
+    ]);
+
+    return successResponse(
+      res,
+      {
+        series,
+        totalCount,
+        page: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+      },
+      "Series retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting series:", error);
+    return errorResponse(res, "Failed to get series", 500, error.message);
+  }
+};
+
+/**
+ * Get a series with its published volumes in reading order
+ * Signed-in readers who have ordered earlier volumes also get `nextForYou`,
+ * the volume to continue with
+ * @route GET /api/series/:id
+ * @access Public (personalised when signed in)
+ */
+const getSeriesById = async (req, res) => {
+  try {
+    const series = await resolveSeries(req.params.id);
+
+    if (!series) {
+      return errorResponse(res, "Series not found", 404);
+    }
+
+    const volumes = await getPublishedVolumes(series._id);
+
+    return successResponse(
+      res,
+      {
+        series,
+        books: (await withSalePrices(volumes)).map(withAvailability),
+        volumeCount: volumes.length,
+        nextForYou: req.user
+          ? await nextInSeries(series._id, volumes, req.user._id)
+          : null,
+      },
+      "Series retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting series:", error);
+    return errorResponse(res, "Failed to get series", 500, error.message);
+  }
+};
+
+/**
+ * Create a series
+ * @route POST /api/series
+ * @access Librarian/Admin only
+ */
+const createSeries = async (req, res) => {
+  try {
+    const errors = Series.validate(req.body);
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const series = new Series({
+      name: req.body.name,
+      description: req.body.description,
+      createdBy: req.user._id,
+    });
+
+    const seriesCollection = getCollection(COLLECTIONS.SERIES);
+    const result = await seriesCollection.insertOne(series);
+
+    return successResponse(
+      res,
+      { _id: result.insertedId, ...series },
+      "Series created successfully",
+      201
+    );
+  } catch (error) {
+    console.error("❌ Error creating series:", error);
+    if (error.code === 11000) {
+      return errorResponse(res, "A series with this name already exists", 409);
+    }
+    return errorResponse(res, "Failed to create series", 500, error.message);
+  }
+};
+
+/**
+ * Rename a series or change its description
+ * @route PUT /api/series/:id
+ * @access Librarian/Admin only
+ */
+const updateSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid series ID format", 400);
+    }
+
+    const seriesCollection = getCollection(COLLECTIONS.SERIES);
+    const series = await seriesCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!series) {
+      return errorResponse(res, "Series not found", 404);
+    }
+
+    const { name, description } = req.body;
+    const errors = Series.validate({
+      name: name === undefined ? series.name : name,
+      description,
+    });
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join("; "), 400);
+    }
+
+    const updateData = {};
+    if (description !== undefined) updateData.description = description.trim();
+    if (name !== undefined && name.trim() !== series.name) {
+      updateData.name = name.trim();
+      updateData.slug = slugify(name);
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return errorResponse(res, "No valid fields to update", 400);
+    }
+
+    updateData.updatedAt = new Date();
+
+    await seriesCollection.updateOne({ _id: series._id }, { $set: updateData });
+
+    return successResponse(
+      res,
+      { ...series, ...updateData },
+      "Series updated successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error updating series:", error);
+    if (error.code === 11000) {
+      return errorResponse(res, "A series with this name already exists", 409);
+    }
+    return errorResponse(res, "Failed to update series", 500, error.message);
+  }
+};
+
+/**
+ * Delete a series that no active book belongs to
+ * @route DELETE /api/series/:id
+ * @access Admin only
+ */
+const deleteSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid series ID format", 400);
+    }
+
+    const seriesId = new ObjectId(id);
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const bookCount = await booksCollection.countDocuments({
+      "series._id": seriesId,
+      archivedAt: null,
+    });
+
+    if (bookCount > 0) {
+      return errorResponse(
+        res,
+        `This series has ${bookCount} book(s). Remove them from the series first.`,
+        409
+      );
+    }
+
+    const seriesCollection = getCollection(COLLECTIONS.SERIES);
+    const result = await seriesCollection.deleteOne({ _id: seriesId });
+
+    if (result.deletedCount === 0) {
+      return errorResponse(res, "Series not found", 404);
+    }
+
+    // Archived books can't be edited, so they leave the series with it
+    await booksCollection.updateMany(
+      { "series._id": seriesId },
+      { $set: { series: null } }
+    );
+
+    return successResponse(res, null, "Series deleted successfully");
+  } catch (error) {
+    console.error("❌ Error deleting series:", error);
+    return errorResponse(res, "Failed to delete series", 500, error.message);
+  }
+};
+
+/**
+ * Load a book whose series membership is being changed, checking access
+ * Sends the error response itself and returns null when not allowed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Book document or null
+ */
+const loadBookForSeries = async (req, res) => {
+  const { bookId } = req.params;
+
+  if (!ObjectId.isValid(bookId)) {
+    errorResponse(res, "Invalid book ID format", 400);
+    return null;
+  }
+
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+  const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+
+  if (!book) {
+    errorResponse(res, "Book not found", 404);
+    return null;
+  }
+
+  if (book.archivedAt) {
+    errorResponse(
+      res,
+      "Archived books cannot be modified. Restore the book first.",
+      400
+    );
+    return null;
+  }
+
+  const isOwner = book.librarian.toString() === req.user._id.toString();
+  if (!isOwner && req.user.role !== "admin") {
+    errorResponse(res, "You can only change the series of your own books", 403);
+    return null;
+  }
+
+  return book;
+};
+
+/**
+ * Add a book to a series (or change its volume number)
+ * A book belongs to one series at most, so this moves it out of any other
+ * @route PUT /api/series/:id/books/:bookId
+ * @access Librarian (own books)/Admin
+ * @body volume - Position in the series, e.g. 3 or 2.5 for a novella
+ */
+const setBookSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid series ID format", 400);
+    }
+
+    const volume = parseVolume(req.body.volume);
+    if (volume === null) {
+      return errorResponse(
+        res,
+        `Volume must be a number above 0 and up to ${MAX_VOLUME}, with at most two decimals (e.g. 2 or 1.5)`,
+        400
+      );
+    }
+
+    const seriesCollection = getCollection(COLLECTIONS.SERIES);
+    const series = await seriesCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!series) {
+      return errorResponse(res, "Series not found", 404);
+    }
+
+    const book = await loadBookForSeries(req, res);
+    if (!book) return;
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const taken = await booksCollection.findOne(
+      {
+        _id: { $ne: book._id },
+        "series._id": series._id,
+        "series.volume": volume,
+        archivedAt: null,
+      },
+      { projection: { name: 1 } }
+    );
+
+    if (taken) {
+      return errorResponse(
+        res,
+        `Volume ${volume} of this series is already '${taken.name}'`,
+        409
+      );
+    }
+
+    const membership = { _id: series._id, volume };
+    const now = new Date();
+
+    await booksCollection.updateOne(
+      { _id: book._id },
+      { $set: { series: membership, updatedAt: now } }
+    );
+
+    await recordRevision({
+      bookId: book._id,
+      action: "update",
+      changes: [{ field: "series", from: book.series || null, to: membership }],
+      user: req.user,
+    });
+
+    return successResponse(
+      res,
+      { _id: book._id, series: { ...membership, name: series.name } },
+      "Book added to series successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error adding book to series:", error);
+    return errorResponse(
+      res,
+      "Failed to add book to series",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Remove a book from a series
+ * @route DELETE /api/series/:id/books/:bookId
+ * @access Librarian (own books)/Admin
+ */
+const removeBookFromSeries = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid series ID format", 400);
+    }
+
+    const book = await loadBookForSeries(req, res);
+    if (!book) return;
+
+    if (!book.series || book.series._id.toString() !== id) {
+      return errorResponse(res, "This book is not part of the series", 404);
+    }
+
+    await getCollection(COLLECTIONS.BOOKS).updateOne(
+      { _id: book._id },
+      { $set: { series: null, updatedAt: new Date() } }
+    );
+
+    await recordRevision({
+      bookId: book._id,
+      action: "update",
+      changes: [{ field: "series", from: book.series, to: null }],
+      user: req.user,
+    });
+
+    return successResponse(
+      res,
+      { _id: book._id, series: null },
+      "Book removed from series successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error removing book from series:", error);
+    return errorResponse(
+      res,
+      "Failed to remove book from series",
+      500,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  getSeries,
+  getSeriesById,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  setBookSeries,
+  removeBookFromSeries,
+};
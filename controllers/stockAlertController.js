@@ -0,0 +1,252 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { successResponse, errorResponse } = require("../utils/response");
+const { publicBookFilter } = require("../utils/bookQuery");
+
+/**
+ * Subscribe to a back-in-stock alert for a book
+ * Only out-of-stock books in the public catalog can be subscribed to
+ * @route POST /api/books/:id/subscribe
+ * @access Protected (authenticated user)
+ */
+const subscribeToBook = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    const booksCollection = getCollection(COLLECTIONS.BOOKS);
+    const book = await booksCollection.findOne({
+      _id: new ObjectId(id),
+      ...publicBookFilter(),
+    });
+
+    if (!book) {
+      return errorResponse(res, "Book not found", 404);
+    }
+
+    if ((book.quantity || 0) > 0) {
+      return errorResponse(
+        res,
+        "This book is in stock and can be ordered now",
+        400
+      );
+    }
+
+    const subscription = {
+      user: new ObjectId(req.user._id),
+      book: book._id,
+      status: "waiting",
+      notifiedAt: null,
+      createdAt: new Date(),
+    };
+
+    const subscriptionsCollection = getCollection(
+      COLLECTIONS.STOCK_SUBSCRIPTIONS
+    );
+    const result = await subscriptionsCollection.insertOne(subscription);
+
+    return successResponse(
+      res,
+      { _id: result.insertedId, ...subscription },
+      "You will be notified when this book is back in stock",
+      201
+    );
+  } catch (error) {
+    // Unique index on user + book for waiting subscriptions
+    if (error.code === 11000) {
+      return errorResponse(res, "You are already subscribed to this book", 400);
+    }
+    console.error("❌ Error subscribing to book:", error);
+    return errorResponse(
+      res,
+      "Failed to subscribe to book",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Cancel a waiting back-in-stock alert
+ * @route DELETE /api/books/:id/subscribe
+ * @access Protected (authenticated user)
+ */
+const unsubscribeFromBook = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid book ID format", 400);
+    }
+
+    const subscriptionsCollection = getCollection(
+      COLLECTIONS.STOCK_SUBSCRIPTIONS
+    );
+    const result = await subscriptionsCollection.deleteOne({
+      user: new ObjectId(req.user._id),
+      book: new ObjectId(id),
+      status: "waiting",
+    });
+
+    if (result.deletedCount === 0) {
+      return errorResponse(res, "You are not subscribed to this book", 404);
+    }
+
+    return successResponse(res, null, "Subscription cancelled successfully");
+  } catch (error) {
+    console.error("❌ Error unsubscribing from book:", error);
+    return errorResponse(
+      res,
+      "Failed to cancel subscription",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Get the user's back-in-stock subscriptions, newest first
+ * Notified subscriptions are kept (and listed) for a while after they fire
+ * @route GET /api/notifications/subscriptions
+ * @access Protected (authenticated user)
+ */
+const getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptionsCollection = getCollection(
+      COLLECTIONS.STOCK_SUBSCRIPTIONS
+    );
+
+    const subscriptions = await subscriptionsCollection
+      .aggregate([
+        { $match: { user: new ObjectId(req.user._id) } },
+        { $sort: { createdAt: -1 } },
+        {
+          $lookup: {
+            from: COLLECTIONS.BOOKS,
+            localField: "book",
+            foreignField: "_id",
+            as: "bookDetails",
+          },
+        },
+        {
+          $unwind: {
+            path: "$bookDetails",
+            preserveNullAndEmptyArrays: true,
+          },
+        },
+        {
+          $project: {
+            status: 1,
+            notifiedAt: 1,
+            createdAt: 1,
+            book: {
+              _id: "$bookDetails._id",
+              name: "$bookDetails.name",
+              author: "$bookDetails.author",
+              imageURL: "$bookDetails.imageURL",
+              quantity: "$bookDetails.quantity",
+            },
+          },
+        },
+      ])
+      .toArray();
+
+    return successResponse(
+      res,
+      { subscriptions, count: subscriptions.length },
+      "Subscriptions retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting subscriptions:", error);
+    return errorResponse(
+      res,
+      "Failed to get subscriptions",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Get the user's notifications, newest first
+ * @route GET /api/notifications
+ * @access Protected (authenticated user)
+ * @query unread - "true" to list unread notifications only
+ */
+const getMyNotifications = async (req, res) => {
+  try {
+    const userId = new ObjectId(req.user._id);
+    const query = { user: userId };
+    if (req.query.unread === "true") {
+      query.readAt = null;
+    }
+
+    const notificationsCollection = getCollection(COLLECTIONS.NOTIFICATIONS);
+    const [notifications, unreadCount] = await Promise.all([
+      notificationsCollection.find(query).sort({ createdAt: -1 }).toArray(),
+      notificationsCollection.countDocuments({ user: userId, readAt: null }),
+    ]);
+
+    return successResponse(
+      res,
+      { notifications, count: notifications.length, unreadCount },
+      "Notifications retrieved successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error getting notifications:", error);
+    return errorResponse(
+      res,
+      "Failed to get notifications",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @route PATCH /api/notifications/:id/read
+ * @access Protected (authenticated user)
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return errorResponse(res, "Invalid notification ID format", 400);
+    }
+
+    const notificationsCollection = getCollection(COLLECTIONS.NOTIFICATIONS);
+    const notification = await notificationsCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), user: new ObjectId(req.user._id) },
+      [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+      { returnDocument: "after" }
+    );
+
+    if (!notification) {
+      return errorResponse(res, "Notification not found", 404);
+    }
+
+    return successResponse(res, notification, "Notification marked as read");
+  } catch (error) {
+    console.error("❌ Error marking notification as read:", error);
+    return errorResponse(
+      res,
+      "Failed to mark notification as read",
+      500,
+      error.message
+    );
+  }
+};
+
+module.exports = {
+  subscribeToBook,
+  unsubscribeFromBook,
+  getMySubscriptions,
+  getMyNotifications,
+  markNotificationRead,
+};
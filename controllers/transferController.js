@@ -0,0 +1,99 @@
+const { successResponse, errorResponse } = require("../utils/response");
+const {
+  planTransfer,
+  describeTransfer,
+  applyTransfer,
+} = require("../utils/transfers");
+
+/**
+ * Read the book selection of a transfer
+ * @param {*} value - Array of ids, comma-separated string, or undefined for all
+ * @returns {Array|null} Book ids, or null for all of the librarian's books
+ */
+const parseBookIds = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Preview a transfer of a librarian's books to another librarian
+ * Lists the books, open orders and sales that would move, and any book
+ * whose ISBN the target librarian already uses
+ * @route GET /api/users/:userId/transfer/preview
+ * @access Admin only
+ * @query to (target librarian id), bookIds (comma-separated, default all)
+ */
+const previewTransfer = async (req, res) => {
+  try {
+    const plan = await planTransfer(
+      req.params.userId,
+      req.query.to,
+      parseBookIds(req.query.bookIds)
+    );
+    if (plan.error) {
+      return errorResponse(res, plan.error, plan.status);
+    }
+
+    return successResponse(
+      res,
+      describeTransfer(plan),
+      "Transfer preview generated successfully"
+    );
+  } catch (error) {
+    console.error("❌ Error previewing transfer:", error);
+    return errorResponse(res, "Failed to preview transfer", 500, error.message);
+  }
+};
+
+/**
+ * Transfer some or all of a librarian's books to another librarian
+ * Open orders and sales that have not ended move with the books
+ * @route POST /api/users/:userId/transfer
+ * @access Admin only
+ * @body to (target librarian id), bookIds (optional, default all books)
+ */
+const transferBooks = async (req, res) => {
+  try {
+    const plan = await planTransfer(
+      req.params.userId,
+      req.body.to,
+      parseBookIds(req.body.bookIds)
+    );
+    if (plan.error) {
+      return errorResponse(res, plan.error, plan.status);
+    }
+
+    if (plan.conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "The target librarian already has books with some of these ISBNs. Merge or leave out the conflicting books.",
+        data: describeTransfer(plan),
+      });
+    }
+
+    if (plan.books.length === 0 && plan.orders.length === 0) {
+      return errorResponse(res, "This librarian has no books to transfer", 400);
+    }
+
+    const moved = await applyTransfer(plan, req.user);
+
+    return successResponse(
+      res,
+      { from: plan.from._id, to: plan.to._id, ...moved },
+      `Transferred ${moved.books} book(s) to ${plan.to.name || plan.to.email}`
+    );
+  } catch (error) {
+    console.error("❌ Error transferring books:", error);
+    return errorResponse(res, "Failed to transfer books", 500, error.message);
+  }
+};
+
+module.exports = {
+  previewTransfer,
+  transferBooks,
+};
@@ -4,6 +4,14 @@ const COLLECTIONS = require("../config/collections");
 const { successResponse, errorResponse } = require("../utils/response");
 const { getAuth } = require("../config/firebase-admin");
 const logger = require("../utils/logger");
+const { removeImage } = require("../utils/images");
+const {
+  OWNER_ROLES,
+  planTransfer,
+  describeTransfer,
+  applyTransfer,
+  countActiveInventory,
+} = require("../utils/transfers");
 
 /**
  * Get current user profile
@@ -41,7 +49,11 @@ const updateUserProfile = async (req, res) => {
     // Build update object
     const updateData = {};
     if (name) updateData.name = name;
-    if (photoURL !== undefined) updateData.photoURL = photoURL;
+    // A photo URL replaces an uploaded avatar
+    if (photoURL !== undefined) {
+      updateData.photoURL = photoURL;
+      updateData.avatar = null;
+    }
 
     if (Object.keys(updateData).length === 0) {
       return errorResponse(
@@ -54,15 +66,20 @@ const updateUserProfile = async (req, res) => {
     updateData.updatedAt = new Date();
 
     const usersCollection = getCollection(COLLECTIONS.USERS);
-    const result = await usersCollection.updateOne(
+    const previous = await usersCollection.findOneAndUpdate(
       { _id: new ObjectId(userId) },
-      { $set: updateData }
+      { $set: updateData },
+      { projection: { avatar: 1 } }
     );
 
-    if (result.matchedCount === 0) {
+    if (!previous) {
       return errorResponse(res, "User not found", 404);
     }
 
+    if (updateData.avatar === null) {
+      await removeImage(previous.avatar);
+    }
+
     // Get updated user
     const updatedUser = await usersCollection.findOne({
       _id: new ObjectId(userId),
@@ -111,13 +128,16 @@ const getAllUsers = async (req, res) => {
 
 /**
  * Update user role (Admin only)
+ * A librarian who still has active books or open orders can only be
+ * demoted with `transferTo`, the librarian who takes all their books over
  * @route PATCH /api/users/:userId/role
  * @access Admin
+ * @body role, transferTo (required when demoting a librarian with inventory)
  */
 const updateUserRole = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { role } = req.body;
+    const { role, transferTo } = req.body;
 
     // Validate role
     const validRoles = ["user", "librarian", "admin"];
@@ -142,6 +162,38 @@ const updateUserRole = async (req, res) => {
       return errorResponse(res, "User not found", 404);
     }
 
+    // Losing the librarian role: their books and open orders need a new
+    // owner first, or nobody could manage them
+    let transfer = null;
+    if (OWNER_ROLES.includes(user.role) && !OWNER_ROLES.includes(role)) {
+      const inventory = await countActiveInventory(userObjectId);
+
+      if (inventory.books > 0 || inventory.openOrders > 0) {
+        if (!transferTo) {
+          return res.status(409).json({
+            success: false,
+            message: `This user still has ${inventory.books} active book(s) and ${inventory.openOrders} open order(s). Pass transferTo with the librarian who takes them over.`,
+            data: inventory,
+          });
+        }
+
+        const plan = await planTransfer(userObjectId, transferTo);
+        if (plan.error) {
+          return errorResponse(res, plan.error, plan.status);
+        }
+        if (plan.conflicts.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message:
+              "The target librarian already has books with some of these ISBNs. Transfer the other books first and merge the conflicting ones.",
+            data: describeTransfer(plan),
+          });
+        }
+
+        transfer = await applyTransfer(plan, req.user);
+      }
+    }
+
     // Update role in MongoDB
     await usersCollection.updateOne(
       { _id: userObjectId },
@@ -178,7 +230,7 @@ const updateUserRole = async (req, res) => {
 
     return successResponse(
       res,
-      { userId, role, firebaseSynced },
+      { userId, role, firebaseSynced, transfer },
       firebaseSynced
         ? `User role updated to '${role}' successfully`
         : `User role updated to '${role}' (Firebase will sync on next login)`
@@ -28,7 +28,7 @@ const addToWishlist = async (req, res) => {
     const booksCollection = getCollection(COLLECTIONS.BOOKS);
     const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
 
-    if (!book) {
+    if (!book || book.archivedAt) {
       return errorResponse(res, "Book not found", 404);
     }
 
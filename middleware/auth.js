@@ -146,6 +146,21 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate the user when a token is sent, but let anonymous requests through
+ * For public routes that personalise their response for signed-in users
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return verifyToken(req, res, next);
+};
+
 module.exports = {
   verifyToken,
+  optionalAuth,
 };
@@ -0,0 +1,36 @@
+const express = require("express");
+const {
+  IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  IMAGE_TOO_LARGE,
+} = require("../utils/images");
+
+const rawImage = express.raw({
+  type: Object.keys(IMAGE_TYPES),
+  limit: MAX_IMAGE_SIZE,
+});
+
+/**
+ * Read an uploaded image from the raw request body into req.body (Buffer)
+ * Oversized uploads get a JSON error instead of Express's HTML page
+ * Mount it after the auth middleware so anonymous clients cannot make the
+ * server buffer uploads
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const imageUpload = (req, res, next) => {
+  rawImage(req, res, (error) => {
+    if (error && error.type === "entity.too.large") {
+      return res.status(413).json({
+        success: false,
+        message: IMAGE_TOO_LARGE,
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  imageUpload,
+};
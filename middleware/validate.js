@@ -1,5 +1,7 @@
 const { body, validationResult } = require("express-validator");
 const { ObjectId } = require("mongodb");
+const { parseIsbn } = require("../utils/isbn");
+const { UPLOAD_BASE_URL } = require("../utils/storage");
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -34,10 +36,12 @@ const validateBookInput = [
     .isLength({ min: 2 })
     .withMessage("Author name must be at least 2 characters long"),
 
+  // Optional: the cover can be uploaded instead (PUT /api/books/:id/cover).
+  // URLs of uploaded covers (e.g. from an export) may be relative.
   body("image")
+    .optional({ values: "falsy" })
     .trim()
-    .notEmpty()
-    .withMessage("Image URL is required")
+    .if((value) => !value.startsWith(`${UPLOAD_BASE_URL}/`))
     .isURL()
     .withMessage("Image must be a valid URL"),
 
@@ -49,10 +53,35 @@ const validateBookInput = [
     .isFloat({ min: 0.01 })
     .withMessage("Price must be a positive number"),
 
+  body("quantity")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Quantity must be a non-negative whole number"),
+
+  body("isbn")
+    .optional({ values: "falsy" })
+    .custom((value) => parseIsbn(value) !== null)
+    .withMessage("ISBN must be a valid ISBN-10 or ISBN-13"),
+
+  body("variants")
+    .optional()
+    .isArray()
+    .withMessage("Variants must be an array"),
+
   body("status")
     .optional()
-    .isIn(["published", "unpublished"])
-    .withMessage('Status must be either "published" or "unpublished"'),
+    .isIn(["published", "unpublished", "draft"])
+    .withMessage('Status must be "published", "unpublished" or "draft"'),
+
+  body("publishAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("publishAt must be a valid ISO 8601 date"),
+
+  body("unpublishAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("unpublishAt must be a valid ISO 8601 date"),
 ];
 
 // Validation chain for order input
@@ -93,6 +122,11 @@ const validateOrderInput = [
     .withMessage("Book ID is required")
     .custom(isValidObjectId)
     .withMessage("Book ID must be a valid MongoDB ObjectId"),
+
+  body("variantId")
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage("Variant ID must be a valid MongoDB ObjectId"),
 ];
 
 // Validation chain for review
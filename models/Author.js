@@ -0,0 +1,40 @@
+const { ObjectId } = require("mongodb");
+const { authorSlug } = require("../utils/authors");
+
+/**
+ * Author Model
+ */
+class Author {
+  constructor(data) {
+    this.name = data.name.trim();
+    this.slug = data.slug || authorSlug(data.name);
+    this.bio = data.bio || "";
+    this.photoURL = data.photoURL || null;
+    this.aliases = (data.aliases || []).map(authorSlug).filter(Boolean); // Merged misspellings, stored as slugs
+    this.createdBy = data.createdBy ? new ObjectId(data.createdBy) : null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validate(data) {
+    const errors = [];
+
+    if (!data.name || data.name.trim() === "") {
+      errors.push("Author name is required");
+    } else if (!authorSlug(data.name)) {
+      errors.push("Author name must contain letters or numbers");
+    }
+
+    if (data.bio !== undefined && typeof data.bio !== "string") {
+      errors.push("Bio must be text");
+    }
+
+    if (data.aliases !== undefined && !Array.isArray(data.aliases)) {
+      errors.push("Aliases must be an array");
+    }
+
+    return errors;
+  }
+}
+
+module.exports = Author;
@@ -1,4 +1,7 @@
 const { ObjectId } = require("mongodb");
+const { parseIsbn } = require("../utils/isbn");
+const { parseVariant } = require("../utils/variants");
+const { BOOK_STATUSES } = require("../utils/moderation");
 
 /**
  * Book Model
@@ -7,12 +10,27 @@ class Book {
   constructor(data) {
     this.name = data.name;
     this.image = data.image;
-    this.author = data.author;
-    this.category = data.category || "General";
+    this.author = data.author; // Author names for display and search, in credit order
+    this.authors = (data.authors || []).map((id) => new ObjectId(id)); // Linked author records
+    this.category = data.category || "General"; // Category name, kept in sync with the category document
+    this.categoryId = data.categoryId ? new ObjectId(data.categoryId) : null;
     this.description = data.description || "";
     this.price = parseFloat(data.price);
     this.quantity = parseInt(data.quantity) || 0;
-    this.status = data.status || "published"; // 'published' or 'unpublished'
+
+    // ISBN is normalised to both forms; ISBN-10 is null for 979-prefixed ISBNs
+    const isbn = data.isbn ? parseIsbn(data.isbn) : null;
+    this.isbn10 = isbn ? isbn.isbn10 : null;
+    this.isbn13 = isbn ? isbn.isbn13 : null;
+
+    // Format/edition variants, each with its own price, stock and ISBN
+    this.variants = data.variants || [];
+    this.series = data.series || null; // { _id, volume } when the book belongs to a series
+    this.status = data.status || "published"; // One of BOOK_STATUSES
+    this.moderation = data.moderation || null; // Review state for librarians' books
+    // Optional schedule: a published book is only public between these dates
+    this.publishAt = data.publishAt ? new Date(data.publishAt) : null;
+    this.unpublishAt = data.unpublishAt ? new Date(data.unpublishAt) : null;
     this.librarian = data.librarian; // ObjectId of librarian who added the book
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
@@ -29,20 +47,46 @@ class Book {
       errors.push("Author name is required");
     }
 
+    const hasVariants =
+      Array.isArray(data.variants) && data.variants.length > 0;
+
+    // Books sold in variants take their price from the variants
     if (
-      !data.price ||
-      isNaN(parseFloat(data.price)) ||
-      parseFloat(data.price) <= 0
+      !hasVariants &&
+      (!data.price ||
+        isNaN(parseFloat(data.price)) ||
+        parseFloat(data.price) <= 0)
     ) {
       errors.push("Valid price is required");
     }
 
+    if (data.variants !== undefined && !Array.isArray(data.variants)) {
+      errors.push("Variants must be an array");
+    } else if (hasVariants) {
+      data.variants.forEach((variant, index) => {
+        parseVariant(variant).errors.forEach((error) =>
+          errors.push(`Variant ${index + 1}: ${error}`)
+        );
+      });
+    }
+
+    if (
+      data.quantity !== undefined &&
+      (!Number.isInteger(Number(data.quantity)) || Number(data.quantity) < 0)
+    ) {
+      errors.push("Quantity must be a non-negative whole number");
+    }
+
+    if (data.isbn && !parseIsbn(data.isbn)) {
+      errors.push("ISBN must be a valid ISBN-10 or ISBN-13");
+    }
+
     if (!data.librarian) {
       errors.push("Librarian ID is required");
     }
 
-    if (data.status && !["published", "unpublished"].includes(data.status)) {
-      errors.push('Status must be either "published" or "unpublished"');
+    if (data.status && !BOOK_STATUSES.includes(data.status)) {
+      errors.push(`Status must be one of: ${BOOK_STATUSES.join(", ")}`);
     }
 
     return errors;
@@ -0,0 +1,43 @@
+const { ObjectId } = require("mongodb");
+const { slugify } = require("../utils/categories");
+
+/**
+ * Category Model
+ * Categories form a tree: `parent` is the direct parent and `ancestors`
+ * lists every category above this one (root first), so a whole subtree can
+ * be found with a single query on `ancestors`
+ */
+class Category {
+  constructor(data) {
+    this.name = data.name.trim();
+    this.slug = data.slug || slugify(data.name);
+    this.description = data.description || "";
+    this.parent = data.parent ? new ObjectId(data.parent) : null;
+    this.ancestors = data.ancestors || [];
+    this.aliases = (data.aliases || []).map(slugify).filter(Boolean); // Alternative spellings, stored as slugs
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validate(data) {
+    const errors = [];
+
+    if (!data.name || data.name.trim() === "") {
+      errors.push("Category name is required");
+    } else if (!slugify(data.name)) {
+      errors.push("Category name must contain letters or numbers");
+    }
+
+    if (data.parent && !ObjectId.isValid(data.parent)) {
+      errors.push("Parent must be a valid category ID");
+    }
+
+    if (data.aliases !== undefined && !Array.isArray(data.aliases)) {
+      errors.push("Aliases must be an array");
+    }
+
+    return errors;
+  }
+}
+
+module.exports = Category;
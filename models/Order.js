@@ -7,6 +7,8 @@ class Order {
   constructor(data) {
     this.book = new ObjectId(data.book);
     this.bookName = data.bookName;
+    this.variant = data.variant ? new ObjectId(data.variant) : null; // Book variant (format/edition), if any
+    this.variantLabel = data.variantLabel || null;
     this.user = new ObjectId(data.user);
     this.userName = data.userName;
     this.userEmail = data.userEmail;
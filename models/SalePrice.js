@@ -0,0 +1,76 @@
+const { ObjectId } = require("mongodb");
+const { SALE_TYPES } = require("../utils/pricing");
+
+/**
+ * Parse a sale date from request input
+ * @param {*} value - ISO 8601 date string or Date
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+const parseSaleDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * SalePrice Model
+ * A time-boxed discount on one book (`book`) or on every book in a
+ * category and its subcategories (`category`)
+ */
+class SalePrice {
+  constructor(data) {
+    this.name = (data.name || "Sale").trim();
+    this.type = data.type; // 'percentage' or 'fixed' (amount off)
+    this.value = Number(data.value);
+    this.book = data.book ? new ObjectId(data.book) : null;
+    this.category = data.category ? new ObjectId(data.category) : null;
+    this.librarian = data.librarian ? new ObjectId(data.librarian) : null; // Owner of the book, for book sales
+    this.startsAt = parseSaleDate(data.startsAt);
+    this.endsAt = parseSaleDate(data.endsAt);
+    this.createdBy = data.createdBy; // { _id, role } of the user who created the sale
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validate(data) {
+    const errors = [];
+
+    if (data.name !== undefined && typeof data.name !== "string") {
+      errors.push("Name must be a string");
+    }
+
+    if (!SALE_TYPES.includes(data.type)) {
+      errors.push(`Type must be one of: ${SALE_TYPES.join(", ")}`);
+    }
+
+    const value = Number(data.value);
+    if (data.value === undefined || isNaN(value) || value <= 0) {
+      errors.push("Value must be a positive number");
+    } else if (data.type === "percentage" && value >= 100) {
+      errors.push("A percentage discount must be below 100");
+    }
+
+    if (Boolean(data.book) === Boolean(data.category)) {
+      errors.push("A sale applies to either a book or a category");
+    }
+    if (data.book && !ObjectId.isValid(data.book)) {
+      errors.push("Book must be a valid book ID");
+    }
+
+    const startsAt = parseSaleDate(data.startsAt);
+    const endsAt = parseSaleDate(data.endsAt);
+    if (!startsAt) {
+      errors.push("startsAt must be a valid ISO 8601 date");
+    }
+    if (!endsAt) {
+      errors.push("endsAt must be a valid ISO 8601 date");
+    }
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      errors.push("endsAt must be later than startsAt");
+    }
+
+    return errors;
+  }
+}
+
+module.exports = SalePrice;
@@ -0,0 +1,39 @@
+const { ObjectId } = require("mongodb");
+const { slugify } = require("../utils/categories");
+
+/**
+ * Series Model
+ * Membership lives on the books (`series: { _id, volume }`), so a book
+ * belongs to at most one series and the reading order is the volume order
+ */
+class Series {
+  constructor(data) {
+    this.name = data.name.trim();
+    this.slug = data.slug || slugify(data.name);
+    this.description = data.description || "";
+    this.createdBy = data.createdBy ? new ObjectId(data.createdBy) : null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static validate(data) {
+    const errors = [];
+
+    if (!data.name || data.name.trim() === "") {
+      errors.push("Series name is required");
+    } else if (!slugify(data.name)) {
+      errors.push("Series name must contain letters or numbers");
+    }
+
+    if (
+      data.description !== undefined &&
+      typeof data.description !== "string"
+    ) {
+      errors.push("Description must be text");
+    }
+
+    return errors;
+  }
+}
+
+module.exports = Series;
@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const { checkLibrarian, checkAdmin } = require("../middleware/checkRole");
+const {
+  getAuthors,
+  getAuthorById,
+  createAuthor,
+  updateAuthor,
+  mergeAuthors,
+  deleteAuthor,
+} = require("../controllers/authorController");
+
+/**
+ * @route   GET /api/authors
+ * @desc    List authors with published book counts
+ * @access  Public
+ * @query   search, page, limit
+ */
+router.get("/", getAuthors);
+
+/**
+ * @route   GET /api/authors/:id
+ * @desc    Get author bio and published books (paginated)
+ * @access  Public
+ * @query   page, limit
+ */
+router.get("/:id", getAuthorById);
+
+/**
+ * @route   POST /api/authors
+ * @desc    Create an author
+ * @access  Librarian/Admin only
+ */
+router.post("/", verifyToken, checkLibrarian, createAuthor);
+
+/**
+ * @route   PUT /api/authors/:id
+ * @desc    Update author name, bio, photo or aliases
+ * @access  Librarian/Admin only
+ */
+router.put("/:id", verifyToken, checkLibrarian, updateAuthor);
+
+/**
+ * @route   POST /api/authors/:id/merge
+ * @desc    Merge duplicate authors ({ duplicateIds }) into this author
+ * @access  Admin only
+ */
+router.post("/:id/merge", verifyToken, checkAdmin, mergeAuthors);
+
+/**
+ * @route   DELETE /api/authors/:id
+ * @desc    Delete an author with no linked books
+ * @access  Admin only
+ */
+router.delete("/:id", verifyToken, checkAdmin, deleteAuthor);
+
+module.exports = router;
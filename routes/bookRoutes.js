@@ -1,37 +1,105 @@
 const express = require("express");
 const router = express.Router();
-const { verifyToken } = require("../middleware/auth");
-const { checkLibrarian, checkAdmin } = require("../middleware/checkRole");
+const { verifyToken, optionalAuth } = require("../middleware/auth");
+const {
+  checkLibrarian,
+  checkAdmin,
+  checkUser,
+} = require("../middleware/checkRole");
 const {
   addBook,
   getAllBooks,
+  getBestsellerBooks,
+  getTrendingBooks,
   getBookById,
+  getBookRecommendations,
+  getSearchSuggestions,
+  getBooksByIsbn,
   getLibrarianBooks,
   getAllBooksForAdmin,
   updateBook,
   deleteBook,
+  restoreBook,
+  purgeBook,
   toggleBookStatus,
+  addVariant,
+  updateVariant,
+  removeVariant,
+  getBookHistory,
+  revertBook,
 } = require("../controllers/bookController");
+const {
+  importBooks,
+  exportBooks,
+} = require("../controllers/catalogController");
+const { getBookPriceHistory } = require("../controllers/salePriceController");
+const {
+  getModerationQueue,
+  submitBookForReview,
+  reviewBook,
+} = require("../controllers/moderationController");
+const {
+  getDuplicateReport,
+  mergeBooks,
+} = require("../controllers/duplicateController");
+const {
+  uploadBookCover,
+  removeBookCover,
+} = require("../controllers/imageController");
+const { imageUpload } = require("../middleware/upload");
+const {
+  subscribeToBook,
+  unsubscribeFromBook,
+} = require("../controllers/stockAlertController");
 
 /**
  * @route   POST /api/books/add
- * @desc    Add a new book to the library
+ * @desc    Add a new book to the library (optional publishAt/unpublishAt schedule)
+ *          Librarians' books wait for admin review; status "draft" saves without submitting
+ *          Likely duplicates are returned with a 409 unless force=true
  * @access  Librarian/Admin only
  */
 router.post("/add", verifyToken, checkLibrarian, addBook);
 
+/**
+ * @route   POST /api/books/import
+ * @desc    Bulk import books from CSV (text/csv) or JSON ({ books: [...] })
+ * @access  Librarian/Admin only
+ * @query   dryRun=true (optional) - validate and report without saving
+ */
+router.post(
+  "/import",
+  verifyToken,
+  checkLibrarian,
+  express.text({ type: "text/csv", limit: "10mb" }),
+  importBooks
+);
+
 /**
  * @route   GET /api/books
- * @desc    Get all published books with pagination, search, and sorting
+ * @desc    Get all published books with pagination, search, sorting, filters and facets
  * @access  Public
- * @query   page, limit, search, sort (newest, price_asc, price_desc, name_asc, name_desc)
+ * @query   page, limit, search (full-text, with highlights)
+ * @query   cursor - keyset pagination instead of page (empty for the first page, then nextCursor/prevCursor)
+ * @query   sort (relevance, newest, price_asc, price_desc, name_asc, name_desc, rating, popular)
+ * @query   days - popularity window for sort=popular (default 30, max 90)
+ * @query   category (comma-separated), author, minPrice, maxPrice, minRating, inStock (true/false)
  */
 router.get("/", getAllBooks);
 
+/**
+ * @route   GET /api/books/suggest
+ * @desc    Typeahead title, author and category completions (typo tolerant, published books only)
+ * @access  Public
+ * @query   q (required), limit (per group, default 5, max 10)
+ */
+router.get("/suggest", getSearchSuggestions);
+
 /**
  * @route   GET /api/books/librarian/my-books
- * @desc    Get all books added by logged-in librarian
+ * @desc    Get all books added by logged-in librarian, with their schedule and upcoming changes
  * @access  Librarian/Admin only
+ * @query   cursor, limit (default 20, max 100) - optional cursor pagination
  */
 router.get(
   "/librarian/my-books",
@@ -40,39 +108,231 @@ router.get(
   getLibrarianBooks
 );
 
+/**
+ * @route   GET /api/books/export
+ * @desc    Stream own catalog (whole catalog for admins) as CSV or NDJSON
+ * @access  Librarian/Admin only
+ * @query   format (csv, ndjson), columns, status, librarian (admin only)
+ * @query   category, author, minPrice, maxPrice, minRating, inStock
+ */
+router.get("/export", verifyToken, checkLibrarian, exportBooks);
+
 /**
  * @route   GET /api/books/admin/all
  * @desc    Get all books regardless of status (with librarian info)
  * @access  Admin only
+ * @query   cursor, limit (default 20, max 100) - optional cursor pagination
  */
 router.get("/admin/all", verifyToken, checkAdmin, getAllBooksForAdmin);
 
 /**
- * @route   GET /api/books/:id
- * @desc    Get single book by ID with librarian details
+ * @route   GET /api/books/admin/moderation
+ * @desc    Books waiting for review, oldest submission first
+ * @access  Admin only
+ * @query   cursor, limit (default 20, max 100) - optional cursor pagination
+ */
+router.get("/admin/moderation", verifyToken, checkAdmin, getModerationQueue);
+
+/**
+ * @route   GET /api/books/admin/duplicates
+ * @desc    Clusters of books that look like duplicates, with match scores
+ * @access  Admin only
+ * @query   librarian (id), minScore (0.5-1, default 0.8)
+ */
+router.get("/admin/duplicates", verifyToken, checkAdmin, getDuplicateReport);
+
+/**
+ * @route   GET /api/books/isbn/:isbn
+ * @desc    Get published books by ISBN-10 or ISBN-13
+ * @access  Public
+ */
+router.get("/isbn/:isbn", getBooksByIsbn);
+
+/**
+ * @route   GET /api/books/bestsellers
+ * @desc    Published books with the most orders in the last `days` days
+ * @access  Public
+ * @query   days (default 7, max 90), limit (default 10, max 50), category
+ */
+router.get("/bestsellers", getBestsellerBooks);
+
+/**
+ * @route   GET /api/books/trending
+ * @desc    Published books whose orders grew most versus the previous window
  * @access  Public
+ * @query   days (default 7, max 90), limit, minOrders (default 2), category
+ */
+router.get("/trending", getTrendingBooks);
+
+/**
+ * @route   GET /api/books/:id
+ * @desc    Get single book by ID with librarian details and series position
+ * @access  Public (adds the next volume to read when signed in)
  */
-router.get("/:id", getBookById);
+router.get("/:id", optionalAuth, getBookById);
+
+/**
+ * @route   GET /api/books/:id/recommendations
+ * @desc    Books often ordered together with this one (falls back to same author/category)
+ * @access  Public (excludes the user's ordered books when signed in)
+ * @query   limit (default 10, max 50)
+ */
+router.get("/:id/recommendations", optionalAuth, getBookRecommendations);
+
+/**
+ * @route   POST /api/books/:id/subscribe
+ * @desc    Get notified once when an out-of-stock book is back in stock
+ * @access  Protected (authenticated user)
+ */
+router.post("/:id/subscribe", verifyToken, checkUser, subscribeToBook);
+
+/**
+ * @route   DELETE /api/books/:id/subscribe
+ * @desc    Cancel a waiting back-in-stock subscription
+ * @access  Protected (authenticated user)
+ */
+router.delete("/:id/subscribe", verifyToken, checkUser, unsubscribeFromBook);
 
 /**
  * @route   PUT /api/books/:id
- * @desc    Update book (librarian can update their own books)
+ * @desc    Update book (librarian can update their own books; publishAt/unpublishAt null clears the schedule)
  * @access  Librarian/Admin only
  */
 router.put("/:id", verifyToken, checkLibrarian, updateBook);
 
 /**
  * @route   DELETE /api/books/:id
- * @desc    Delete book and all related data
+ * @desc    Archive book (soft delete, keeps order and review history)
  * @access  Admin only
  */
 router.delete("/:id", verifyToken, checkAdmin, deleteBook);
 
+/**
+ * @route   PUT /api/books/:id/cover
+ * @desc    Upload a cover image (raw body: image/jpeg, image/png or image/webp)
+ *          Stored with small and medium thumbnails; imageURL points at it
+ * @access  Librarian/Admin only
+ */
+router.put(
+  "/:id/cover",
+  verifyToken,
+  checkLibrarian,
+  imageUpload,
+  uploadBookCover
+);
+
+/**
+ * @route   DELETE /api/books/:id/cover
+ * @desc    Remove the uploaded cover image
+ * @access  Librarian/Admin only
+ */
+router.delete("/:id/cover", verifyToken, checkLibrarian, removeBookCover);
+
+/**
+ * @route   PATCH /api/books/:id/restore
+ * @desc    Restore an archived book
+ * @access  Admin only
+ */
+router.patch("/:id/restore", verifyToken, checkAdmin, restoreBook);
+
+/**
+ * @route   POST /api/books/:id/merge
+ * @desc    Merge duplicate books into this one (orders, reviews, wishlists and
+ *          stock move here; the duplicates are archived)
+ * @access  Admin only
+ * @body    duplicateIds
+ */
+router.post("/:id/merge", verifyToken, checkAdmin, mergeBooks);
+
+/**
+ * @route   DELETE /api/books/:id/purge
+ * @desc    Permanently remove an archived book (requires confirm=<book id>)
+ * @access  Admin only
+ */
+router.delete("/:id/purge", verifyToken, checkAdmin, purgeBook);
+
 /**
  * @route   PATCH /api/books/:id/status
- * @desc    Toggle book status between published and unpublished
+ * @desc    Toggle an approved book between published and unpublished (publishing takes effect immediately)
  * @access  Librarian/Admin only
  */
 router.patch("/:id/status", verifyToken, checkLibrarian, toggleBookStatus);
 
+/**
+ * @route   POST /api/books/:id/submit
+ * @desc    Submit a draft or rejected book for review
+ * @access  Librarian (own books)/Admin
+ */
+router.post("/:id/submit", verifyToken, checkLibrarian, submitBookForReview);
+
+/**
+ * @route   PATCH /api/books/:id/review
+ * @desc    Approve or reject a book waiting for review
+ * @access  Admin only
+ * @body    decision ("approve" or "reject"), reason (required when rejecting)
+ */
+router.patch("/:id/review", verifyToken, checkAdmin, reviewBook);
+
+/**
+ * @route   POST /api/books/:id/variants
+ * @desc    Add a format/edition variant with its own price, stock and ISBN
+ * @access  Librarian (own books)/Admin
+ */
+router.post("/:id/variants", verifyToken, checkLibrarian, addVariant);
+
+/**
+ * @route   PUT /api/books/:id/variants/:variantId
+ * @desc    Update a variant
+ * @access  Librarian (own books)/Admin
+ */
+router.put(
+  "/:id/variants/:variantId",
+  verifyToken,
+  checkLibrarian,
+  updateVariant
+);
+
+/**
+ * @route   DELETE /api/books/:id/variants/:variantId
+ * @desc    Remove a variant (refused while it has pending or shipped orders)
+ * @access  Librarian (own books)/Admin
+ */
+router.delete(
+  "/:id/variants/:variantId",
+  verifyToken,
+  checkLibrarian,
+  removeVariant
+);
+
+/**
+ * @route   GET /api/books/:id/history
+ * @desc    Get revision history of a book (who, when, field-level changes)
+ * @access  Librarian (own books)/Admin
+ */
+router.get("/:id/history", verifyToken, checkLibrarian, getBookHistory);
+
+/**
+ * @route   GET /api/books/:id/price-history
+ * @desc    Get list price changes and sales of a book, with its current effective price
+ * @access  Librarian (own books)/Admin
+ */
+router.get(
+  "/:id/price-history",
+  verifyToken,
+  checkLibrarian,
+  getBookPriceHistory
+);
+
+/**
+ * @route   POST /api/books/:id/history/:revisionId/revert
+ * @desc    Revert a book to its state at a chosen revision
+ * @access  Admin only
+ */
+router.post(
+  "/:id/history/:revisionId/revert",
+  verifyToken,
+  checkAdmin,
+  revertBook
+);
+
 module.exports = router;
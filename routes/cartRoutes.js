@@ -0,0 +1,56 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const { checkUser } = require("../middleware/checkRole");
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkout,
+} = require("../controllers/cartController");
+
+/**
+ * @route   GET /api/cart
+ * @desc    Get the user's cart with current prices and stock
+ * @access  Protected (authenticated user)
+ */
+router.get("/", verifyToken, checkUser, getCart);
+
+/**
+ * @route   DELETE /api/cart
+ * @desc    Empty the cart
+ * @access  Protected (authenticated user)
+ */
+router.delete("/", verifyToken, checkUser, clearCart);
+
+/**
+ * @route   POST /api/cart/items
+ * @desc    Add a book (or more copies of it) to the cart
+ * @access  Protected (authenticated user)
+ */
+router.post("/items", verifyToken, checkUser, addCartItem);
+
+/**
+ * @route   PATCH /api/cart/items/:itemId
+ * @desc    Change the quantity of a cart line
+ * @access  Protected (authenticated user)
+ */
+router.patch("/items/:itemId", verifyToken, checkUser, updateCartItem);
+
+/**
+ * @route   DELETE /api/cart/items/:itemId
+ * @desc    Remove a line from the cart
+ * @access  Protected (authenticated user)
+ */
+router.delete("/items/:itemId", verifyToken, checkUser, removeCartItem);
+
+/**
+ * @route   POST /api/cart/checkout
+ * @desc    Place one order for everything in the cart
+ * @access  Protected (authenticated user)
+ */
+router.post("/checkout", verifyToken, checkUser, checkout);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const { checkAdmin } = require("../middleware/checkRole");
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../controllers/categoryController");
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get the category tree (or a flat list with ?flat=true)
+ * @access  Public
+ */
+router.get("/", getCategories);
+
+/**
+ * @route   GET /api/categories/:idOrSlug
+ * @desc    Get a category with its breadcrumb and subcategories
+ * @access  Public
+ */
+router.get("/:idOrSlug", getCategory);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a category (optionally under a parent)
+ * @access  Admin only
+ */
+router.post("/", verifyToken, checkAdmin, createCategory);
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Rename, re-describe, set aliases or move a category
+ * @access  Admin only
+ */
+router.put("/:id", verifyToken, checkAdmin, updateCategory);
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete a category (moveBooksTo required when it has books)
+ * @access  Admin only
+ */
+router.delete("/:id", verifyToken, checkAdmin, deleteCategory);
+
+module.exports = router;
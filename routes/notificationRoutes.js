@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const { checkUser } = require("../middleware/checkRole");
+const {
+  getMySubscriptions,
+  getMyNotifications,
+  markNotificationRead,
+} = require("../controllers/stockAlertController");
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the user's notifications (unread=true for unread only)
+ * @access  Protected (authenticated user)
+ */
+router.get("/", verifyToken, checkUser, getMyNotifications);
+
+/**
+ * @route   GET /api/notifications/subscriptions
+ * @desc    Get the user's back-in-stock subscriptions
+ * @access  Protected (authenticated user)
+ */
+router.get("/subscriptions", verifyToken, checkUser, getMySubscriptions);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Protected (authenticated user)
+ */
+router.patch("/:id/read", verifyToken, checkUser, markNotificationRead);
+
+module.exports = router;
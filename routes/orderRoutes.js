@@ -13,6 +13,7 @@ const {
   getLibrarianOrders,
   getAllOrders,
   getOrderById,
+  getOrderTimeline,
   cancelOrder,
   updateOrderStatus,
   updatePaymentStatus,
@@ -32,6 +33,7 @@ router.post("/", orderLimiter, verifyToken, checkUser, placeOrder);
  * @route   GET /api/orders/my-orders
  * @desc    Get all orders for logged-in user
  * @access  Protected (authenticated user)
+ * @query   cursor, limit (default 20, max 100) - optional cursor pagination
  */
 router.get("/my-orders", verifyToken, checkUser, getUserOrders);
 
@@ -39,6 +41,7 @@ router.get("/my-orders", verifyToken, checkUser, getUserOrders);
  * @route   GET /api/orders/librarian/orders
  * @desc    Get all orders for books added by logged-in librarian
  * @access  Librarian/Admin only
+ * @query   cursor, limit (default 20, max 100) - optional cursor pagination
  */
 router.get(
   "/librarian/orders",
@@ -58,6 +61,7 @@ router.get("/librarian/stats", verifyToken, checkLibrarian, getLibrarianStats);
  * @route   GET /api/orders/admin/all
  * @desc    Get all orders (admin only)
  * @access  Admin only
+ * @query   cursor, limit (default 20, max 100) - optional cursor pagination
  */
 router.get("/admin/all", verifyToken, checkAdmin, getAllOrders);
 
@@ -82,6 +86,13 @@ router.get("/can-review/:bookId", verifyToken, checkUser, canReviewBook);
  */
 router.get("/:id", verifyToken, checkUser, getOrderById);
 
+/**
+ * @route   GET /api/orders/:id/timeline
+ * @desc    Get the status changes of an order (who, when and why)
+ * @access  Protected (order owner, librarian, or admin)
+ */
+router.get("/:id/timeline", verifyToken, checkUser, getOrderTimeline);
+
 /**
  * @route   PATCH /api/orders/:id/cancel
  * @desc    Cancel order (user can cancel if status is pending)
@@ -0,0 +1,41 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const { checkLibrarian } = require("../middleware/checkRole");
+const {
+  getSalePrices,
+  createSalePrice,
+  updateSalePrice,
+  deleteSalePrice,
+} = require("../controllers/salePriceController");
+
+/**
+ * @route   GET /api/sale-prices
+ * @desc    List sales on own books and categories (all sales for admins)
+ * @access  Librarian/Admin only
+ * @query   state (upcoming, active, ended), book, category
+ */
+router.get("/", verifyToken, checkLibrarian, getSalePrices);
+
+/**
+ * @route   POST /api/sale-prices
+ * @desc    Schedule a percentage or fixed-amount sale on a book or category
+ * @access  Librarian (own books)/Admin (any book, categories)
+ */
+router.post("/", verifyToken, checkLibrarian, createSalePrice);
+
+/**
+ * @route   PUT /api/sale-prices/:id
+ * @desc    Update a sale (running sales: name and end date only)
+ * @access  Librarian (own books)/Admin
+ */
+router.put("/:id", verifyToken, checkLibrarian, updateSalePrice);
+
+/**
+ * @route   DELETE /api/sale-prices/:id
+ * @desc    Cancel an upcoming sale or end a running one now
+ * @access  Librarian (own books)/Admin
+ */
+router.delete("/:id", verifyToken, checkLibrarian, deleteSalePrice);
+
+module.exports = router;
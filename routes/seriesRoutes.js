@@ -0,0 +1,70 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken, optionalAuth } = require("../middleware/auth");
+const { checkLibrarian, checkAdmin } = require("../middleware/checkRole");
+const {
+  getSeries,
+  getSeriesById,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  setBookSeries,
+  removeBookFromSeries,
+} = require("../controllers/seriesController");
+
+/**
+ * @route   GET /api/series
+ * @desc    List series with published volume counts
+ * @access  Public
+ * @query   search, page, limit
+ */
+router.get("/", getSeries);
+
+/**
+ * @route   GET /api/series/:id
+ * @desc    Get a series (by id or slug) and its published volumes in reading order
+ * @access  Public (adds the next volume to read when signed in)
+ */
+router.get("/:id", optionalAuth, getSeriesById);
+
+/**
+ * @route   POST /api/series
+ * @desc    Create a series
+ * @access  Librarian/Admin only
+ */
+router.post("/", verifyToken, checkLibrarian, createSeries);
+
+/**
+ * @route   PUT /api/series/:id
+ * @desc    Rename a series or change its description
+ * @access  Librarian/Admin only
+ */
+router.put("/:id", verifyToken, checkLibrarian, updateSeries);
+
+/**
+ * @route   DELETE /api/series/:id
+ * @desc    Delete a series with no books
+ * @access  Admin only
+ */
+router.delete("/:id", verifyToken, checkAdmin, deleteSeries);
+
+/**
+ * @route   PUT /api/series/:id/books/:bookId
+ * @desc    Add a book to the series or change its volume ({ volume })
+ * @access  Librarian (own books)/Admin
+ */
+router.put("/:id/books/:bookId", verifyToken, checkLibrarian, setBookSeries);
+
+/**
+ * @route   DELETE /api/series/:id/books/:bookId
+ * @desc    Remove a book from the series
+ * @access  Librarian (own books)/Admin
+ */
+router.delete(
+  "/:id/books/:bookId",
+  verifyToken,
+  checkLibrarian,
+  removeBookFromSeries
+);
+
+module.exports = router;
@@ -10,6 +10,15 @@ const {
   getUserStats,
   markPasswordSet,
 } = require("../controllers/userController");
+const {
+  uploadAvatar,
+  removeAvatar,
+} = require("../controllers/imageController");
+const {
+  previewTransfer,
+  transferBooks,
+} = require("../controllers/transferController");
+const { imageUpload } = require("../middleware/upload");
 
 /**
  * @route   GET /api/users/profile
@@ -39,6 +48,20 @@ router.put("/profile", verifyToken, checkUser, updateUserProfile);
  */
 router.post("/password-set", verifyToken, checkUser, markPasswordSet);
 
+/**
+ * @route   PUT /api/users/avatar
+ * @desc    Upload an avatar (raw body: image/jpeg, image/png or image/webp)
+ * @access  Protected
+ */
+router.put("/avatar", verifyToken, checkUser, imageUpload, uploadAvatar);
+
+/**
+ * @route   DELETE /api/users/avatar
+ * @desc    Remove the uploaded avatar
+ * @access  Protected
+ */
+router.delete("/avatar", verifyToken, checkUser, removeAvatar);
+
 /**
  * @route   GET /api/users/all
  * @desc    Get all users
@@ -49,9 +72,29 @@ router.get("/all", verifyToken, checkAdmin, getAllUsers);
 
 /**
  * @route   PATCH /api/users/:userId/role
- * @desc    Update user role
+ * @desc    Update user role (demoting a librarian with active books needs transferTo)
  * @access  Admin only
  */
 router.patch("/:userId/role", verifyToken, checkAdmin, updateUserRole);
 
+/**
+ * @route   GET /api/users/:userId/transfer/preview
+ * @desc    Preview moving a librarian's books, open orders and sales to another librarian
+ * @access  Admin only
+ * @query   to (target librarian id), bookIds (comma-separated, default all)
+ */
+router.get(
+  "/:userId/transfer/preview",
+  verifyToken,
+  checkAdmin,
+  previewTransfer
+);
+
+/**
+ * @route   POST /api/users/:userId/transfer
+ * @desc    Transfer some or all of a librarian's books ({ to, bookIds }) to another librarian
+ * @access  Admin only
+ */
+router.post("/:userId/transfer", verifyToken, checkAdmin, transferBooks);
+
 module.exports = router;
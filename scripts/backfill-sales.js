@@ -0,0 +1,102 @@
+/**
+ * Sales Counter Backfill
+ * Rebuilds the daily sales counters used by bestseller and trending
+ * rankings from the orders collection. Run once after deploying the
+ * rankings, or any time the counters need to be repaired; existing
+ * counters for the covered days are replaced, so it is safe to re-run.
+ *
+ * Usage: node scripts/backfill-sales.js [--days <n>] (default 180)
+ */
+require("dotenv").config();
+const { connectDB, closeDB } = require("../config/db");
+const { getCollection, createIndexes } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { startOfUtcDay } = require("../utils/sales");
+const { orderLineStages } = require("../utils/orders");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const backfill = async (days) => {
+  const since = new Date(startOfUtcDay().getTime() - (days - 1) * DAY_MS);
+  const ordersCollection = getCollection(COLLECTIONS.ORDERS);
+  const salesCollection = getCollection(COLLECTIONS.BOOK_SALES_DAILY);
+
+  // Counters in the window are rebuilt from scratch
+  const { deletedCount } = await salesCollection.deleteMany({
+    day: { $gte: since },
+  });
+  logger.success(`Removed ${deletedCount} existing daily counter(s)`);
+
+  await ordersCollection
+    .aggregate([
+      {
+        $addFields: {
+          placedAt: { $ifNull: ["$orderDate", "$createdAt"] },
+        },
+      },
+      {
+        $match: {
+          placedAt: { $gte: since },
+          orderStatus: { $ne: "cancelled" },
+        },
+      },
+      ...orderLineStages(),
+      {
+        $group: {
+          _id: {
+            book: "$line.book",
+            day: {
+              $dateTrunc: { date: "$placedAt", unit: "day", timezone: "UTC" },
+            },
+          },
+          orders: { $sum: { $ifNull: ["$line.quantity", 1] } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          book: "$_id.book",
+          day: "$_id.day",
+          orders: 1,
+        },
+      },
+      {
+        $merge: {
+          into: COLLECTIONS.BOOK_SALES_DAILY,
+          on: ["book", "day"],
+          whenMatched: "replace",
+          whenNotMatched: "insert",
+        },
+      },
+    ])
+    .toArray();
+
+  const counters = await salesCollection.countDocuments({
+    day: { $gte: since },
+  });
+  logger.success(
+    `Rebuilt ${counters} daily counter(s) for the last ${days} days`
+  );
+};
+
+const run = async () => {
+  let exitCode = 0;
+  try {
+    const daysIndex = process.argv.indexOf("--days");
+    const days =
+      daysIndex !== -1 ? parseInt(process.argv[daysIndex + 1]) || 180 : 180;
+
+    await connectDB();
+    await createIndexes();
+    await backfill(days);
+  } catch (error) {
+    logger.error("Sales backfill failed:", error);
+    exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+run();
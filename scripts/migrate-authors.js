@@ -0,0 +1,124 @@
+/**
+ * Author Migration
+ * Links books that only carry an author name to author records.
+ *
+ * Names that only differ in case, spacing or punctuation ("J.R.R. Tolkien",
+ * "J R R Tolkien") share a slug and become one author, named after the most
+ * common spelling. Names matching an existing author or one of its aliases
+ * are linked to it. Misspellings with a different slug can be merged
+ * afterwards with POST /api/authors/:id/merge.
+ *
+ * Books that already have linked authors are left alone, so the script can
+ * be re-run safely.
+ *
+ * Usage: node scripts/migrate-authors.js [--dry-run]
+ */
+require("dotenv").config();
+const { connectDB, closeDB } = require("../config/db");
+const { getCollection, createIndexes } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { authorSlug } = require("../utils/authors");
+const Author = require("../models/Author");
+const logger = require("../utils/logger");
+
+const migrate = async ({ dryRun }) => {
+  const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+  // Existing authors, indexed by slug and alias
+  const existing = await authorsCollection.find({}).toArray();
+  const authorsBySlug = new Map();
+  existing.forEach((author) => {
+    authorsBySlug.set(author.slug, author);
+    (author.aliases || []).forEach((alias) => authorsBySlug.set(alias, author));
+  });
+
+  // Distinct author names on books that are not linked yet
+  const spellings = await booksCollection
+    .aggregate([
+      { $match: { "authors.0": { $exists: false } } },
+      { $group: { _id: "$author", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ])
+    .toArray();
+
+  // Group names by slug; the most frequent spelling comes first
+  const groups = new Map();
+  let skipped = 0;
+  spellings.forEach(({ _id: raw, count }) => {
+    const slug = typeof raw === "string" ? authorSlug(raw) : "";
+    if (!slug) {
+      skipped += count;
+      return;
+    }
+
+    if (!groups.has(slug)) {
+      groups.set(slug, { slug, spellings: [] });
+    }
+    groups.get(slug).spellings.push({ raw, count });
+  });
+
+  const plan = [...groups.values()].map((group) => {
+    const author =
+      authorsBySlug.get(group.slug) ||
+      new Author({ name: group.spellings[0].raw, slug: group.slug });
+    return { author, created: !authorsBySlug.has(group.slug), group };
+  });
+
+  plan.forEach(({ author, created, group }) => {
+    const spellingList = group.spellings
+      .map(({ raw, count }) => `${JSON.stringify(raw)} (${count})`)
+      .join(", ");
+    logger.success(
+      `${created ? "Create" : "Use"} '${author.name}' <- ${spellingList}`
+    );
+  });
+
+  if (skipped > 0) {
+    logger.warn(
+      `${skipped} book(s) have no usable author name and were skipped`
+    );
+  }
+
+  if (dryRun) {
+    logger.warn("Dry run: no changes were written");
+    return;
+  }
+
+  let updatedBooks = 0;
+  for (const { author, created, group } of plan) {
+    if (created) {
+      const result = await authorsCollection.insertOne(author);
+      author._id = result.insertedId;
+    }
+
+    for (const { raw } of group.spellings) {
+      const result = await booksCollection.updateMany(
+        { "authors.0": { $exists: false }, author: raw },
+        { $set: { authors: [author._id], author: author.name } }
+      );
+      updatedBooks += result.modifiedCount;
+    }
+  }
+
+  logger.success(
+    `Linked ${updatedBooks} book(s) to ${plan.length} author record(s)`
+  );
+};
+
+const run = async () => {
+  let exitCode = 0;
+  try {
+    await connectDB();
+    await createIndexes();
+    await migrate({ dryRun: process.argv.includes("--dry-run") });
+  } catch (error) {
+    logger.error("Author migration failed:", error);
+    exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+run();
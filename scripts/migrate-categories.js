@@ -0,0 +1,189 @@
+/**
+ * Category Migration
+ * Maps the free-text `category` strings on books onto managed categories.
+ *
+ * Spellings that only differ in case, spacing or punctuation ("Sci-Fi",
+ * "sci fi") share a slug and become one category, named after the most
+ * common spelling. Other synonyms ("Science Fiction") can be merged with an
+ * aliases file mapping spellings to the category name they belong to:
+ *
+ *   { "Science Fiction": "Sci-Fi", "Kids": "Children" }
+ *
+ * Every merged spelling is stored as an alias of its category, so clients
+ * sending an old spelling keep working. Books that already have a
+ * categoryId are left alone, so the script can be re-run safely.
+ *
+ * Usage: node scripts/migrate-categories.js [--dry-run] [--aliases <file.json>]
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { connectDB, closeDB } = require("../config/db");
+const { getCollection, createIndexes } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { slugify } = require("../utils/categories");
+const Category = require("../models/Category");
+const logger = require("../utils/logger");
+
+const DEFAULT_CATEGORY = "General";
+
+/**
+ * Read command line options
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} { dryRun, aliases }
+ */
+const parseArgs = (args) => {
+  const options = { dryRun: args.includes("--dry-run"), aliases: {} };
+
+  const aliasesIndex = args.indexOf("--aliases");
+  if (aliasesIndex !== -1) {
+    const file = args[aliasesIndex + 1];
+    if (!file) {
+      throw new Error("--aliases requires a JSON file path");
+    }
+    options.aliases = JSON.parse(
+      fs.readFileSync(path.resolve(process.cwd(), file), "utf8")
+    );
+  }
+
+  return options;
+};
+
+const migrate = async ({ dryRun, aliases }) => {
+  const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+  // Existing categories, indexed by slug and alias
+  const existing = await categoriesCollection.find({}).toArray();
+  const categoriesBySlug = new Map();
+  existing.forEach((category) => {
+    categoriesBySlug.set(category.slug, category);
+    (category.aliases || []).forEach((alias) =>
+      categoriesBySlug.set(alias, category)
+    );
+  });
+
+  // Slug of the category an aliases-file entry points at
+  const aliasTargets = new Map(
+    Object.entries(aliases).map(([spelling, name]) => [
+      slugify(spelling),
+      slugify(name),
+    ])
+  );
+  const aliasNames = new Map(
+    Object.values(aliases).map((name) => [slugify(name), name.trim()])
+  );
+
+  // Distinct category strings on books that are not mapped yet
+  const spellings = await booksCollection
+    .aggregate([
+      { $match: { categoryId: null } },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ])
+    .toArray();
+
+  // Group spellings by the category they belong to
+  const groups = new Map();
+  spellings.forEach(({ _id: raw, count }) => {
+    const spelling =
+      typeof raw === "string" && raw.trim() ? raw.trim() : DEFAULT_CATEGORY;
+    const slug = slugify(spelling) || slugify(DEFAULT_CATEGORY);
+    const targetSlug = aliasTargets.get(slug) || slug;
+
+    if (!groups.has(targetSlug)) {
+      groups.set(targetSlug, { slug: targetSlug, spellings: [], count: 0 });
+    }
+    const group = groups.get(targetSlug);
+    group.spellings.push({ raw, spelling, slug, count });
+    group.count += count;
+  });
+
+  const plan = [];
+  for (const group of groups.values()) {
+    let category = categoriesBySlug.get(group.slug);
+    const created = !category;
+
+    if (!category) {
+      // Most frequent spelling wins unless the aliases file names the category
+      const name = aliasNames.get(group.slug) || group.spellings[0].spelling;
+      category = new Category({ name, slug: group.slug });
+    }
+
+    const newAliases = [
+      ...new Set(group.spellings.map((spelling) => spelling.slug)),
+    ].filter(
+      (slug) =>
+        slug !== category.slug && !(category.aliases || []).includes(slug)
+    );
+
+    plan.push({ category, created, newAliases, group });
+  }
+
+  plan.forEach(({ category, created, newAliases, group }) => {
+    const spellingList = group.spellings
+      .map(({ raw, count }) => `${JSON.stringify(raw)} (${count})`)
+      .join(", ");
+    logger.success(
+      `${created ? "Create" : "Use"} '${category.name}' [${
+        category.slug
+      }] <- ${spellingList}` +
+        (newAliases.length ? `; aliases: ${newAliases.join(", ")}` : "")
+    );
+  });
+
+  if (dryRun) {
+    logger.warn("Dry run: no changes were written");
+    return;
+  }
+
+  let updatedBooks = 0;
+  for (const { category, created, newAliases, group } of plan) {
+    if (created) {
+      const result = await categoriesCollection.insertOne(category);
+      category._id = result.insertedId;
+    }
+
+    if (newAliases.length > 0) {
+      await categoriesCollection.updateOne(
+        { _id: category._id },
+        {
+          $addToSet: { aliases: { $each: newAliases } },
+          $set: { updatedAt: new Date() },
+        }
+      );
+    }
+
+    for (const { raw } of group.spellings) {
+      const result = await booksCollection.updateMany(
+        { categoryId: null, category: raw },
+        { $set: { categoryId: category._id, category: category.name } }
+      );
+      updatedBooks += result.modifiedCount;
+    }
+  }
+
+  logger.success(
+    `Mapped ${updatedBooks} book(s) onto ${plan.length} categor${
+      plan.length === 1 ? "y" : "ies"
+    }`
+  );
+};
+
+const run = async () => {
+  let exitCode = 0;
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await connectDB();
+    await createIndexes();
+    await migrate(options);
+  } catch (error) {
+    logger.error("Category migration failed:", error);
+    exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+run();
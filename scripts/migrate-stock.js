@@ -0,0 +1,116 @@
+/**
+ * Stock Migration
+ * Gives a stock level to books created before stock was tracked.
+ *
+ * Orders reserve copies atomically and only succeed while the book (or the
+ * ordered variant) has `quantity` copies left, so books without a numeric
+ * quantity cannot be ordered at all. This sets the given quantity on every
+ * such book and variant; for books with variants the book-level quantity is
+ * then recomputed as the total across variants.
+ *
+ * Books and variants that already have a quantity are left alone, so the
+ * script can be re-run safely.
+ *
+ * Usage: node scripts/migrate-stock.js --quantity <n> [--dry-run]
+ */
+require("dotenv").config();
+const { connectDB, closeDB } = require("../config/db");
+const { getCollection, createIndexes } = require("../utils/dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const logger = require("../utils/logger");
+
+/**
+ * Matches values that are not a stock level (missing, null, text, ...)
+ */
+const NOT_A_NUMBER = { $not: { $type: "number" } };
+
+/**
+ * Read command line options
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} { dryRun, quantity }
+ */
+const parseArgs = (args) => {
+  const quantityIndex = args.indexOf("--quantity");
+  const quantity =
+    quantityIndex !== -1 ? Number(args[quantityIndex + 1]) : undefined;
+
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new Error(
+      "--quantity <n> is required: the number of copies to give each book without a stock level"
+    );
+  }
+
+  return { dryRun: args.includes("--dry-run"), quantity };
+};
+
+const migrate = async ({ dryRun, quantity }) => {
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+  const withVariantsFilter = {
+    variants: { $elemMatch: { quantity: NOT_A_NUMBER } },
+  };
+  const plainFilter = {
+    "variants.0": { $exists: false },
+    quantity: NOT_A_NUMBER,
+  };
+
+  const [variantBooks, plainBooks] = await Promise.all([
+    booksCollection.countDocuments(withVariantsFilter),
+    booksCollection.countDocuments(plainFilter),
+  ]);
+
+  if (dryRun) {
+    logger.info(
+      `Would set ${quantity} copies on ${plainBooks} book(s) and on the variants of ${variantBooks} book(s)`
+    );
+    return;
+  }
+
+  const plain = await booksCollection.updateMany(plainFilter, {
+    $set: { quantity },
+  });
+
+  // Variants without stock get the quantity; the book carries the total
+  const variants = await booksCollection.updateMany(withVariantsFilter, [
+    {
+      $set: {
+        variants: {
+          $map: {
+            input: "$variants",
+            as: "variant",
+            in: {
+              $cond: [
+                { $isNumber: "$$variant.quantity" },
+                "$$variant",
+                { $mergeObjects: ["$$variant", { quantity }] },
+              ],
+            },
+          },
+        },
+      },
+    },
+    { $set: { quantity: { $sum: "$variants.quantity" } } },
+  ]);
+
+  logger.success(
+    `Set ${quantity} copies on ${plain.modifiedCount} book(s) and on the variants of ${variants.modifiedCount} book(s)`
+  );
+};
+
+const run = async () => {
+  let exitCode = 0;
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await connectDB();
+    await createIndexes();
+    await migrate(options);
+  } catch (error) {
+    logger.error("Stock migration failed:", error);
+    exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+run();
@@ -6,6 +6,7 @@ const { initializeFirebaseAdmin } = require("./config/firebase-admin");
 const { createIndexes } = require("./utils/dbHelpers");
 const requestLogger = require("./middleware/requestLogger");
 const logger = require("./utils/logger");
+const { UPLOAD_DIR } = require("./utils/storage");
 const {
   helmetConfig,
   generalLimiter,
@@ -20,6 +21,12 @@ const orderRoutes = require("./routes/orderRoutes");
 const paymentRoutes = require("./routes/paymentRoutes");
 const wishlistRoutes = require("./routes/wishlistRoutes");
 const reviewRoutes = require("./routes/reviewRoutes");
+const categoryRoutes = require("./routes/categoryRoutes");
+const authorRoutes = require("./routes/authorRoutes");
+const salePriceRoutes = require("./routes/salePriceRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const seriesRoutes = require("./routes/seriesRoutes");
+const cartRoutes = require("./routes/cartRoutes");
 
 const app = express();
 
@@ -115,6 +122,14 @@ app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(cookieParser());
 
+// Uploaded images from the local storage adapter. File names are never
+// reused, so they can be cached for good; served before the rate limiter
+// because a single catalog page loads many of them.
+app.use(
+  "/uploads",
+  express.static(UPLOAD_DIR, { maxAge: "365d", immutable: true })
+);
+
 // Apply rate limiting to all routes
 app.use(generalLimiter);
 
@@ -152,6 +167,12 @@ app.use("/api/orders", orderRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/wishlist", wishlistRoutes);
 app.use("/api/reviews", reviewRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/authors", authorRoutes);
+app.use("/api/sale-prices", salePriceRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/series", seriesRoutes);
+app.use("/api/cart", cartRoutes);
 
 // Server
 const PORT = process.env.PORT || 5000;
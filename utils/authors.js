@@ -0,0 +1,201 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { slugify } = require("./categories");
+
+/**
+ * Separator used when storing several author names on a book
+ */
+const AUTHOR_NAME_SEPARATOR = ", ";
+
+/**
+ * Slug for an author name
+ * Names without Latin letters or digits (e.g. "Лев Толстой") keep their own
+ * letters rather than slugifying to ""
+ * @param {string} value - Author name
+ * @returns {string} Slug ("" when the name has no letters or digits at all)
+ */
+const authorSlug = (value) =>
+  slugify(value) ||
+  String(value || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Find an author by id, name, slug or alias
+ * @param {string|ObjectId} value - Author id or name
+ * @returns {Promise<Object|null>} Author document or null
+ */
+const resolveAuthor = async (value) => {
+  if (!value) return null;
+
+  const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+
+  if (ObjectId.isValid(value) && String(value).length === 24) {
+    const author = await authorsCollection.findOne({
+      _id: new ObjectId(value),
+    });
+    if (author) return author;
+  }
+
+  // Names without letters or digits get a random slug, so match them exactly
+  const slug = authorSlug(value);
+  if (!slug) return authorsCollection.findOne({ name: String(value).trim() });
+
+  return authorsCollection.findOne({ $or: [{ slug }, { aliases: slug }] });
+};
+
+/**
+ * Find an author by name, creating the record when none matches
+ * @param {string} name - Author name
+ * @param {Object} user - Acting user (req.user), recorded as creator
+ * @returns {Promise<Object>} Author document
+ */
+const findOrCreateAuthor = async (name, user) => {
+  const existing = await resolveAuthor(name);
+  if (existing) return existing;
+
+  const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+  const author = {
+    name: name.trim(),
+    slug: authorSlug(name) || new ObjectId().toHexString(),
+    bio: "",
+    photoURL: null,
+    aliases: [],
+    createdBy: new ObjectId(user._id),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  try {
+    const result = await authorsCollection.insertOne(author);
+    return { ...author, _id: result.insertedId };
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) {
+      const created = await resolveAuthor(name);
+      if (created) return created;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Display string for a list of authors, e.g. "Terry Pratchett, Neil Gaiman"
+ * @param {Array} authors - Author documents, in credit order
+ * @returns {string} Author names
+ */
+const formatAuthorNames = (authors) =>
+  authors.map((author) => author.name).join(AUTHOR_NAME_SEPARATOR);
+
+/**
+ * Resolve the authors of a book from request input
+ * `authorIds` (in credit order) takes precedence; otherwise the `author` name
+ * is linked to a matching author, or a new author record is created for it
+ * @param {Object} input - { authorIds, author } from the request body
+ * @param {Object} user - Acting user (req.user)
+ * @returns {Promise<Object>} { authors, author } - ids and display string, or { error }
+ */
+const resolveBookAuthors = async ({ authorIds, author }, user) => {
+  if (authorIds !== undefined) {
+    if (
+      !Array.isArray(authorIds) ||
+      authorIds.length === 0 ||
+      !authorIds.every((id) => ObjectId.isValid(id))
+    ) {
+      return { error: "authorIds must be a non-empty array of author IDs" };
+    }
+
+    const ids = [...new Set(authorIds.map(String))].map(
+      (id) => new ObjectId(id)
+    );
+    const authorsCollection = getCollection(COLLECTIONS.AUTHORS);
+    const found = await authorsCollection
+      .find({ _id: { $in: ids } }, { projection: { name: 1 } })
+      .toArray();
+
+    const ordered = ids.map((id) =>
+      found.find((candidate) => candidate._id.equals(id))
+    );
+    const missing = ids.filter((id, index) => !ordered[index]);
+    if (missing.length > 0) {
+      return { error: `Unknown author ID(s): ${missing.join(", ")}` };
+    }
+
+    return { authors: ids, author: formatAuthorNames(ordered) };
+  }
+
+  const linked = await findOrCreateAuthor(String(author), user);
+  return { authors: [linked._id], author: linked.name };
+};
+
+/**
+ * Refresh the author display string on every book linked to the given authors
+ * (after a rename or merge)
+ * @param {ObjectId[]} authorIds - Authors whose books need refreshing
+ * @returns {Promise<number>} Number of books updated
+ */
+const syncBookAuthorNames = async (authorIds) => {
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+  const books = await booksCollection
+    .aggregate([
+      { $match: { authors: { $in: authorIds } } },
+      {
+        $lookup: {
+          from: COLLECTIONS.AUTHORS,
+          localField: "authors",
+          foreignField: "_id",
+          as: "authorRecords",
+        },
+      },
+      {
+        $project: {
+          author: 1,
+          authors: 1,
+          "authorRecords._id": 1,
+          "authorRecords.name": 1,
+        },
+      },
+    ])
+    .toArray();
+
+  // $lookup does not keep array order, so restore the credit order
+  const operations = books
+    .map((book) => {
+      const names = formatAuthorNames(
+        book.authors
+          .map((id) =>
+            book.authorRecords.find((record) => record._id.equals(id))
+          )
+          .filter(Boolean)
+      );
+      return { book, names };
+    })
+    .filter(({ book, names }) => names && names !== book.author)
+    .map(({ book, names }) => ({
+      updateOne: {
+        filter: { _id: book._id },
+        update: { $set: { author: names } },
+      },
+    }));
+
+  if (operations.length === 0) return 0;
+
+  const result = await booksCollection.bulkWrite(operations, {
+    ordered: false,
+  });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  AUTHOR_NAME_SEPARATOR,
+  authorSlug,
+  resolveAuthor,
+  findOrCreateAuthor,
+  formatAuthorNames,
+  resolveBookAuthors,
+  syncBookAuthorNames,
+};
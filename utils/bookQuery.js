@@ -0,0 +1,194 @@
+const COLLECTIONS = require("../config/collections");
+const { escapeRegex } = require("./search");
+const { expandCategories } = require("./categories");
+const { resolveAuthor } = require("./authors");
+const { scheduleFilter } = require("./schedule");
+
+/**
+ * Upper bounds of the price ranges reported in listing facets
+ * Prices at or above the last boundary fall into the open-ended top range
+ */
+const PRICE_BUCKET_BOUNDARIES = [0, 10, 20, 50, 100];
+
+/**
+ * Filter matching books that are visible in the public catalog
+ * Archived (soft-deleted) books are never public, and published books are
+ * only public within their publishAt/unpublishAt window
+ * @param {Date} now - Moment to evaluate the schedule at (default: current time)
+ * @returns {Object} MongoDB filter
+ */
+const publicBookFilter = (now = new Date()) => ({
+  status: "published",
+  archivedAt: null,
+  ...scheduleFilter(now),
+});
+
+/**
+ * Parse an optional numeric query parameter
+ * @param {*} value - Raw query value
+ * @returns {number|undefined|null} Parsed number, undefined if absent, null if invalid
+ */
+const parseNumberParam = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Build catalog filters from listing query parameters
+ * Supports category (comma-separated ids, names or slugs; subcategories are
+ * included), author (id or name), minPrice, maxPrice, minRating and
+ * inStock (true/false)
+ * @param {Object} params - Request query parameters
+ * @returns {Promise<Object>} { filter, minRating, error } - filter is a MongoDB filter;
+ *   minRating must be applied after the rating stages; error is set on invalid input
+ */
+const buildBookFilters = async (params = {}) => {
+  const { category, author, inStock } = params;
+  const filter = {};
+
+  if (category) {
+    const categories = String(category)
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+    filter.categoryId = { $in: await expandCategories(categories) };
+  }
+
+  if (author) {
+    // Books linked to a known author (by id, name or alias) match whatever
+    // their co-authors are; other names fall back to the stored author text
+    const authorRecord = await resolveAuthor(String(author).trim());
+    if (authorRecord) {
+      filter.authors = authorRecord._id;
+    } else {
+      filter.author = {
+        $regex: `^${escapeRegex(String(author).trim())}$`,
+        $options: "i",
+      };
+    }
+  }
+
+  const minPrice = parseNumberParam(params.minPrice);
+  const maxPrice = parseNumberParam(params.maxPrice);
+  if (minPrice === null || maxPrice === null) {
+    return { error: "minPrice and maxPrice must be numbers" };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  if (inStock === "true") {
+    filter.quantity = { $gt: 0 };
+  } else if (inStock === "false") {
+    filter.quantity = { $not: { $gt: 0 } };
+  }
+
+  const minRating = parseNumberParam(params.minRating);
+  if (
+    minRating === null ||
+    (minRating !== undefined && (minRating < 0 || minRating > 5))
+  ) {
+    return { error: "minRating must be a number between 0 and 5" };
+  }
+
+  return { filter, minRating };
+};
+
+/**
+ * Aggregation stages adding averageRating and reviewCount from reviews
+ * @returns {Array} Aggregation stages
+ */
+const ratingStages = () => [
+  {
+    $lookup: {
+      from: COLLECTIONS.REVIEWS,
+      localField: "_id",
+      foreignField: "book",
+      as: "ratingSummary",
+      pipeline: [
+        {
+          $group: {
+            _id: null,
+            averageRating: { $avg: "$rating" },
+            reviewCount: { $sum: 1 },
+          },
+        },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      averageRating: {
+        $round: [
+          {
+            $ifNull: [{ $arrayElemAt: ["$ratingSummary.averageRating", 0] }, 0],
+          },
+          1,
+        ],
+      },
+      reviewCount: {
+        $ifNull: [{ $arrayElemAt: ["$ratingSummary.reviewCount", 0] }, 0],
+      },
+    },
+  },
+  { $project: { ratingSummary: 0 } },
+];
+
+/**
+ * Facet pipelines counting the filtered catalog per category, author and price range
+ * @returns {Object} Sub-pipelines for a $facet stage
+ */
+const facetPipelines = () => ({
+  categories: [{ $sortByCount: "$category" }],
+  authors: [{ $sortByCount: "$author" }, { $limit: 20 }],
+  priceRanges: [
+    {
+      $bucket: {
+        groupBy: "$price",
+        boundaries: PRICE_BUCKET_BOUNDARIES,
+        default: "other",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+});
+
+/**
+ * Convert raw $facet output into the response shape used by listings
+ * @param {Object} facetResult - Output document of the $facet stage
+ * @returns {Object} { categories, authors, priceRanges }
+ */
+const formatFacets = (facetResult) => {
+  const lastBoundary =
+    PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1];
+
+  return {
+    categories: facetResult.categories.map(({ _id, count }) => ({
+      value: _id,
+      count,
+    })),
+    authors: facetResult.authors.map(({ _id, count }) => ({
+      value: _id,
+      count,
+    })),
+    priceRanges: facetResult.priceRanges.map(({ _id, count }) => {
+      if (_id === "other") {
+        return { min: lastBoundary, max: null, count };
+      }
+      const index = PRICE_BUCKET_BOUNDARIES.indexOf(_id);
+      return { min: _id, max: PRICE_BUCKET_BOUNDARIES[index + 1], count };
+    }),
+  };
+};
+
+module.exports = {
+  PRICE_BUCKET_BOUNDARIES,
+  publicBookFilter,
+  buildBookFilters,
+  ratingStages,
+  facetPipelines,
+  formatFacets,
+};
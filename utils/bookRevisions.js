@@ -0,0 +1,124 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+
+/**
+ * Book fields whose changes are recorded in the revision history
+ */
+const TRACKED_FIELDS = [
+  "name",
+  "author",
+  "authors",
+  "imageURL",
+  "coverImage",
+  "price",
+  "quantity",
+  "status",
+  "publishAt",
+  "unpublishAt",
+  "category",
+  "categoryId",
+  "description",
+  "isbn10",
+  "isbn13",
+];
+
+/**
+ * Tracked fields that a revert may restore
+ * Quantity is left alone: it also moves with orders, which are not
+ * revisions, so an old value would no longer reflect real stock. Status is
+ * left alone too: it only changes through the moderation workflow.
+ */
+const REVERTIBLE_FIELDS = TRACKED_FIELDS.filter(
+  (field) => !["quantity", "status"].includes(field)
+);
+
+/**
+ * Compare two field values (handles Dates, ObjectIds, arrays and null/undefined)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equivalent
+ */
+const isSameValue = (a, b) =>
+  JSON.stringify(a === undefined ? null : a) ===
+  JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Field-level diff between two versions of a book
+ * @param {Object} before - Previous book state ({} for a new book)
+ * @param {Object} after - New book state (may be partial, e.g. an update's $set)
+ * @param {string[]} fields - Fields to compare (default: all tracked fields)
+ * @returns {Array} Changes as { field, from, to }
+ */
+const diffBook = (before, after, fields = TRACKED_FIELDS) =>
+  fields
+    .filter((field) => field in after)
+    .filter((field) => !isSameValue(before[field], after[field]))
+    .map((field) => ({
+      field,
+      from: before[field] === undefined ? null : before[field],
+      to: after[field] === undefined ? null : after[field],
+    }));
+
+/**
+ * Build a revision document
+ * @param {Object} params
+ * @param {ObjectId} params.bookId - Book the revision belongs to
+ * @param {string} params.action - create, update, status, archive, restore,
+ *   import, revert, variant, moderation, merge, transfer, category (category
+ *   renamed or deleted) or author (author renamed or merged)
+ * @param {Array} params.changes - Field-level changes ({ field, from, to })
+ * @param {Object} params.user - Acting user (req.user)
+ * @param {Object} [params.extra] - Additional fields (e.g. revertedTo)
+ * @returns {Object} Revision document
+ */
+const buildRevision = ({ bookId, action, changes, user, extra = {} }) => ({
+  book: new ObjectId(bookId),
+  action,
+  changes,
+  actor: {
+    _id: new ObjectId(user._id),
+    role: user.role,
+  },
+  ...extra,
+  createdAt: new Date(),
+});
+
+/**
+ * Record a change to a book in its revision history
+ * Nothing is recorded when the change set is empty
+ * @param {Object} params - See buildRevision
+ * @returns {Promise<void>}
+ */
+const recordRevision = async (params) => {
+  if (!params.changes || params.changes.length === 0) return;
+
+  const revisionsCollection = getCollection(COLLECTIONS.BOOK_REVISIONS);
+  await revisionsCollection.insertOne(buildRevision(params));
+};
+
+/**
+ * Record many revisions at once (e.g. after a bulk import)
+ * @param {Array} revisions - Parameter objects for buildRevision
+ * @returns {Promise<void>}
+ */
+const recordRevisions = async (revisions) => {
+  const documents = revisions
+    .filter((revision) => revision.changes && revision.changes.length > 0)
+    .map(buildRevision);
+
+  if (documents.length === 0) return;
+
+  const revisionsCollection = getCollection(COLLECTIONS.BOOK_REVISIONS);
+  await revisionsCollection.insertMany(documents, { ordered: false });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  REVERTIBLE_FIELDS,
+  isSameValue,
+  diffBook,
+  buildRevision,
+  recordRevision,
+  recordRevisions,
+};
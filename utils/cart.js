@@ -0,0 +1,181 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { withSalePrices, roundPrice } = require("./pricing");
+const { withAvailability } = require("./inventory");
+const { variantLabel } = require("./variants");
+const { resolveOrderVariant } = require("./orders");
+
+/**
+ * Shopping cart
+ *
+ * Each user has one cart document ({ user, items, updatedAt }) holding lines
+ * of { _id, book, variant, quantity, addedAt }. Lines are priced and checked
+ * against the current stock every time the cart is read, so the cart shows
+ * what checkout would charge right now.
+ */
+
+/**
+ * Most copies of one book/variant per line, and most lines per cart
+ */
+const MAX_LINE_QUANTITY = 10;
+const MAX_CART_LINES = 50;
+
+/**
+ * Book fields needed to show, price and check a cart line
+ */
+const CART_BOOK_PROJECTION = {
+  name: 1,
+  author: 1,
+  imageURL: 1,
+  price: 1,
+  quantity: 1,
+  status: 1,
+  archivedAt: 1,
+  publishAt: 1,
+  unpublishAt: 1,
+  variants: 1,
+  categoryId: 1,
+  librarian: 1,
+};
+
+/**
+ * Parse the number of copies of a cart line
+ * @param {*} value - Raw quantity (default 1 when undefined)
+ * @returns {number|null} Quantity, or null when it is not a whole number
+ *   between 1 and MAX_LINE_QUANTITY
+ */
+const parseQuantity = (value) => {
+  if (value === undefined) return 1;
+  const quantity = Number(value);
+  if (
+    !Number.isInteger(quantity) ||
+    quantity < 1 ||
+    quantity > MAX_LINE_QUANTITY
+  ) {
+    return null;
+  }
+  return quantity;
+};
+
+/**
+ * Whether two cart lines are for the same book and variant
+ * @param {Object} line - Cart line
+ * @param {ObjectId} bookId - Book
+ * @param {ObjectId|null} variantId - Variant
+ * @returns {boolean}
+ */
+const isSameLine = (line, bookId, variantId) =>
+  line.book.equals(bookId) &&
+  String(line.variant || "") === String(variantId || "");
+
+/**
+ * Load the books of some cart lines
+ * @param {Array} items - Cart lines
+ * @returns {Promise<Map>} Book id string -> book document
+ */
+const loadCartBooks = async (items) => {
+  if (items.length === 0) return new Map();
+
+  const books = await getCollection(COLLECTIONS.BOOKS)
+    .find(
+      { _id: { $in: items.map((line) => line.book) } },
+      { projection: CART_BOOK_PROJECTION }
+    )
+    .toArray();
+  return new Map(books.map((book) => [book._id.toString(), book]));
+};
+
+/**
+ * Price a cart and check each line against the current stock
+ * A line that cannot be checked out (book gone, unpublished, out of stock,
+ * ...) carries a `problem` and is left out of the subtotal
+ * @param {Array} items - Cart lines
+ * @returns {Promise<Object>} { items, itemCount, subtotal, canCheckout }
+ */
+const describeCart = async (items) => {
+  const booksById = await loadCartBooks(items);
+  const priced = await withSalePrices([...booksById.values()]);
+  const pricedById = new Map(
+    priced.map((book) => [book._id.toString(), withAvailability(book)])
+  );
+
+  const lines = items.map((line) => {
+    const book = booksById.get(line.book.toString()) || null;
+    const { variant, error } = resolveOrderVariant(
+      book,
+      line.variant ? line.variant.toString() : null
+    );
+
+    const result = {
+      _id: line._id,
+      book: book
+        ? {
+            _id: book._id,
+            name: book.name,
+            author: book.author,
+            imageURL: book.imageURL,
+          }
+        : { _id: line.book },
+      variant: line.variant || null,
+      variantLabel: variant ? variantLabel(variant) : null,
+      quantity: line.quantity,
+      addedAt: line.addedAt,
+      problem: error || null,
+    };
+    if (error) return result;
+
+    const pricedBook = pricedById.get(book._id.toString());
+    const offer = variant
+      ? pricedBook.variants.find((option) => option._id.equals(variant._id))
+      : pricedBook;
+
+    result.unitPrice = offer.effectivePrice;
+    result.originalPrice = offer.sale ? offer.originalPrice : null;
+    result.sale = offer.sale;
+    result.lineTotal = roundPrice(offer.effectivePrice * line.quantity);
+    result.available = offer.available;
+
+    if (offer.available === 0) {
+      result.problem = "This book is out of stock";
+    } else if (offer.available < line.quantity) {
+      result.problem = `Only ${offer.available} copies left`;
+    }
+    return result;
+  });
+
+  const orderable = lines.filter((line) => !line.problem);
+
+  return {
+    items: lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: roundPrice(
+      orderable.reduce((sum, line) => sum + line.lineTotal, 0)
+    ),
+    canCheckout: lines.length > 0 && orderable.length === lines.length,
+  };
+};
+
+/**
+ * Get a user's cart lines
+ * @param {string|ObjectId} userId - Cart owner
+ * @returns {Promise<Array>} Cart lines (empty when the user has no cart)
+ */
+const getCartItems = async (userId) => {
+  const cart = await getCollection(COLLECTIONS.CARTS).findOne(
+    { user: new ObjectId(userId) },
+    { projection: { items: 1 } }
+  );
+  return cart ? cart.items : [];
+};
+
+module.exports = {
+  MAX_LINE_QUANTITY,
+  MAX_CART_LINES,
+  CART_BOOK_PROJECTION,
+  parseQuantity,
+  isSameLine,
+  loadCartBooks,
+  describeCart,
+  getCartItems,
+};
@@ -0,0 +1,97 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+
+/**
+ * Build a URL-friendly slug from a category name
+ * Case, accents, spacing and punctuation are ignored, so "Sci-Fi",
+ * "sci fi" and "SCI FI" all become "sci-fi"
+ * @param {string} value - Category name
+ * @returns {string} Slug
+ */
+const slugify = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Find a category by id, name, slug or alias
+ * @param {string|ObjectId} value - Category id, name or slug
+ * @returns {Promise<Object|null>} Category document or null
+ */
+const resolveCategory = async (value) => {
+  if (!value) return null;
+
+  const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+
+  if (ObjectId.isValid(value) && String(value).length === 24) {
+    const category = await categoriesCollection.findOne({
+      _id: new ObjectId(value),
+    });
+    if (category) return category;
+  }
+
+  const slug = slugify(value);
+  if (!slug) return null;
+
+  return categoriesCollection.findOne({
+    $or: [{ slug }, { aliases: slug }],
+  });
+};
+
+/**
+ * Resolve categories and expand them to include all their descendants
+ * Values that match no category are ignored
+ * @param {string[]} values - Category ids, names or slugs
+ * @returns {Promise<ObjectId[]>} Ids of the matched categories and their descendants
+ */
+const expandCategories = async (values) => {
+  const categories = await Promise.all(values.map(resolveCategory));
+  const rootIds = categories.filter(Boolean).map((category) => category._id);
+
+  if (rootIds.length === 0) return [];
+
+  const categoriesCollection = getCollection(COLLECTIONS.CATEGORIES);
+  const descendants = await categoriesCollection
+    .find({ ancestors: { $in: rootIds } }, { projection: { _id: 1 } })
+    .toArray();
+
+  return [...rootIds, ...descendants.map((category) => category._id)];
+};
+
+/**
+ * Arrange a flat list of categories into a tree
+ * @param {Array} categories - Category documents
+ * @returns {Array} Root categories, each with a nested `children` array
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category, children: [] },
+    ])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+module.exports = {
+  slugify,
+  resolveCategory,
+  expandCategories,
+  buildCategoryTree,
+};
@@ -0,0 +1,122 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parsing and formatting (quoted fields, escaped quotes,
+ * embedded commas and newlines)
+ */
+
+/**
+ * Parse CSV text into rows of raw values
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of field values
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Malformed CSV: unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter((values) => values.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV content whose first row holds column names
+ * @returns {Object[]} One object per data row, keyed by column name
+ */
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((values) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column && values[index] !== undefined) {
+        record[column] = values[index];
+      }
+    });
+    return record;
+  });
+};
+
+/**
+ * Text that spreadsheets would run as a formula
+ */
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Format a single value as a CSV field, quoting when needed
+ * Text starting like a formula is prefixed with ' so spreadsheets show it
+ * as text instead of running it
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV-safe field
+ */
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Format values as one CSV line (including the trailing newline)
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+const formatCsvRow = (values) => `${values.map(formatCsvField).join(",")}\r\n`;
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  formatCsvField,
+  formatCsvRow,
+};
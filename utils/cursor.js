@@ -0,0 +1,220 @@
+const { ObjectId } = require("mongodb");
+
+/**
+ * Cursor (keyset) pagination helpers
+ *
+ * A cursor records the sort values of the first or last item of a page and
+ * the direction to read in. The next page is then "everything after these
+ * values" in sort order, which stays fast on deep pages and does not skip or
+ * repeat items when documents are added between requests. `_id` is always
+ * the final sort key so every position is unique.
+ *
+ * Cursors are opaque to clients: base64url-encoded JSON holding the sort
+ * name, the direction and the sort values.
+ */
+
+/**
+ * Serialise a sort value so Dates and ObjectIds survive the JSON round-trip
+ * @param {*} value - Sort value
+ * @returns {*} JSON-safe value
+ */
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof ObjectId) return { $oid: value.toHexString() };
+  return value === undefined ? null : value;
+};
+
+/**
+ * Restore a sort value serialised by encodeValue
+ * @param {*} value - JSON value
+ * @returns {*} Sort value
+ */
+const decodeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (typeof value.$date === "string") return new Date(value.$date);
+    if (typeof value.$oid === "string" && ObjectId.isValid(value.$oid)) {
+      return new ObjectId(value.$oid);
+    }
+    throw new Error("Unsupported cursor value");
+  }
+  return value;
+};
+
+/**
+ * Add `_id` as the final sort key so that every position is unique
+ * @param {Object} sort - MongoDB sort specification
+ * @returns {Object} Sort specification ending in _id
+ */
+const withTiebreaker = (sort) => {
+  if ("_id" in sort) return sort;
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions[directions.length - 1] || -1 };
+};
+
+/**
+ * Build a cursor pointing at an item
+ * @param {Object} item - Document at the page boundary
+ * @param {Object} sort - Sort specification (with tiebreaker)
+ * @param {string} sortName - Name of the sort order the cursor belongs to
+ * @param {string} direction - "next" or "prev"
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (item, sort, sortName, direction) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sortName,
+      d: direction,
+      v: Object.keys(sort).map((key) => encodeValue(item[key])),
+    })
+  ).toString("base64url");
+
+/**
+ * Decode a cursor
+ * @param {string} token - Cursor from the client
+ * @param {Object} sort - Sort specification (with tiebreaker)
+ * @param {string} sortName - Sort order of the current request
+ * @returns {Object} { direction, values } or { error }
+ */
+const decodeCursor = (token, sort, sortName) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), "base64url").toString());
+    if (!payload || !Array.isArray(payload.v)) throw new Error();
+    payload.v = payload.v.map(decodeValue);
+  } catch (error) {
+    return { error: "Invalid cursor" };
+  }
+
+  if (payload.s !== sortName) {
+    return { error: "Cursor does not match the requested sort order" };
+  }
+
+  if (
+    !["next", "prev"].includes(payload.d) ||
+    payload.v.length !== Object.keys(sort).length
+  ) {
+    return { error: "Invalid cursor" };
+  }
+
+  return { direction: payload.d, values: payload.v };
+};
+
+/**
+ * Read cursor pagination parameters from a request query
+ * Cursor mode is used when a `cursor` parameter is present; an empty
+ * `cursor=` requests the first page
+ * @param {Object} query - Request query parameters
+ * @param {Object} sort - Sort specification (with tiebreaker)
+ * @param {string} sortName - Sort order of the current request
+ * @param {number} defaultLimit - Page size when `limit` is absent
+ * @returns {Object|null} null in page mode, otherwise
+ *   { limit, direction, values } or { error }
+ */
+const parseCursorQuery = (query, sort, sortName, defaultLimit = 10) => {
+  if (query.cursor === undefined) return null;
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || defaultLimit, 1),
+    100
+  );
+
+  if (!query.cursor) {
+    return { limit, direction: "next", values: null };
+  }
+
+  const decoded = decodeCursor(query.cursor, sort, sortName);
+  if (decoded.error) return decoded;
+
+  return { limit, ...decoded };
+};
+
+/**
+ * Filter selecting the items after (or before) a cursor position
+ * @param {Object} sort - Sort specification (with tiebreaker)
+ * @param {Object} cursor - Parsed cursor ({ direction, values })
+ * @returns {Object} MongoDB filter ({} for the first page)
+ */
+const cursorFilter = (sort, cursor) => {
+  if (!cursor.values) return {};
+
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, index) => {
+      const clause = {};
+      keys.slice(0, index).forEach((previous, previousIndex) => {
+        clause[previous] = cursor.values[previousIndex];
+      });
+      const after = (sort[key] === 1) === (cursor.direction === "next");
+      clause[key] = { [after ? "$gt" : "$lt"]: cursor.values[index] };
+      return clause;
+    }),
+  };
+};
+
+/**
+ * Sort to read in: reading backwards uses the reversed order
+ * @param {Object} sort - Sort specification (with tiebreaker)
+ * @param {Object} cursor - Parsed cursor
+ * @returns {Object} MongoDB sort specification
+ */
+const cursorSort = (sort, cursor) => {
+  if (cursor.direction === "next") return sort;
+  return Object.fromEntries(
+    Object.entries(sort).map(([key, direction]) => [key, -direction])
+  );
+};
+
+/**
+ * Aggregation stages reading one page (plus one item to detect more) at a cursor
+ * @param {Object} sort - Sort specification (with tiebreaker)
+ * @param {Object} cursor - Parsed cursor
+ * @returns {Array} $match, $sort and $limit stages
+ */
+const cursorStages = (sort, cursor) => [
+  { $match: cursorFilter(sort, cursor) },
+  { $sort: cursorSort(sort, cursor) },
+  { $limit: cursor.limit + 1 },
+];
+
+/**
+ * Turn the items read at a cursor into a page with next/prev cursors
+ * @param {Array} items - Items read with cursorStages (up to limit + 1)
+ * @param {Object} sort - Sort specification (with tiebreaker)
+ * @param {string} sortName - Sort order name stored in the cursors
+ * @param {Object} cursor - Parsed cursor
+ * @returns {Object} { items, nextCursor, prevCursor, limit } - cursors are
+ *   null when there is nothing further in that direction
+ */
+const buildCursorPage = (items, sort, sortName, cursor) => {
+  const hasMore = items.length > cursor.limit;
+  const page = items.slice(0, cursor.limit);
+  if (cursor.direction === "prev") page.reverse();
+
+  const isFirstPage = !cursor.values;
+  const hasNext = cursor.direction === "next" ? hasMore : true;
+  const hasPrev = cursor.direction === "prev" ? hasMore : !isFirstPage;
+
+  return {
+    items: page,
+    nextCursor:
+      hasNext && page.length > 0
+        ? encodeCursor(page[page.length - 1], sort, sortName, "next")
+        : null,
+    prevCursor:
+      hasPrev && page.length > 0
+        ? encodeCursor(page[0], sort, sortName, "prev")
+        : null,
+    limit: cursor.limit,
+  };
+};
+
+module.exports = {
+  withTiebreaker,
+  encodeCursor,
+  decodeCursor,
+  parseCursorQuery,
+  cursorFilter,
+  cursorSort,
+  cursorStages,
+  buildCursorPage,
+};
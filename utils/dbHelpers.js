@@ -2,6 +2,7 @@ const { getDB } = require("../config/db");
 const COLLECTIONS = require("../config/collections");
 const { ObjectId } = require("mongodb");
 const logger = require("./logger");
+const { TEXT_SEARCH_WEIGHTS } = require("./search");
 
 /**
  * Get a MongoDB collection
@@ -41,7 +42,46 @@ const createIndexes = async () => {
     await db
       .collection(COLLECTIONS.BOOKS)
       .createIndex({ status: 1 }, { name: "status_index" });
-    logger.db("Books indexes created: librarian, status");
+    await db
+      .collection(COLLECTIONS.BOOKS)
+      .createIndex(
+        { name: "text", author: "text", category: "text", description: "text" },
+        { weights: TEXT_SEARCH_WEIGHTS, name: "books_text_search" }
+      );
+    await db.collection(COLLECTIONS.BOOKS).createIndex(
+      { librarian: 1, isbn13: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { isbn13: { $type: "string" } },
+        name: "librarian_isbn13_unique",
+      }
+    );
+    await db
+      .collection(COLLECTIONS.BOOKS)
+      .createIndex({ isbn13: 1 }, { name: "isbn13_index" });
+    // Variant ISBNs are kept unique per librarian by findBookWithIsbn: a
+    // unique multikey index would also index variants without an ISBN as
+    // null and reject a second book mixing both kinds of variants
+    await db
+      .collection(COLLECTIONS.BOOKS)
+      .dropIndex("librarian_variant_isbn13_unique")
+      .catch((error) => {
+        if (!["IndexNotFound", "NamespaceNotFound"].includes(error.codeName)) {
+          throw error;
+        }
+      });
+    await db
+      .collection(COLLECTIONS.BOOKS)
+      .createIndex({ "variants.isbn13": 1 }, { name: "variant_isbn13_index" });
+    await db
+      .collection(COLLECTIONS.BOOKS)
+      .createIndex({ categoryId: 1 }, { name: "categoryId_index" });
+    await db
+      .collection(COLLECTIONS.BOOKS)
+      .createIndex({ authors: 1 }, { name: "authors_index" });
+    logger.db(
+      "Books indexes created: librarian, status, text search, librarian+isbn13 (unique), isbn13, variant isbn13, categoryId, authors"
+    );
 
     // Orders collection indexes
     await db
@@ -53,7 +93,21 @@ const createIndexes = async () => {
     await db
       .collection(COLLECTIONS.ORDERS)
       .createIndex({ book: 1 }, { name: "book_index" });
-    logger.db("Orders indexes created: user, orderStatus, book");
+    await db
+      .collection(COLLECTIONS.ORDERS)
+      .createIndex({ "items.book": 1 }, { name: "items_book_index" });
+    await db
+      .collection(COLLECTIONS.ORDERS)
+      .createIndex({ librarians: 1 }, { name: "librarians_index" });
+    logger.db(
+      "Orders indexes created: user, orderStatus, book, items.book, librarians"
+    );
+
+    // Carts collection indexes
+    await db
+      .collection(COLLECTIONS.CARTS)
+      .createIndex({ user: 1 }, { unique: true, name: "user_unique" });
+    logger.db("Carts indexes created: user (unique)");
 
     // Payments collection indexes
     await db
@@ -83,7 +137,121 @@ const createIndexes = async () => {
         { user: 1, book: 1 },
         { unique: true, name: "user_book_unique" }
       );
-    logger.db("Reviews indexes created: user+book (unique compound)");
+    await db
+      .collection(COLLECTIONS.REVIEWS)
+      .createIndex({ book: 1 }, { name: "book_index" });
+    logger.db("Reviews indexes created: user+book (unique compound), book");
+
+    // Book revisions collection indexes
+    await db
+      .collection(COLLECTIONS.BOOK_REVISIONS)
+      .createIndex(
+        { book: 1, createdAt: -1 },
+        { name: "book_createdAt_index" }
+      );
+    logger.db("Book revisions indexes created: book+createdAt");
+
+    // Categories collection indexes
+    await db
+      .collection(COLLECTIONS.CATEGORIES)
+      .createIndex({ slug: 1 }, { unique: true, name: "slug_unique" });
+    await db
+      .collection(COLLECTIONS.CATEGORIES)
+      .createIndex({ aliases: 1 }, { name: "aliases_index" });
+    await db
+      .collection(COLLECTIONS.CATEGORIES)
+      .createIndex({ ancestors: 1 }, { name: "ancestors_index" });
+    logger.db("Categories indexes created: slug (unique), aliases, ancestors");
+
+    // Authors collection indexes
+    await db
+      .collection(COLLECTIONS.AUTHORS)
+      .createIndex({ slug: 1 }, { unique: true, name: "slug_unique" });
+    await db
+      .collection(COLLECTIONS.AUTHORS)
+      .createIndex({ aliases: 1 }, { name: "aliases_index" });
+    logger.db("Authors indexes created: slug (unique), aliases");
+
+    // Series collection indexes (members are found through the books)
+    await db
+      .collection(COLLECTIONS.SERIES)
+      .createIndex({ slug: 1 }, { unique: true, name: "slug_unique" });
+    await db
+      .collection(COLLECTIONS.BOOKS)
+      .createIndex(
+        { "series._id": 1, "series.volume": 1 },
+        { name: "series_volume_index" }
+      );
+    logger.db("Series indexes created: slug (unique), books series+volume");
+
+    // Daily sales counters (old days expire: rankings look back at most
+    // twice the longest 90-day window)
+    await db
+      .collection(COLLECTIONS.BOOK_SALES_DAILY)
+      .createIndex(
+        { book: 1, day: 1 },
+        { unique: true, name: "book_day_unique" }
+      );
+    await db
+      .collection(COLLECTIONS.BOOK_SALES_DAILY)
+      .createIndex(
+        { day: 1 },
+        { expireAfterSeconds: 200 * 24 * 60 * 60, name: "day_ttl" }
+      );
+    logger.db("Book sales indexes created: book+day (unique), day (TTL)");
+
+    // Sale prices: looked up by book or category and whether they are running
+    await db
+      .collection(COLLECTIONS.SALE_PRICES)
+      .createIndex({ book: 1, endsAt: 1 }, { name: "book_endsAt_index" });
+    await db
+      .collection(COLLECTIONS.SALE_PRICES)
+      .createIndex(
+        { category: 1, endsAt: 1 },
+        { name: "category_endsAt_index" }
+      );
+    logger.db("Sale prices indexes created: book+endsAt, category+endsAt");
+
+    // Price history collection indexes
+    await db
+      .collection(COLLECTIONS.PRICE_HISTORY)
+      .createIndex(
+        { book: 1, createdAt: -1 },
+        { name: "book_createdAt_index" }
+      );
+    logger.db("Price history indexes created: book+createdAt");
+
+    // Back-in-stock subscriptions: one waiting subscription per user and
+    // book; notified ones are removed 90 days after they fired
+    await db.collection(COLLECTIONS.STOCK_SUBSCRIPTIONS).createIndex(
+      { user: 1, book: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { status: "waiting" },
+        name: "user_book_waiting_unique",
+      }
+    );
+    await db
+      .collection(COLLECTIONS.STOCK_SUBSCRIPTIONS)
+      .createIndex({ book: 1, status: 1 }, { name: "book_status_index" });
+    await db
+      .collection(COLLECTIONS.STOCK_SUBSCRIPTIONS)
+      .createIndex(
+        { notifiedAt: 1 },
+        { expireAfterSeconds: 90 * 24 * 60 * 60, name: "notifiedAt_ttl" }
+      );
+    logger.db(
+      "Stock subscriptions indexes created: user+book (unique, waiting), book+status, notifiedAt (TTL)"
+    );
+
+    // Notifications collection indexes
+    await db
+      .collection(COLLECTIONS.NOTIFICATIONS)
+      .createIndex(
+        { user: 1, createdAt: -1 },
+        { name: "user_createdAt_index" }
+      );
+    logger.db("Notifications indexes created: user+createdAt");
 
     logger.success("All database indexes created successfully!");
   } catch (error) {
@@ -0,0 +1,323 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+
+/**
+ * Duplicate detection
+ *
+ * Books are compared on their normalised title and author and on their
+ * ISBNs. Titles lose case, accents, punctuation and a leading or trailing
+ * article ("Hobbit, The" = "The Hobbit"); author names are compared with
+ * their words sorted ("Tolkien, J.R.R." = "J.R.R. Tolkien"), and books
+ * linked to the same author record always match on author. A shared ISBN
+ * is a certain duplicate.
+ *
+ * ISBNs are unique per librarian and each librarian manages their own
+ * inventory, so only books of the same librarian are compared.
+ */
+
+/**
+ * Score from which two books are reported as likely duplicates (0-1)
+ */
+const DUPLICATE_THRESHOLD = 0.8;
+
+/**
+ * Titles must be at least this similar for a match, however alike the
+ * authors are (an author's other books are not duplicates)
+ */
+const MIN_TITLE_SIMILARITY = 0.75;
+
+/**
+ * Weights of title and author similarity in the score
+ */
+const TITLE_WEIGHT = 0.65;
+const AUTHOR_WEIGHT = 0.35;
+
+/**
+ * Most candidates considered per title when checking a new book
+ */
+const MAX_TITLE_CANDIDATES = 50;
+
+const ARTICLES = ["the", "a", "an"];
+
+/**
+ * Lowercase words of a text without accents and punctuation
+ * @param {string} value - Raw text
+ * @returns {string[]} Words
+ */
+const words = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Normalise a title for comparison
+ * A trailing ", The" (library sort order) or leading article is dropped
+ * @param {string} title - Book title
+ * @returns {string} Normalised title
+ */
+const normalizeTitle = (title) => {
+  const trimmed = String(title || "").replace(/,\s*(the|a|an)\s*$/i, "");
+  const titleWords = words(trimmed);
+  if (titleWords.length > 1 && ARTICLES.includes(titleWords[0])) {
+    titleWords.shift();
+  }
+  return titleWords.join(" ");
+};
+
+/**
+ * Normalise author names for comparison (words sorted)
+ * @param {string} author - Author display string
+ * @returns {string} Normalised author
+ */
+const normalizeAuthor = (author) => words(author).sort().join(" ");
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two normalised strings, tolerant of typos and word order
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 0 (nothing alike) to 1 (identical)
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const ratio = (x, y) => 1 - editDistance(x, y) / Math.max(x.length, y.length);
+  const sorted = (value) => value.split(" ").sort().join(" ");
+
+  return Math.max(ratio(a, b), ratio(sorted(a), sorted(b)));
+};
+
+/**
+ * Every ISBN-13 of a book, including its variants'
+ * @param {Object} book - Book document or candidate
+ * @returns {string[]} ISBN-13s
+ */
+const bookIsbns = (book) =>
+  [
+    book.isbn13,
+    ...(book.variants || []).map((variant) => variant.isbn13),
+    ...(book.isbns || []),
+  ].filter(Boolean);
+
+/**
+ * Score how likely two books are the same book
+ * @param {Object} a - Book or candidate ({ name, author, authors, isbn13, variants, isbns })
+ * @param {Object} b - Book to compare with
+ * @returns {Object} { score, reasons } - score from 0 to 1, rounded to 2 decimals
+ */
+const scoreDuplicate = (a, b) => {
+  const sharedIsbn = bookIsbns(a).some((isbn) => bookIsbns(b).includes(isbn));
+  if (sharedIsbn) {
+    return { score: 1, reasons: ["isbn"] };
+  }
+
+  const titleScore = similarity(normalizeTitle(a.name), normalizeTitle(b.name));
+  if (titleScore < MIN_TITLE_SIMILARITY) {
+    return { score: 0, reasons: [] };
+  }
+
+  const sharedAuthor = (a.authors || []).some((id) =>
+    (b.authors || []).some((other) => String(other) === String(id))
+  );
+  const authorScore = sharedAuthor
+    ? 1
+    : similarity(normalizeAuthor(a.author), normalizeAuthor(b.author));
+
+  const reasons = [titleScore === 1 ? "title" : "similar title"];
+  if (authorScore === 1) reasons.push("author");
+  else if (authorScore >= MIN_TITLE_SIMILARITY) reasons.push("similar author");
+
+  const score = TITLE_WEIGHT * titleScore + AUTHOR_WEIGHT * authorScore;
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Fields loaded for comparison and shown in duplicate reports
+ */
+const DUPLICATE_PROJECTION = {
+  name: 1,
+  author: 1,
+  authors: 1,
+  isbn13: 1,
+  "variants.isbn13": 1,
+  status: 1,
+  quantity: 1,
+  librarian: 1,
+  createdAt: 1,
+};
+
+/**
+ * Find a librarian's books that look like a book about to be added
+ * Candidates share an ISBN or an author record, or match the title in the
+ * text index; they are then scored one by one
+ * @param {Object} candidate - { librarian, name, author, authors, isbns }
+ * @returns {Promise<Array>} Likely duplicates ({ ...book, score, reasons }),
+ *   best match first
+ */
+const findDuplicates = async (candidate) => {
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+  const scope = {
+    librarian: new ObjectId(candidate.librarian),
+    archivedAt: null,
+  };
+  const isbns = candidate.isbns || [];
+  const authorIds = (candidate.authors || []).map((id) => new ObjectId(id));
+  const titleSearch = normalizeTitle(candidate.name);
+
+  const [linked, titled] = await Promise.all([
+    isbns.length > 0 || authorIds.length > 0
+      ? booksCollection
+          .find(
+            {
+              ...scope,
+              $or: [
+                { isbn13: { $in: isbns } },
+                { "variants.isbn13": { $in: isbns } },
+                { authors: { $in: authorIds } },
+              ],
+            },
+            { projection: DUPLICATE_PROJECTION }
+          )
+          .toArray()
+      : [],
+    titleSearch
+      ? booksCollection
+          .find(
+            { ...scope, $text: { $search: titleSearch } },
+            { projection: DUPLICATE_PROJECTION }
+          )
+          .sort({ score: { $meta: "textScore" } })
+          .limit(MAX_TITLE_CANDIDATES)
+          .toArray()
+      : [],
+  ]);
+
+  const books = new Map();
+  [...linked, ...titled].forEach((book) =>
+    books.set(book._id.toString(), book)
+  );
+
+  return [...books.values()]
+    .map((book) => ({ ...book, ...scoreDuplicate(candidate, book) }))
+    .filter((book) => book.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Group books that look like each other into clusters
+ * Only books sharing a block (an ISBN, a linked author or the start of the
+ * normalised title) are compared, so the whole catalog can be checked
+ * without comparing every pair of books
+ * @param {Array} books - Books of one librarian (DUPLICATE_PROJECTION fields)
+ * @param {number} threshold - Minimum score for a pair
+ * @returns {Array} Clusters as { books, pairs, score }, highest score first
+ */
+const clusterDuplicates = (books, threshold = DUPLICATE_THRESHOLD) => {
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+
+  books.forEach((book, index) => {
+    bookIsbns(book).forEach((isbn) => addToBlock(`isbn:${isbn}`, index));
+    (book.authors || []).forEach((id) => addToBlock(`author:${id}`, index));
+    const title = normalizeTitle(book.name);
+    if (title) addToBlock(`title:${title.slice(0, 4)}`, index);
+  });
+
+  // Union-find over the matching pairs
+  const parent = books.map((book, index) => index);
+  const root = (index) =>
+    parent[index] === index ? index : (parent[index] = root(parent[index]));
+
+  const pairs = new Map();
+  blocks.forEach((members) => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const key = `${members[i]}:${members[j]}`;
+        if (pairs.has(key)) continue;
+
+        const { score, reasons } = scoreDuplicate(
+          books[members[i]],
+          books[members[j]]
+        );
+        pairs.set(key, score >= threshold ? { score, reasons } : null);
+        if (score >= threshold) {
+          parent[root(members[j])] = root(members[i]);
+        }
+      }
+    }
+  });
+
+  const clusters = new Map();
+  pairs.forEach((match, key) => {
+    if (!match) return;
+    const [a, b] = key.split(":").map(Number);
+    const clusterId = root(a);
+    if (!clusters.has(clusterId)) {
+      clusters.set(clusterId, { members: new Set(), pairs: [] });
+    }
+    const cluster = clusters.get(clusterId);
+    cluster.members.add(a).add(b);
+    cluster.pairs.push({
+      books: [books[a]._id, books[b]._id],
+      score: match.score,
+      reasons: match.reasons,
+    });
+  });
+
+  return [...clusters.values()]
+    .map((cluster) => ({
+      books: [...cluster.members]
+        .sort((a, b) => a - b)
+        .map((index) => books[index]),
+      pairs: cluster.pairs.sort((a, b) => b.score - a.score),
+      score: Math.max(...cluster.pairs.map((pair) => pair.score)),
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  DUPLICATE_PROJECTION,
+  normalizeTitle,
+  normalizeAuthor,
+  editDistance,
+  similarity,
+  scoreDuplicate,
+  findDuplicates,
+  clusterDuplicates,
+};
@@ -0,0 +1,257 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { getStorage } = require("./storage");
+const logger = require("./logger");
+
+/**
+ * Uploaded images
+ *
+ * Book covers and user avatars are uploaded as the raw request body. The
+ * image is decoded to check that it really is one of the accepted formats,
+ * re-encoded (which also strips EXIF data such as GPS positions) and stored
+ * with WebP thumbnails through the storage adapter. Books and users keep
+ * the resulting asset document, and `imageURL`/`photoURL` point at it so
+ * existing clients keep working.
+ */
+
+/**
+ * Accepted upload content types and the format they must decode as
+ */
+const IMAGE_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+/**
+ * Largest accepted upload in bytes (MAX_FILE_SIZE, default 5 MB)
+ */
+const MAX_IMAGE_SIZE = Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+
+/**
+ * Error message for uploads over MAX_IMAGE_SIZE
+ */
+const IMAGE_TOO_LARGE =
+  MAX_IMAGE_SIZE >= 1024 * 1024
+    ? `Image must not exceed ${+(MAX_IMAGE_SIZE / (1024 * 1024)).toFixed(1)} MB`
+    : `Image must not exceed ${+(MAX_IMAGE_SIZE / 1024).toFixed(1)} KB`;
+
+/**
+ * How each kind of image is stored
+ * maxSize bounds the stored original; thumbnails fit inside a square of
+ * the given size in pixels (covers) or are cropped to it (avatars)
+ */
+const IMAGE_PRESETS = {
+  cover: {
+    folder: "books",
+    maxSize: 1600,
+    square: false,
+    thumbnails: { small: 160, medium: 480 },
+  },
+  avatar: {
+    folder: "avatars",
+    maxSize: 512,
+    square: true,
+    thumbnails: { small: 64, medium: 200 },
+  },
+};
+
+/**
+ * Check an uploaded image before decoding it
+ * @param {Buffer} buffer - Request body
+ * @param {string} contentType - Request Content-Type (without parameters)
+ * @returns {string|null} Error message, or null when acceptable
+ */
+const checkImageUpload = (buffer, contentType) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return `Send the image as the request body with Content-Type ${Object.keys(
+      IMAGE_TYPES
+    ).join(", ")}`;
+  }
+  if (!IMAGE_TYPES[contentType]) {
+    return `Unsupported image type. Must be one of: ${Object.keys(
+      IMAGE_TYPES
+    ).join(", ")}`;
+  }
+  if (buffer.length > MAX_IMAGE_SIZE) {
+    return IMAGE_TOO_LARGE;
+  }
+  return null;
+};
+
+/**
+ * Every storage key used by an asset
+ * @param {Object} asset - Asset document
+ * @returns {Array} Keys of the original and its thumbnails
+ */
+const assetKeys = (asset) => [
+  asset.key,
+  ...Object.values(asset.thumbnails || {}).map((thumbnail) => thumbnail.key),
+];
+
+/**
+ * Delete a stored image and its thumbnails
+ * Failures are logged rather than thrown: the document no longer uses them
+ * @param {Object|null} asset - Asset document
+ * @returns {Promise<void>}
+ */
+const removeImage = async (asset) => {
+  if (!asset || !asset.key) return;
+
+  const storage = getStorage();
+  if (asset.storage && asset.storage !== storage.name) {
+    logger.warn(
+      `Image ${asset.key} was stored with "${asset.storage}", not removing it`
+    );
+    return;
+  }
+
+  try {
+    await Promise.all(assetKeys(asset).map((key) => storage.remove(key)));
+  } catch (error) {
+    logger.error("Failed to remove stored image:", error);
+  }
+};
+
+/**
+ * Validate, resize and store an uploaded image with its thumbnails
+ * @param {Buffer} buffer - Uploaded bytes
+ * @param {string} contentType - Request Content-Type (without parameters)
+ * @param {string} presetName - "cover" or "avatar"
+ * @param {string} ownerId - Book or user id, used in the storage keys
+ * @returns {Promise<Object>} { asset } on success, { error } for invalid images
+ */
+const storeImage = async (buffer, contentType, presetName, ownerId) => {
+  const uploadError = checkImageUpload(buffer, contentType);
+  if (uploadError) return { error: uploadError };
+
+  const preset = IMAGE_PRESETS[presetName];
+  const format = IMAGE_TYPES[contentType];
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: "The file is not a readable image" };
+  }
+  if (metadata.format !== format) {
+    return {
+      error: `The file content does not match its type (${contentType})`,
+    };
+  }
+
+  const resize = (size) =>
+    preset.square
+      ? { width: size, height: size, fit: "cover" }
+      : { width: size, height: size, fit: "inside", withoutEnlargement: true };
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const renditions = [
+    {
+      name: null,
+      extension: format === "jpeg" ? "jpg" : format,
+      contentType,
+      image: sharp(buffer).rotate().resize(resize(preset.maxSize)),
+    },
+    ...Object.entries(preset.thumbnails).map(([name, size]) => ({
+      name,
+      extension: "webp",
+      contentType: "image/webp",
+      image: sharp(buffer).rotate().resize(resize(size)).webp({ quality: 80 }),
+    })),
+  ];
+
+  const storage = getStorage();
+  const prefix = `${preset.folder}/${ownerId}/${crypto
+    .randomBytes(8)
+    .toString("hex")}`;
+  const saved = [];
+
+  try {
+    for (const rendition of renditions) {
+      const { data, info } = await rendition.image.toBuffer({
+        resolveWithObject: true,
+      });
+      const key = rendition.name
+        ? `${prefix}-${rendition.name}.${rendition.extension}`
+        : `${prefix}.${rendition.extension}`;
+      const url = await storage.save(key, data, rendition.contentType);
+      saved.push({
+        name: rendition.name,
+        key,
+        url,
+        width: info.width,
+        height: info.height,
+        size: info.size,
+      });
+    }
+  } catch (error) {
+    // Don't leave half an image set behind
+    await Promise.all(
+      saved.map((file) => storage.remove(file.key).catch(() => {}))
+    );
+    throw error;
+  }
+
+  const [original, ...thumbnails] = saved;
+  return {
+    asset: {
+      storage: storage.name,
+      key: original.key,
+      url: original.url,
+      contentType,
+      width: original.width,
+      height: original.height,
+      size: original.size,
+      thumbnails: Object.fromEntries(
+        thumbnails.map(({ name, key, url, width, height }) => [
+          name,
+          { key, url, width, height },
+        ])
+      ),
+      uploadedAt: new Date(),
+    },
+  };
+};
+
+/**
+ * Delete every cover a book has used, including the ones kept for its revisions
+ * Called when a book is purged
+ * @param {Object} book - Book document
+ * @returns {Promise<void>}
+ */
+const removeBookCovers = async (book) => {
+  const revisions = await getCollection(COLLECTIONS.BOOK_REVISIONS)
+    .find(
+      { book: book._id, "changes.field": "coverImage" },
+      { projection: { changes: 1 } }
+    )
+    .toArray();
+
+  const covers = new Map();
+  [
+    book.coverImage,
+    ...revisions.flatMap((revision) =>
+      revision.changes
+        .filter((change) => change.field === "coverImage")
+        .flatMap((change) => [change.from, change.to])
+    ),
+  ]
+    .filter((asset) => asset && asset.key)
+    .forEach((asset) => covers.set(asset.key, asset));
+
+  await Promise.all([...covers.values()].map(removeImage));
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  IMAGE_TOO_LARGE,
+  IMAGE_PRESETS,
+  checkImageUpload,
+  storeImage,
+  removeImage,
+  removeBookCovers,
+};
@@ -0,0 +1,177 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { scheduleFilter } = require("./schedule");
+const { orderLines } = require("./orders");
+const { isRestock } = require("./stockAlerts");
+
+/**
+ * Atomically reserve copies of a book (or of one of its variants)
+ * The quantity check and decrement happen in a single update, so concurrent
+ * orders can never take the stock below zero. Books outside their
+ * publishAt/unpublishAt window cannot be reserved. For variants, the book-level
+ * quantity (the total across variants) is decremented in the same update.
+ * @param {string|ObjectId} bookId - Book to reserve copies of
+ * @param {number} quantity - Number of copies to reserve (default: 1)
+ * @param {string|ObjectId|null} variantId - Variant to reserve from (optional)
+ * @returns {Promise<Object|null>} Updated book document, or null if not enough copies remain
+ */
+const reserveStock = async (bookId, quantity = 1, variantId = null) => {
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+  const filter = {
+    _id: new ObjectId(bookId),
+    status: "published",
+    archivedAt: null,
+    ...scheduleFilter(),
+  };
+  const update = { $inc: { quantity: -quantity } };
+
+  if (variantId) {
+    filter.variants = {
+      $elemMatch: {
+        _id: new ObjectId(variantId),
+        quantity: { $gte: quantity },
+      },
+    };
+    update.$inc["variants.$.quantity"] = -quantity;
+  } else {
+    filter.quantity = { $gte: quantity };
+  }
+
+  return booksCollection.findOneAndUpdate(filter, update, {
+    returnDocument: "after",
+  });
+};
+
+/**
+ * Return previously reserved copies of a book (or variant) to stock
+ * @param {string|ObjectId} bookId - Book to release copies of
+ * @param {number} quantity - Number of copies to release (default: 1)
+ * @param {string|ObjectId|null} variantId - Variant the copies came from (optional)
+ * @returns {Promise<Object|null>} Book after the release, or null if it is gone
+ */
+const releaseStock = async (bookId, quantity = 1, variantId = null) => {
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+  if (variantId) {
+    return booksCollection.findOneAndUpdate(
+      { _id: new ObjectId(bookId), "variants._id": new ObjectId(variantId) },
+      { $inc: { "variants.$.quantity": quantity, quantity } },
+      { returnDocument: "after" }
+    );
+  }
+
+  return booksCollection.findOneAndUpdate(
+    { _id: new ObjectId(bookId) },
+    { $inc: { quantity } },
+    { returnDocument: "after" }
+  );
+};
+
+/**
+ * Release the stock held by an order (every line of a cart order)
+ * Orders placed before stock tracking carry no quantity and reserved nothing,
+ * so there is nothing to give back for them
+ * @param {Object} order - Order document
+ * @returns {Promise<Array>} Books the release brought back in stock
+ */
+const releaseOrderStock = async (order) => {
+  const restocked = [];
+  for (const line of orderLines(order)) {
+    if (line.quantity) {
+      const book = await releaseStock(
+        line.book,
+        line.quantity,
+        line.variant || null
+      );
+      if (book && isRestock(book.quantity - line.quantity, book.quantity)) {
+        restocked.push(book);
+      }
+    }
+  }
+  return restocked;
+};
+
+/**
+ * Build the update for an edit that may set a book's stock
+ * Orders reserve and release copies concurrently, so a new stock level is
+ * applied as the difference from the quantity that was read rather than
+ * overwriting it. Books without a numeric quantity yet get it set.
+ * @param {Object} book - Book as read before the edit
+ * @param {Object} fields - Fields to set (quantity optional)
+ * @returns {Object} MongoDB update ({ $set } and, for stock changes, { $inc })
+ */
+const stockUpdate = (book, fields) => {
+  if (fields.quantity === undefined || typeof book.quantity !== "number") {
+    return { $set: fields };
+  }
+
+  const { quantity, ...setFields } = fields;
+  const quantityDelta = quantity - book.quantity;
+  return quantityDelta !== 0
+    ? { $set: setFields, $inc: { quantity: quantityDelta } }
+    : { $set: setFields };
+};
+
+/**
+ * Recompute the book-level price and quantity of a book with variants
+ * The book carries the lowest variant price ("from" price) and the total
+ * stock across variants, so listings, filters and sorting keep working.
+ * Runs as a single pipeline update so it reads the latest variant values.
+ * @param {string|ObjectId} bookId - Book to update
+ * @returns {Promise<void>}
+ */
+const syncVariantTotals = async (bookId) => {
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+
+  await booksCollection.updateOne(
+    { _id: new ObjectId(bookId), "variants.0": { $exists: true } },
+    [
+      {
+        $set: {
+          price: { $min: "$variants.price" },
+          quantity: { $sum: "$variants.quantity" },
+        },
+      },
+    ]
+  );
+};
+
+/**
+ * Add availability fields to a book for public responses
+ * @param {Object} book - Book document
+ * @returns {Object} Book with `available` (copies left) and `inStock` flag,
+ *   also set on each variant
+ */
+const withAvailability = (book) => {
+  const available = Math.max(parseInt(book.quantity) || 0, 0);
+
+  const result = {
+    ...book,
+    available,
+    inStock: available > 0,
+  };
+
+  if (Array.isArray(book.variants)) {
+    result.variants = book.variants.map((variant) => {
+      const variantAvailable = Math.max(parseInt(variant.quantity) || 0, 0);
+      return {
+        ...variant,
+        available: variantAvailable,
+        inStock: variantAvailable > 0,
+      };
+    });
+  }
+
+  return result;
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  releaseOrderStock,
+  stockUpdate,
+  syncVariantTotals,
+  withAvailability,
+};
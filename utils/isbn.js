@@ -0,0 +1,105 @@
+/**
+ * ISBN Utilities
+ * Validation, normalisation and conversion between ISBN-10 and ISBN-13
+ */
+
+/**
+ * Strip hyphens and spaces from an ISBN and uppercase the check character
+ * @param {string} value - Raw ISBN as entered
+ * @returns {string} Compact ISBN (digits, plus a possible trailing X)
+ */
+const normalizeIsbn = (value) =>
+  String(value || "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+
+/**
+ * Check an ISBN-10 (9 digits plus a check digit of 0-9 or X)
+ * @param {string} isbn - Normalised ISBN
+ * @returns {boolean} True if the checksum is valid
+ */
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  const sum = isbn.split("").reduce((total, char, index) => {
+    const digit = char === "X" ? 10 : parseInt(char);
+    return total + digit * (10 - index);
+  }, 0);
+
+  return sum % 11 === 0;
+};
+
+/**
+ * Check an ISBN-13 (13 digits, 978/979 prefix, alternating 1/3 weights)
+ * @param {string} isbn - Normalised ISBN
+ * @returns {boolean} True if the checksum is valid
+ */
+const isValidIsbn13 = (isbn) => {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+
+  const sum = isbn.split("").reduce((total, char, index) => {
+    return total + parseInt(char) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Convert a valid ISBN-10 to its ISBN-13 form
+ * @param {string} isbn10 - Valid normalised ISBN-10
+ * @returns {string} ISBN-13
+ */
+const isbn10To13 = (isbn10) => {
+  const body = `978${isbn10.slice(0, 9)}`;
+  const sum = body.split("").reduce((total, char, index) => {
+    return total + parseInt(char) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+
+  return `${body}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Convert a valid ISBN-13 to its ISBN-10 form
+ * Only 978-prefixed ISBNs have an ISBN-10 equivalent
+ * @param {string} isbn13 - Valid normalised ISBN-13
+ * @returns {string|null} ISBN-10, or null for 979-prefixed ISBNs
+ */
+const isbn13To10 = (isbn13) => {
+  if (!isbn13.startsWith("978")) return null;
+
+  const body = isbn13.slice(3, 12);
+  const sum = body.split("").reduce((total, char, index) => {
+    return total + parseInt(char) * (10 - index);
+  }, 0);
+  const check = (11 - (sum % 11)) % 11;
+
+  return `${body}${check === 10 ? "X" : check}`;
+};
+
+/**
+ * Parse an ISBN in either form
+ * @param {string} value - Raw ISBN as entered
+ * @returns {Object|null} { isbn10, isbn13 } (isbn10 is null when none exists), or null if invalid
+ */
+const parseIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+
+  if (isValidIsbn13(isbn)) {
+    return { isbn10: isbn13To10(isbn), isbn13: isbn };
+  }
+
+  if (isValidIsbn10(isbn)) {
+    return { isbn10: isbn, isbn13: isbn10To13(isbn) };
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  parseIsbn,
+};
@@ -0,0 +1,179 @@
+const { isSameValue } = require("./bookRevisions");
+
+/**
+ * Book moderation workflow
+ *
+ * Books added or significantly changed by librarians are reviewed by an
+ * admin before they reach the public catalog:
+ *
+ *   draft -> pending_review -> published | unpublished (approved)
+ *                           -> rejected (with a reason) -> pending_review
+ *
+ * Only approved books ("published"/"unpublished") can be toggled by their
+ * librarian. The status the librarian asked for is kept in
+ * `moderation.requestedStatus` and applied on approval. Admins are the
+ * moderators, so their own changes skip the queue.
+ */
+
+/**
+ * Every book status
+ */
+const BOOK_STATUSES = [
+  "draft",
+  "pending_review",
+  "published",
+  "unpublished",
+  "rejected",
+];
+
+/**
+ * Statuses of approved books, between which librarians may switch freely
+ */
+const APPROVED_STATUSES = ["published", "unpublished"];
+
+/**
+ * Fields whose change sends an approved book back to review
+ */
+const SIGNIFICANT_FIELDS = [
+  "name",
+  "author",
+  "authors",
+  "imageURL",
+  "price",
+  "category",
+  "categoryId",
+  "description",
+  "isbn10",
+  "isbn13",
+];
+
+/**
+ * Variant fields whose change sends an approved book back to review
+ * (stock is not one of them)
+ */
+const SIGNIFICANT_VARIANT_FIELDS = [
+  "format",
+  "edition",
+  "price",
+  "isbn10",
+  "isbn13",
+];
+
+/**
+ * Whether a change needs review: a significant book field, an added or
+ * removed variant, or a significant field of a variant
+ * @param {Object} change - Field-level change ({ field, from, to })
+ * @returns {boolean}
+ */
+const isSignificantChange = (change) => {
+  if (change.field !== "variants") {
+    return SIGNIFICANT_FIELDS.includes(change.field);
+  }
+  if (!change.from || !change.to) return true;
+  return SIGNIFICANT_VARIANT_FIELDS.some(
+    (field) => !isSameValue(change.from[field], change.to[field])
+  );
+};
+
+/**
+ * Whether a user's changes go through moderation
+ * @param {Object} user - Acting user (req.user)
+ * @returns {boolean} True for everyone but admins
+ */
+const requiresReview = (user) => user.role !== "admin";
+
+/**
+ * Moderation details for a book entering the review queue
+ * @param {string} requestedStatus - Status to apply once approved
+ * @param {Date} now - Submission time
+ * @returns {Object} moderation sub-document
+ */
+const submission = (requestedStatus, now = new Date()) => ({
+  requestedStatus,
+  submittedAt: now,
+  reviewedAt: null,
+  reviewedBy: null,
+  rejectionReason: null,
+});
+
+/**
+ * Status and moderation details of a newly added book
+ * @param {string|undefined} status - Status sent by the client: "published"
+ *   or "unpublished" (applied after approval) or "draft" (not submitted yet)
+ * @param {Object} user - Acting user (req.user)
+ * @param {Date} now - Creation time
+ * @returns {Object} { status, moderation }
+ */
+const initialModeration = (status, user, now = new Date()) => {
+  const requestedStatus = APPROVED_STATUSES.includes(status)
+    ? status
+    : "published";
+
+  if (status === "draft") {
+    return {
+      status: "draft",
+      moderation: { ...submission(requestedStatus, now), submittedAt: null },
+    };
+  }
+
+  if (!requiresReview(user)) {
+    return { status: requestedStatus, moderation: null };
+  }
+
+  return {
+    status: "pending_review",
+    moderation: submission(requestedStatus, now),
+  };
+};
+
+/**
+ * Send a book back to review after a librarian changed significant fields
+ * (including adding, removing or repricing a variant)
+ * Books already in the queue are re-submitted, so a moderator who loaded
+ * the earlier version cannot approve the change unseen. Drafts are left alone.
+ * @param {Object} book - Book before the change
+ * @param {Array} changes - Field-level changes ({ field, from, to })
+ * @param {Object} user - Acting user (req.user)
+ * @param {Date} now - Time of the change
+ * @returns {Object|null} { status, moderation } to set, or null
+ */
+const reviewAfterChange = (book, changes, user, now = new Date()) => {
+  if (!requiresReview(user)) return null;
+  if (
+    !["published", "unpublished", "rejected", "pending_review"].includes(
+      book.status
+    )
+  ) {
+    return null;
+  }
+  if (!changes.some(isSignificantChange)) {
+    return null;
+  }
+
+  if (book.status === "pending_review") {
+    return {
+      status: "pending_review",
+      moderation: { ...book.moderation, submittedAt: now },
+    };
+  }
+
+  const requestedStatus = APPROVED_STATUSES.includes(book.status)
+    ? book.status
+    : (book.moderation && book.moderation.requestedStatus) || "published";
+
+  return {
+    status: "pending_review",
+    moderation: submission(requestedStatus, now),
+  };
+};
+
+module.exports = {
+  BOOK_STATUSES,
+  APPROVED_STATUSES,
+  SIGNIFICANT_FIELDS,
+  SIGNIFICANT_VARIANT_FIELDS,
+  requiresReview,
+  submission,
+  initialModeration,
+  reviewAfterChange,
+};
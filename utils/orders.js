@@ -0,0 +1,283 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { variantLabel } = require("./variants");
+const { describeSchedule } = require("./schedule");
+
+/**
+ * Order lines
+ *
+ * Orders placed for a single book keep the book, variant, quantity and
+ * librarian on the order itself. Orders checked out from the cart list
+ * their books in `items` (one line per book/variant, each with its own
+ * librarian and price) and the librarians involved in `librarians`. These
+ * helpers let the rest of the code treat both shapes the same way.
+ */
+
+/**
+ * Books, variants and quantities of an order
+ * @param {Object} order - Order document
+ * @returns {Array} Lines as { book, variant, quantity, librarian }
+ */
+const orderLines = (order) =>
+  Array.isArray(order.items)
+    ? order.items
+    : [
+        {
+          book: order.book,
+          variant: order.variant || null,
+          quantity: order.quantity,
+          librarian: order.librarian,
+        },
+      ];
+
+/**
+ * Filter matching orders that include a book
+ * @param {ObjectId} bookId - Book
+ * @returns {Object} MongoDB filter
+ */
+const orderedBookFilter = (bookId) => ({
+  $or: [{ book: bookId }, { "items.book": bookId }],
+});
+
+/**
+ * Filter matching orders that include any of several books
+ * @param {ObjectId[]} bookIds - Books
+ * @returns {Object} MongoDB filter
+ */
+const orderedBooksFilter = (bookIds) => ({
+  $or: [{ book: { $in: bookIds } }, { "items.book": { $in: bookIds } }],
+});
+
+/**
+ * Filter matching orders with books of a librarian
+ * @param {string|ObjectId} librarianId - Librarian
+ * @returns {Object} MongoDB filter
+ */
+const librarianOrderFilter = (librarianId) => {
+  const id = new ObjectId(librarianId);
+  return { $or: [{ librarian: id }, { librarians: id }] };
+};
+
+/**
+ * Whether a user is one of the librarians whose books are in an order
+ * @param {Object} order - Order document
+ * @param {string|ObjectId} userId - User to check
+ * @returns {boolean}
+ */
+const isOrderLibrarian = (order, userId) =>
+  [order.librarian, ...(order.librarians || [])].some(
+    (librarian) => librarian && librarian.toString() === userId.toString()
+  );
+
+/**
+ * Aggregation stages turning each order into one document per line, with
+ * the line in `line` ({ book, variant, quantity, librarian, totalAmount })
+ * @returns {Array} Aggregation stages
+ */
+const orderLineStages = () => [
+  {
+    $set: {
+      line: {
+        $ifNull: [
+          "$items",
+          [
+            {
+              book: "$book",
+              variant: "$variant",
+              quantity: "$quantity",
+              librarian: "$librarian",
+              totalAmount: "$totalAmount",
+            },
+          ],
+        ],
+      },
+    },
+  },
+  { $unwind: "$line" },
+];
+
+/**
+ * Ids of the books in some orders (cancelled orders excepted)
+ * @param {Object} filter - Orders to look at (e.g. { user })
+ * @returns {Promise<ObjectId[]>} Book ids
+ */
+const findOrderedBookIds = async (filter) => {
+  const ordersCollection = getCollection(COLLECTIONS.ORDERS);
+  const query = { ...filter, orderStatus: { $ne: "cancelled" } };
+  const [single, items] = await Promise.all([
+    ordersCollection.distinct("book", query),
+    ordersCollection.distinct("items.book", query),
+  ]);
+
+  const ids = new Map();
+  [...single, ...items]
+    .filter(Boolean)
+    .forEach((id) => ids.set(id.toString(), id));
+  return [...ids.values()];
+};
+
+/**
+ * Check that a book can be ordered now and pick the variant to order
+ * @param {Object|null} book - Book document
+ * @param {string|null} variantId - Requested variant
+ * @returns {Object} { variant } (null for books without variants), or
+ *   { error, status } when the book or variant cannot be ordered
+ */
+const resolveOrderVariant = (book, variantId) => {
+  if (!book || book.archivedAt) {
+    return { error: "Book not found", status: 404 };
+  }
+
+  if (book.status !== "published") {
+    return {
+      error:
+        "This book is not available for order. Only published books can be ordered.",
+      status: 400,
+    };
+  }
+
+  // Scheduled books can only be ordered within their publish window
+  const { visibility } = describeSchedule(book);
+  if (visibility === "scheduled") {
+    return {
+      error: `This book is not available for order until ${book.publishAt.toISOString()}`,
+      status: 400,
+    };
+  }
+  if (visibility === "expired") {
+    return { error: "This book is no longer available for order", status: 400 };
+  }
+
+  // Books sold in variants must be ordered as a specific format/edition
+  if (Array.isArray(book.variants) && book.variants.length > 0) {
+    if (!variantId) {
+      const options = book.variants
+        .map((option) => `${variantLabel(option)} (${option._id})`)
+        .join(", ");
+      return {
+        error: `This book is sold in several variants. Choose one with variantId: ${options}`,
+        status: 400,
+      };
+    }
+
+    if (!ObjectId.isValid(variantId)) {
+      return { error: "Invalid variant ID format", status: 400 };
+    }
+
+    const variant = book.variants.find(
+      (option) => option._id.toString() === variantId.toString()
+    );
+
+    if (!variant) {
+      return { error: "Variant not found for this book", status: 404 };
+    }
+
+    return { variant };
+  }
+
+  if (variantId) {
+    return { error: "This book has no variants", status: 400 };
+  }
+
+  return { variant: null };
+};
+
+/**
+ * Timeline entry for a change of order status
+ * @param {Object} params
+ * @param {string|null} params.from - Previous status (null when placed)
+ * @param {string} params.to - New status
+ * @param {Object} params.user - Acting user (req.user)
+ * @param {string|null} params.note - Optional note (e.g. why it was cancelled)
+ * @param {Date} params.at - When it happened (default: now)
+ * @returns {Object} { from, to, actor: { _id, role }, at, note }
+ */
+const timelineEntry = ({ from, to, user, note = null, at = new Date() }) => ({
+  from,
+  to,
+  actor: { _id: new ObjectId(user._id), role: user.role || null },
+  at,
+  note,
+});
+
+/**
+ * Status timeline of an order, oldest first
+ * Orders placed before changes were recorded only show when they were
+ * placed and, if it has moved on since, their current status with an
+ * unknown actor
+ * @param {Object} order - Order (needs timeline, user, orderDate,
+ *   orderStatus and updatedAt)
+ * @returns {Array} Timeline entries
+ */
+const orderTimeline = (order) => {
+  if (Array.isArray(order.timeline)) return order.timeline;
+
+  const timeline = [
+    {
+      from: null,
+      to: "pending",
+      actor: { _id: order.user, role: null },
+      at: order.orderDate,
+      note: null,
+    },
+  ];
+  if (order.orderStatus !== "pending") {
+    timeline.push({
+      from: null,
+      to: order.orderStatus,
+      actor: null,
+      at: order.updatedAt || null,
+      note: null,
+    });
+  }
+  return timeline;
+};
+
+/**
+ * Validate the delivery details of an order
+ * @param {Object} body - Request body (userName, userEmail, phoneNumber, address)
+ * @param {string[]} extraFields - Other required fields (e.g. bookId)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateDeliveryDetails = (body, extraFields = []) => {
+  const requiredFields = [
+    "userName",
+    "userEmail",
+    "phoneNumber",
+    "address",
+    ...extraFields,
+  ];
+  const missingFields = requiredFields.filter((field) => !body[field]);
+
+  if (missingFields.length > 0) {
+    return `Missing required fields: ${missingFields.join(", ")}`;
+  }
+
+  // Validate email format
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(body.userEmail)) {
+    return "Invalid email format";
+  }
+
+  // Validate phone number (basic validation)
+  if (body.phoneNumber.length < 10) {
+    return "Phone number must be at least 10 digits";
+  }
+
+  return null;
+};
+
+module.exports = {
+  orderLines,
+  orderedBookFilter,
+  orderedBooksFilter,
+  librarianOrderFilter,
+  isOrderLibrarian,
+  orderLineStages,
+  findOrderedBookIds,
+  resolveOrderVariant,
+  validateDeliveryDetails,
+  timelineEntry,
+  orderTimeline,
+};
@@ -0,0 +1,403 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { variantLabel } = require("./variants");
+const logger = require("./logger");
+
+/**
+ * Sale prices
+ *
+ * A sale (salePrices collection) takes a percentage or a fixed amount off
+ * the list price of one book, or of every book in a category and its
+ * subcategories, between `startsAt` and `endsAt`. List prices are never
+ * changed by a sale: the effective price is worked out when books are read
+ * and when an order is placed. When several sales apply, the one giving
+ * the lowest price wins.
+ *
+ * Every list price change is also written to the priceHistory collection,
+ * so together with the (never deleted) sales the price of a book at any
+ * point in time can be reconstructed.
+ */
+
+/**
+ * Supported kinds of sale
+ * percentage - `value` percent off; fixed - `value` off in currency units
+ */
+const SALE_TYPES = ["percentage", "fixed"];
+
+/**
+ * Round a price to cents
+ * @param {number} amount - Amount in currency units
+ * @returns {number} Rounded amount
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Lowest price a sale can bring a book down to
+ * Payments need a positive amount, so a sale never makes a book free
+ */
+const MIN_SALE_PRICE = 0.01;
+
+/**
+ * Price after a sale's discount
+ * @param {number} listPrice - Undiscounted price
+ * @param {Object} sale - Sale document ({ type, value })
+ * @returns {number} Discounted price (never below MIN_SALE_PRICE, or the
+ *   list price when that is lower)
+ */
+const discountedPrice = (listPrice, sale) => {
+  const price =
+    sale.type === "percentage"
+      ? listPrice * (1 - sale.value / 100)
+      : listPrice - sale.value;
+  return Math.max(roundPrice(price), Math.min(MIN_SALE_PRICE, listPrice));
+};
+
+/**
+ * Filter matching sales running at a moment
+ * @param {Date} now - Moment to evaluate (default: current time)
+ * @returns {Object} MongoDB filter
+ */
+const activeSaleFilter = (now = new Date()) => ({
+  startsAt: { $lte: now },
+  endsAt: { $gt: now },
+});
+
+/**
+ * Load the categories whose sales cover books in the given categories
+ * Category sales also cover subcategories, so this is each category with
+ * all its ancestors
+ * @param {ObjectId[]} categoryIds - Categories of the books
+ * @returns {Promise<Map>} Category id => ids (strings) of it and its ancestors
+ */
+const loadCategoryLineage = async (categoryIds) => {
+  const categories =
+    categoryIds.length > 0
+      ? await getCollection(COLLECTIONS.CATEGORIES)
+          .find({ _id: { $in: categoryIds } }, { projection: { ancestors: 1 } })
+          .toArray()
+      : [];
+  return new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      [category._id, ...(category.ancestors || [])].map(String),
+    ])
+  );
+};
+
+/**
+ * Load the sales running now for a set of books
+ * @param {Array} books - Book documents (need _id and categoryId)
+ * @param {Date} now - Moment to evaluate
+ * @returns {Promise<Function>} salesFor(book) returning the sales that apply
+ */
+const loadActiveSales = async (books, now = new Date()) => {
+  const bookIds = books.map((book) => book._id).filter(Boolean);
+  const categoryIds = [
+    ...new Set(
+      books
+        .map((book) => book.categoryId)
+        .filter(Boolean)
+        .map(String)
+    ),
+  ].map((id) => new ObjectId(id));
+
+  const lineage = await loadCategoryLineage(categoryIds);
+  const lineageIds = [...new Set([...lineage.values()].flat())].map(
+    (id) => new ObjectId(id)
+  );
+
+  const sales = await getCollection(COLLECTIONS.SALE_PRICES)
+    .find({
+      ...activeSaleFilter(now),
+      $or: [
+        { book: { $in: bookIds } },
+        ...(lineageIds.length > 0 ? [{ category: { $in: lineageIds } }] : []),
+      ],
+    })
+    .toArray();
+
+  return (book) => {
+    const bookCategories = book.categoryId
+      ? lineage.get(book.categoryId.toString()) || []
+      : [];
+    return sales.filter((sale) =>
+      sale.book
+        ? sale.book.equals(book._id)
+        : bookCategories.includes(sale.category.toString())
+    );
+  };
+};
+
+/**
+ * Lowest list price among the books a sale covers
+ * Books sold in variants carry their lowest variant price, so the
+ * book-level price is enough
+ * @param {Object} sale - Sale ({ book } or { category })
+ * @returns {Promise<number|null>} Lowest price, or null when no book is covered
+ */
+const lowestCoveredPrice = async (sale) => {
+  let filter = { _id: new ObjectId(sale.book) };
+
+  if (!sale.book) {
+    const categoryId = new ObjectId(sale.category);
+    const descendants = await getCollection(COLLECTIONS.CATEGORIES)
+      .find({ ancestors: categoryId }, { projection: { _id: 1 } })
+      .toArray();
+    filter = {
+      categoryId: {
+        $in: [categoryId, ...descendants.map((category) => category._id)],
+      },
+      archivedAt: null,
+    };
+  }
+
+  const [cheapest] = await getCollection(COLLECTIONS.BOOKS)
+    .find(filter, { projection: { price: 1 } })
+    .sort({ price: 1 })
+    .limit(1)
+    .toArray();
+
+  return cheapest ? cheapest.price : null;
+};
+
+/**
+ * Find a fixed sale, running or upcoming, that would take a book's price
+ * to zero or below
+ * Checked before a list price is lowered, since fixed sales are only
+ * validated against the prices they were scheduled on
+ * @param {Object} book - Book document (needs _id and categoryId)
+ * @param {number} price - New lowest list price of the book
+ * @param {Date} now - Moment to evaluate (default: current time)
+ * @returns {Promise<Object|null>} The sale with the largest discount, or null
+ */
+const findSaleReachingPrice = async (book, price, now = new Date()) => {
+  const lineage = book.categoryId
+    ? (await loadCategoryLineage([book.categoryId])).get(
+        book.categoryId.toString()
+      ) || []
+    : [];
+
+  return getCollection(COLLECTIONS.SALE_PRICES).findOne(
+    {
+      type: "fixed",
+      value: { $gte: price },
+      endsAt: { $gt: now },
+      $or: [
+        { book: book._id },
+        ...(lineage.length > 0
+          ? [{ category: { $in: lineage.map((id) => new ObjectId(id)) } }]
+          : []),
+      ],
+    },
+    { sort: { value: -1 } }
+  );
+};
+
+/**
+ * Check that a lower list price (or a new category) leaves room for the
+ * book's fixed sales
+ * Fixed sales are only checked against the prices they were scheduled on,
+ * so a price cut could otherwise let a sale take the whole price off
+ * @param {Object} book - Book before the change (needs _id, price, categoryId)
+ * @param {Object} changes - New values ({ price, categoryId }, both optional);
+ *   price is the new lowest list price of the book
+ * @returns {Promise<string|null>} Error message, or null when the change fits
+ */
+const checkPriceAgainstSales = async (book, changes) => {
+  const price = changes.price !== undefined ? changes.price : book.price;
+  const categoryId = changes.categoryId || book.categoryId;
+
+  if (
+    !(price < book.price) &&
+    (!changes.categoryId || String(categoryId) === String(book.categoryId))
+  ) {
+    return null;
+  }
+
+  const sale = await findSaleReachingPrice({ ...book, categoryId }, price);
+  return sale
+    ? `The sale "${sale.name}" takes ${sale.value} off this book, so its price must stay above that`
+    : null;
+};
+
+/**
+ * Pick the sale giving the lowest price
+ * @param {number} listPrice - Undiscounted price
+ * @param {Array} sales - Sales that apply
+ * @returns {Object} { price, discount, sale } - sale is null when none applies
+ */
+const bestPrice = (listPrice, sales) => {
+  let best = { price: listPrice, discount: 0, sale: null };
+
+  sales.forEach((sale) => {
+    const price = discountedPrice(listPrice, sale);
+    if (price < best.price) {
+      best = { price, discount: roundPrice(listPrice - price), sale };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Public summary of a sale
+ * @param {Object} sale - Sale document
+ * @returns {Object} { _id, name, type, value, endsAt }
+ */
+const saleSummary = (sale) => ({
+  _id: sale._id,
+  name: sale.name,
+  type: sale.type,
+  value: sale.value,
+  endsAt: sale.endsAt,
+});
+
+/**
+ * Add sale pricing to books for listings
+ * Each book (and variant) keeps `price` as the list price and gains
+ * `effectivePrice`, plus `originalPrice`, `discount` and `sale` while a
+ * sale applies, so clients can strike the original price through
+ * @param {Array} books - Book documents
+ * @param {Date} now - Moment to price at (default: current time)
+ * @returns {Promise<Array>} Priced books
+ */
+const withSalePrices = async (books, now = new Date()) => {
+  if (books.length === 0) return books;
+
+  const salesFor = await loadActiveSales(books, now);
+
+  const priced = (item, sales) => {
+    const listPrice = Number(item.price) || 0;
+    const { price, discount, sale } = bestPrice(listPrice, sales);
+    return sale
+      ? {
+          ...item,
+          effectivePrice: price,
+          originalPrice: listPrice,
+          discount,
+          sale: saleSummary(sale),
+        }
+      : { ...item, effectivePrice: listPrice, sale: null };
+  };
+
+  return books.map((book) => {
+    const sales = salesFor(book);
+    const result = priced(book, sales);
+    if (Array.isArray(book.variants)) {
+      result.variants = book.variants.map((variant) => priced(variant, sales));
+    }
+    return result;
+  });
+};
+
+/**
+ * Price a book (or one of its variants) for an order
+ * @param {Object} book - Book document
+ * @param {Object|null} variant - Ordered variant
+ * @param {number} quantity - Copies ordered
+ * @returns {Promise<Object>} { listPrice, discount, totalAmount, sale } -
+ *   listPrice and discount are per copy; sale is a summary or null
+ */
+const priceOrder = async (book, variant = null, quantity = 1) => {
+  const salesFor = await loadActiveSales([book]);
+  const listPrice = Number((variant || book).price) || 0;
+  const { price, discount, sale } = bestPrice(listPrice, salesFor(book));
+
+  return {
+    listPrice,
+    discount,
+    totalAmount: roundPrice(price * quantity),
+    sale: sale ? saleSummary(sale) : null,
+  };
+};
+
+/**
+ * List price changes between two versions of a book
+ * Books sold in variants are priced per variant, so their changes are
+ * reported per variant rather than for the book-level minimum
+ * @param {Object} before - Previous book state ({} for a new book)
+ * @param {Object} after - New book state (price, variants)
+ * @returns {Array} Changes as { variant, variantLabel, from, to }
+ */
+const listPriceChanges = (before, after) => {
+  const variants = after.variants || [];
+
+  if (variants.length === 0) {
+    const from = before.price === undefined ? null : before.price;
+    return after.price !== undefined && from !== after.price
+      ? [{ variant: null, variantLabel: null, from, to: after.price }]
+      : [];
+  }
+
+  const previous = new Map(
+    (before.variants || []).map((variant) => [
+      variant._id.toString(),
+      variant.price,
+    ])
+  );
+
+  return variants
+    .filter((variant) => previous.get(variant._id.toString()) !== variant.price)
+    .map((variant) => ({
+      variant: variant._id,
+      variantLabel: variantLabel(variant),
+      from: previous.has(variant._id.toString())
+        ? previous.get(variant._id.toString())
+        : null,
+      to: variant.price,
+    }));
+};
+
+/**
+ * Build price history documents for a book change
+ * @param {Object} params
+ * @param {ObjectId} params.bookId - Changed book
+ * @param {Object} params.before - Previous book state ({} for a new book)
+ * @param {Object} params.after - New book state
+ * @param {string} params.source - create, update, import, variant or revert
+ * @param {Object} params.user - Acting user (req.user)
+ * @returns {Array} Price history documents
+ */
+const buildPriceHistory = ({ bookId, before, after, source, user }) => {
+  const createdAt = new Date();
+  return listPriceChanges(before, after).map((change) => ({
+    book: new ObjectId(bookId),
+    ...change,
+    source,
+    actor: { _id: new ObjectId(user._id), role: user.role },
+    createdAt,
+  }));
+};
+
+/**
+ * Record list price changes in the price history
+ * Failures are logged rather than thrown: the change itself already succeeded
+ * @param {Object|Array} entries - Parameter object(s) for buildPriceHistory
+ * @returns {Promise<void>}
+ */
+const recordPriceHistory = async (entries) => {
+  const documents = [].concat(entries).flatMap(buildPriceHistory);
+  if (documents.length === 0) return;
+
+  try {
+    await getCollection(COLLECTIONS.PRICE_HISTORY).insertMany(documents, {
+      ordered: false,
+    });
+  } catch (error) {
+    logger.error("Failed to record price history:", error);
+  }
+};
+
+module.exports = {
+  SALE_TYPES,
+  roundPrice,
+  discountedPrice,
+  activeSaleFilter,
+  lowestCoveredPrice,
+  checkPriceAgainstSales,
+  withSalePrices,
+  priceOrder,
+  listPriceChanges,
+  recordPriceHistory,
+};
@@ -0,0 +1,148 @@
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { publicBookFilter } = require("./bookQuery");
+const { orderedBookFilter, orderLineStages } = require("./orders");
+
+/**
+ * Most recent buyers of a book considered when looking for co-purchases
+ * Keeps the aggregation bounded for very popular books
+ */
+const MAX_BUYERS_SAMPLED = 500;
+
+/**
+ * Fields returned for each recommended book
+ */
+const RECOMMENDATION_PROJECTION = {
+  name: 1,
+  author: 1,
+  authors: 1,
+  imageURL: 1,
+  coverImage: 1,
+  price: 1,
+  quantity: 1,
+  category: 1,
+  categoryId: 1,
+};
+
+/**
+ * Rank other books by how many of this book's buyers also ordered them
+ * Cancelled orders are ignored
+ * @param {ObjectId} bookId - Book being viewed
+ * @param {ObjectId[]} excludeIds - Books never to recommend
+ * @param {number} limit - Maximum number of books
+ * @returns {Promise<Array>} Published books with `score` (number of shared buyers)
+ */
+const findCoPurchasedBooks = async (bookId, excludeIds, limit) => {
+  const ordersCollection = getCollection(COLLECTIONS.ORDERS);
+
+  const buyers = await ordersCollection
+    .aggregate([
+      {
+        $match: {
+          ...orderedBookFilter(bookId),
+          orderStatus: { $ne: "cancelled" },
+        },
+      },
+      // $group output is unordered: keep each buyer's latest order date so
+      // the most recent buyers can be picked after grouping
+      { $group: { _id: "$user", lastOrderDate: { $max: "$orderDate" } } },
+      { $sort: { lastOrderDate: -1, _id: 1 } },
+      { $limit: MAX_BUYERS_SAMPLED },
+    ])
+    .toArray();
+
+  if (buyers.length === 0) return [];
+
+  return ordersCollection
+    .aggregate([
+      {
+        $match: {
+          user: { $in: buyers.map((buyer) => buyer._id) },
+          orderStatus: { $ne: "cancelled" },
+        },
+      },
+      ...orderLineStages(),
+      { $match: { "line.book": { $nin: excludeIds } } },
+      { $group: { _id: "$line.book", buyers: { $addToSet: "$user" } } },
+      { $project: { score: { $size: "$buyers" } } },
+      {
+        $lookup: {
+          from: COLLECTIONS.BOOKS,
+          localField: "_id",
+          foreignField: "_id",
+          as: "book",
+          pipeline: [
+            { $match: publicBookFilter() },
+            { $project: RECOMMENDATION_PROJECTION },
+          ],
+        },
+      },
+      { $unwind: "$book" },
+      { $sort: { score: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $replaceRoot: {
+          newRoot: { $mergeObjects: ["$book", { score: "$score" }] },
+        },
+      },
+    ])
+    .toArray();
+};
+
+/**
+ * Published books sharing an author or the category with a book, newest first
+ * Books by the same author come before books that only share the category
+ * @param {Object} book - Book being viewed
+ * @param {ObjectId[]} excludeIds - Books never to recommend
+ * @param {number} limit - Maximum number of books
+ * @returns {Promise<Array>} Books with `reason` set to same_author or same_category
+ */
+const findSimilarBooks = async (book, excludeIds, limit) => {
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+  const authorIds = book.authors || [];
+
+  const conditions = [];
+  if (authorIds.length > 0) conditions.push({ authors: { $in: authorIds } });
+  if (book.categoryId) conditions.push({ categoryId: book.categoryId });
+  if (conditions.length === 0) return [];
+
+  const books = await booksCollection
+    .aggregate([
+      {
+        $match: {
+          ...publicBookFilter(),
+          _id: { $nin: excludeIds },
+          $or: conditions,
+        },
+      },
+      {
+        $addFields: {
+          sameAuthor: {
+            $gt: [
+              {
+                $size: {
+                  $setIntersection: [{ $ifNull: ["$authors", []] }, authorIds],
+                },
+              },
+              0,
+            ],
+          },
+        },
+      },
+      { $sort: { sameAuthor: -1, createdAt: -1 } },
+      { $limit: limit },
+      { $project: { ...RECOMMENDATION_PROJECTION, sameAuthor: 1 } },
+    ])
+    .toArray();
+
+  return books.map(({ sameAuthor, ...similar }) => ({
+    ...similar,
+    reason: sameAuthor ? "same_author" : "same_category",
+  }));
+};
+
+module.exports = {
+  MAX_BUYERS_SAMPLED,
+  findCoPurchasedBooks,
+  findSimilarBooks,
+};
@@ -0,0 +1,298 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { publicBookFilter } = require("./bookQuery");
+const { orderLines } = require("./orders");
+const logger = require("./logger");
+
+/**
+ * Sales rankings are read from per-book daily order counters
+ * (bookSalesDaily: { book, day, orders }) that are updated as orders are
+ * placed and cancelled, so ranking a window only touches one small document
+ * per book per day instead of the orders collection.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Longest ranking window in days (trending compares two windows, so daily
+ * counters are kept for twice as long)
+ */
+const MAX_WINDOW_DAYS = 90;
+
+/**
+ * How long computed rankings are reused before being recomputed
+ */
+const RANKING_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Maximum number of cached rankings (one per parameter combination)
+ */
+const MAX_CACHED_RANKINGS = 200;
+
+const rankingCache = new Map();
+
+/**
+ * Start of the UTC day containing a date
+ * @param {Date} date - Any date
+ * @returns {Date} Midnight UTC of that day
+ */
+const startOfUtcDay = (date = new Date()) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+/**
+ * Parse a ranking window from a query parameter
+ * @param {*} value - Raw query value
+ * @param {number} fallback - Default number of days
+ * @returns {number} Window length in days (1 to MAX_WINDOW_DAYS)
+ */
+const parseWindowDays = (value, fallback = 7) =>
+  Math.min(Math.max(parseInt(value) || fallback, 1), MAX_WINDOW_DAYS);
+
+/**
+ * Add (or, with a negative count, remove) ordered copies to a book's daily counter
+ * Failures are logged rather than thrown: rankings must never block an order
+ * @param {string|ObjectId} bookId - Ordered book
+ * @param {Date} orderDate - When the order was placed (selects the day)
+ * @param {number} count - Copies ordered (negative when an order is cancelled)
+ * @returns {Promise<void>}
+ */
+const recordSale = async (bookId, orderDate, count) => {
+  if (!count) return;
+
+  try {
+    const salesCollection = getCollection(COLLECTIONS.BOOK_SALES_DAILY);
+    await salesCollection.updateOne(
+      { book: new ObjectId(bookId), day: startOfUtcDay(orderDate) },
+      { $inc: { orders: count } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error("Failed to record book sale:", error);
+  }
+};
+
+/**
+ * Record the copies of an order (every line of a cart order) in the daily
+ * counters
+ * @param {Object} order - Order document
+ * @param {number} sign - 1 when placed, -1 when cancelled
+ * @returns {Promise<void>}
+ */
+const recordOrderSales = async (order, sign = 1) => {
+  for (const line of orderLines(order)) {
+    await recordSale(
+      line.book,
+      order.orderDate || order.createdAt,
+      sign * (line.quantity || 1)
+    );
+  }
+};
+
+/**
+ * Aggregation stages summing a book's orders over a window of days
+ * ending today. Used to sort listings by popularity.
+ * @param {number} days - Window length in days
+ * @returns {Array} Aggregation stages adding `recentOrders`
+ */
+const popularityStages = (days) => [
+  {
+    $lookup: {
+      from: COLLECTIONS.BOOK_SALES_DAILY,
+      localField: "_id",
+      foreignField: "book",
+      as: "recentSales",
+      pipeline: [
+        {
+          $match: {
+            day: {
+              $gte: new Date(startOfUtcDay().getTime() - (days - 1) * DAY_MS),
+            },
+          },
+        },
+        { $group: { _id: null, orders: { $sum: "$orders" } } },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      recentOrders: {
+        $ifNull: [{ $arrayElemAt: ["$recentSales.orders", 0] }, 0],
+      },
+    },
+  },
+  { $project: { recentSales: 0 } },
+];
+
+/**
+ * Reuse a ranking computed within the cache TTL
+ * @param {string} key - Cache key
+ * @param {Function} compute - Async function producing the ranking
+ * @returns {Promise<*>} Cached or freshly computed ranking
+ */
+const cached = async (key, compute) => {
+  const entry = rankingCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+
+  const value = await compute();
+
+  // Keys depend on query parameters, so keep the cache from growing unbounded
+  if (rankingCache.size >= MAX_CACHED_RANKINGS) {
+    rankingCache.clear();
+  }
+  rankingCache.set(key, {
+    value,
+    expiresAt: Date.now() + RANKING_CACHE_TTL_MS,
+  });
+  return value;
+};
+
+/**
+ * Stages attaching public book details to ranked { _id: bookId } entries
+ * and dropping books that are not public (or not in the categories)
+ * @param {ObjectId[]|null} categoryIds - Restrict to these categories
+ * @returns {Array} Aggregation stages
+ */
+const bookDetailStages = (categoryIds) => [
+  {
+    $lookup: {
+      from: COLLECTIONS.BOOKS,
+      localField: "_id",
+      foreignField: "_id",
+      as: "book",
+      pipeline: [
+        {
+          $match: {
+            ...publicBookFilter(),
+            ...(categoryIds ? { categoryId: { $in: categoryIds } } : {}),
+          },
+        },
+        {
+          $project: {
+            name: 1,
+            author: 1,
+            authors: 1,
+            imageURL: 1,
+            coverImage: 1,
+            price: 1,
+            quantity: 1,
+            category: 1,
+            categoryId: 1,
+          },
+        },
+      ],
+    },
+  },
+  { $unwind: "$book" },
+];
+
+/**
+ * Published books with the most orders over the last `days` days
+ * @param {Object} options
+ * @param {number} options.days - Window length in days
+ * @param {number} options.limit - Maximum number of books
+ * @param {ObjectId[]|null} options.categoryIds - Restrict to these categories
+ * @returns {Promise<Array>} Books with `orders`, highest first
+ */
+const getBestsellers = ({ days, limit, categoryIds = null }) =>
+  cached(`bestsellers:${days}:${limit}:${categoryIds}`, async () => {
+    const salesCollection = getCollection(COLLECTIONS.BOOK_SALES_DAILY);
+    const since = new Date(startOfUtcDay().getTime() - (days - 1) * DAY_MS);
+
+    const ranked = await salesCollection
+      .aggregate([
+        { $match: { day: { $gte: since } } },
+        { $group: { _id: "$book", orders: { $sum: "$orders" } } },
+        { $match: { orders: { $gt: 0 } } },
+        { $sort: { orders: -1, _id: 1 } },
+        ...bookDetailStages(categoryIds),
+        { $limit: limit },
+      ])
+      .toArray();
+
+    return ranked.map(({ book, orders }) => ({ ...book, orders }));
+  });
+
+/**
+ * Published books whose orders grew most compared with the previous window
+ * Growth is (current - previous) / max(previous, 1), so a book going from
+ * 2 to 10 orders outranks one going from 100 to 110. Books below
+ * `minOrders` in the current window are ignored to filter out noise.
+ * @param {Object} options
+ * @param {number} options.days - Window length in days
+ * @param {number} options.limit - Maximum number of books
+ * @param {number} options.minOrders - Minimum orders in the current window
+ * @param {ObjectId[]|null} options.categoryIds - Restrict to these categories
+ * @returns {Promise<Array>} Books with `orders`, `previousOrders` and `growth`
+ */
+const getTrending = ({ days, limit, minOrders, categoryIds = null }) =>
+  cached(`trending:${days}:${limit}:${minOrders}:${categoryIds}`, async () => {
+    const salesCollection = getCollection(COLLECTIONS.BOOK_SALES_DAILY);
+    const currentStart = new Date(
+      startOfUtcDay().getTime() - (days - 1) * DAY_MS
+    );
+    const previousStart = new Date(currentStart.getTime() - days * DAY_MS);
+
+    const ranked = await salesCollection
+      .aggregate([
+        { $match: { day: { $gte: previousStart } } },
+        {
+          $group: {
+            _id: "$book",
+            orders: {
+              $sum: {
+                $cond: [{ $gte: ["$day", currentStart] }, "$orders", 0],
+              },
+            },
+            previousOrders: {
+              $sum: {
+                $cond: [{ $lt: ["$day", currentStart] }, "$orders", 0],
+              },
+            },
+          },
+        },
+        { $match: { orders: { $gte: minOrders } } },
+        {
+          $addFields: {
+            growth: {
+              $round: [
+                {
+                  $divide: [
+                    { $subtract: ["$orders", "$previousOrders"] },
+                    { $max: ["$previousOrders", 1] },
+                  ],
+                },
+                2,
+              ],
+            },
+          },
+        },
+        { $match: { growth: { $gt: 0 } } },
+        { $sort: { growth: -1, orders: -1, _id: 1 } },
+        ...bookDetailStages(categoryIds),
+        { $limit: limit },
+      ])
+      .toArray();
+
+    return ranked.map(({ book, orders, previousOrders, growth }) => ({
+      ...book,
+      orders,
+      previousOrders,
+      growth,
+    }));
+  });
+
+module.exports = {
+  MAX_WINDOW_DAYS,
+  startOfUtcDay,
+  parseWindowDays,
+  recordSale,
+  recordOrderSales,
+  popularityStages,
+  getBestsellers,
+  getTrending,
+};
@@ -0,0 +1,116 @@
+/**
+ * Scheduled publishing
+ *
+ * `status` stays the librarian's on/off switch. A published book may also
+ * carry `publishAt` (hidden until then) and `unpublishAt` (hidden from
+ * then), so release days and time-limited promotions need no one to flip
+ * the status at the right moment. The window is evaluated whenever the
+ * catalog is read or an order is placed, so no background job is involved.
+ */
+
+/**
+ * Parse a schedule timestamp from request input
+ * @param {*} value - ISO 8601 date string, or null/"" to clear the schedule
+ * @param {string} field - Field name used in the error message
+ * @returns {Object} { value: Date|null } or { error }
+ */
+const parseScheduleDate = (value, field) => {
+  if (value === null || value === "") return { value: null };
+
+  const date = new Date(value);
+  if (typeof value !== "string" || isNaN(date.getTime())) {
+    return { error: `${field} must be a valid ISO 8601 date or null` };
+  }
+
+  return { value: date };
+};
+
+/**
+ * Check that a schedule window is not empty
+ * @param {Date|null} publishAt - Start of the window
+ * @param {Date|null} unpublishAt - End of the window
+ * @returns {string|null} Error message, or null when the window is valid
+ */
+const validateScheduleWindow = (publishAt, unpublishAt) =>
+  publishAt && unpublishAt && unpublishAt <= publishAt
+    ? "unpublishAt must be later than publishAt"
+    : null;
+
+/**
+ * Parse the schedule fields sent for a book
+ * Fields left out of the input are not returned, so updates keep them
+ * @param {Object} input - Request body ({ publishAt, unpublishAt })
+ * @param {Object} current - Book being updated ({} for a new book)
+ * @returns {Object} { schedule } with the fields to set, or { error }
+ */
+const parseSchedule = (input, current = {}) => {
+  const schedule = {};
+
+  for (const field of ["publishAt", "unpublishAt"]) {
+    if (input[field] === undefined) continue;
+
+    const parsed = parseScheduleDate(input[field], field);
+    if (parsed.error) return { error: parsed.error };
+    schedule[field] = parsed.value;
+  }
+
+  const publishAt =
+    "publishAt" in schedule ? schedule.publishAt : current.publishAt;
+  const unpublishAt =
+    "unpublishAt" in schedule ? schedule.unpublishAt : current.unpublishAt;
+  const error = validateScheduleWindow(publishAt, unpublishAt);
+
+  return error ? { error } : { schedule };
+};
+
+/**
+ * Filter matching books whose schedule window contains a moment
+ * Books without publishAt/unpublishAt are always inside their window
+ * @param {Date} now - Moment to evaluate (default: current time)
+ * @returns {Object} MongoDB filter
+ */
+const scheduleFilter = (now = new Date()) => ({
+  publishAt: { $not: { $gt: now } },
+  unpublishAt: { $not: { $lte: now } },
+});
+
+/**
+ * Describe how a book's visibility is affected by its status and schedule
+ * @param {Object} book - Book document
+ * @param {Date} now - Moment to evaluate (default: current time)
+ * @returns {Object} { visibility, nextChange } - visibility is "live",
+ *   "scheduled" (publishAt still ahead), "expired" (unpublishAt passed) or,
+ *   for books that are not published, their status; nextChange is
+ *   { action: "publish"|"unpublish", at } or null
+ */
+const describeSchedule = (book, now = new Date()) => {
+  if (book.status !== "published") {
+    return { visibility: book.status, nextChange: null };
+  }
+
+  if (book.unpublishAt && book.unpublishAt <= now) {
+    return { visibility: "expired", nextChange: null };
+  }
+
+  if (book.publishAt && book.publishAt > now) {
+    return {
+      visibility: "scheduled",
+      nextChange: { action: "publish", at: book.publishAt },
+    };
+  }
+
+  return {
+    visibility: "live",
+    nextChange: book.unpublishAt
+      ? { action: "unpublish", at: book.unpublishAt }
+      : null,
+  };
+};
+
+module.exports = {
+  parseScheduleDate,
+  validateScheduleWindow,
+  parseSchedule,
+  scheduleFilter,
+  describeSchedule,
+};
@@ -0,0 +1,141 @@
+/**
+ * Escape user input for safe use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Fields covered by the books text index and their relevance weights
+ * A match in the title counts ten times as much as one in the description
+ */
+const TEXT_SEARCH_WEIGHTS = {
+  name: 10,
+  author: 5,
+  category: 3,
+  description: 1,
+};
+
+// Characters of context kept on each side of the first match in long fields
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Reduce a search term to an approximate stem so highlighting lines up with
+ * MongoDB's stemmed text matching (e.g. "books" also highlights "book")
+ * @param {string} term - Lowercase search term
+ * @returns {string} Stemmed term
+ */
+const stemTerm = (term) => {
+  if (term.length <= 4) return term;
+  return term.replace(/(ing|ed|es|s)$/, "");
+};
+
+/**
+ * Split a text search string into the terms worth highlighting
+ * Negated terms ("-word") are dropped since they never appear in results
+ * @param {string} search - Raw search string
+ * @returns {string[]} Unique stemmed terms
+ */
+const extractSearchTerms = (search) => {
+  const terms = String(search)
+    .toLowerCase()
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => stemTerm(term.replace(/[^\p{L}\p{N}]/gu, "")))
+    .filter(Boolean);
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Highlight search terms in a text value
+ * Long values are cut down to a snippet around the first match
+ * @param {string} text - Field value
+ * @param {RegExp} matcher - Global regex matching any search term
+ * @param {boolean} snippet - Whether to trim to a snippet around the first match
+ * @returns {string|null} HTML-escaped text with <mark> tags, or null if nothing matched
+ */
+const highlightText = (text, matcher, snippet) => {
+  if (!text || typeof text !== "string") return null;
+
+  matcher.lastIndex = 0;
+  const firstMatch = matcher.exec(text);
+  if (!firstMatch) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (snippet && text.length > SNIPPET_CONTEXT * 2) {
+    start = Math.max(firstMatch.index - SNIPPET_CONTEXT, 0);
+    end = Math.min(
+      firstMatch.index + firstMatch[0].length + SNIPPET_CONTEXT,
+      text.length
+    );
+  }
+
+  const fragment = text.slice(start, end);
+  let highlighted = "";
+  let cursor = 0;
+
+  matcher.lastIndex = 0;
+  let match;
+  while ((match = matcher.exec(fragment)) !== null) {
+    highlighted += escapeHtml(fragment.slice(cursor, match.index));
+    highlighted += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  highlighted += escapeHtml(fragment.slice(cursor));
+
+  return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+};
+
+/**
+ * Build highlighted match snippets for a book
+ * @param {Object} book - Book document
+ * @param {string} search - Raw search string
+ * @returns {Object} Map of field name to highlighted HTML (only matching fields)
+ */
+const buildHighlights = (book, search) => {
+  const terms = extractSearchTerms(search);
+  if (terms.length === 0) return {};
+
+  const matcher = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`,
+    "giu"
+  );
+
+  const highlights = {};
+  Object.keys(TEXT_SEARCH_WEIGHTS).forEach((field) => {
+    const highlighted = highlightText(
+      book[field],
+      matcher,
+      field === "description"
+    );
+    if (highlighted) {
+      highlights[field] = highlighted;
+    }
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  escapeRegex,
+  TEXT_SEARCH_WEIGHTS,
+  escapeHtml,
+  extractSearchTerms,
+  buildHighlights,
+};
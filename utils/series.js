@@ -0,0 +1,187 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { slugify } = require("./categories");
+const { publicBookFilter } = require("./bookQuery");
+const { orderedBooksFilter, findOrderedBookIds } = require("./orders");
+
+/**
+ * Book series
+ *
+ * A book joins a series with a volume number (`series: { _id, volume }`)
+ * and the series is read in volume order. Volumes may be fractional so a
+ * novella set between two books can be numbered 1.5.
+ */
+
+/**
+ * Highest volume number accepted
+ */
+const MAX_VOLUME = 9999;
+
+/**
+ * Fields loaded for the volumes of a series
+ */
+const VOLUME_PROJECTION = {
+  name: 1,
+  author: 1,
+  authors: 1,
+  imageURL: 1,
+  coverImage: 1,
+  price: 1,
+  quantity: 1,
+  category: 1,
+  categoryId: 1,
+  isbn13: 1,
+  createdAt: 1,
+};
+
+/**
+ * Parse a volume number (positive, at most two decimals, e.g. 2 or 1.5)
+ * @param {*} value - Raw volume
+ * @returns {number|null} Volume, or null when invalid
+ */
+const parseVolume = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+
+  const volume = Number(value);
+  if (!Number.isFinite(volume) || volume <= 0 || volume > MAX_VOLUME) {
+    return null;
+  }
+  if (Math.round(volume * 100) / 100 !== volume) return null;
+
+  return volume;
+};
+
+/**
+ * Find a series by id or slug
+ * @param {string|ObjectId} value - Series id or slug
+ * @returns {Promise<Object|null>} Series document or null
+ */
+const resolveSeries = async (value) => {
+  if (!value) return null;
+
+  const seriesCollection = getCollection(COLLECTIONS.SERIES);
+
+  if (ObjectId.isValid(value) && String(value).length === 24) {
+    const series = await seriesCollection.findOne({ _id: new ObjectId(value) });
+    if (series) return series;
+  }
+
+  const slug = slugify(value);
+  if (!slug) return null;
+
+  return seriesCollection.findOne({ slug });
+};
+
+/**
+ * Published volumes of a series in reading order
+ * @param {ObjectId} seriesId - Series id
+ * @param {Object} projection - Book fields to load
+ * @returns {Promise<Array>} Books sorted by volume
+ */
+const getPublishedVolumes = (seriesId, projection = VOLUME_PROJECTION) =>
+  getCollection(COLLECTIONS.BOOKS)
+    .find(
+      { ...publicBookFilter(), "series._id": seriesId },
+      { projection: { ...projection, series: 1 } }
+    )
+    .sort({ "series.volume": 1, _id: 1 })
+    .toArray();
+
+/**
+ * Suggest the volume a reader should continue with
+ * Looks at the user's orders (cancelled ones excepted) for any volume of the
+ * series, including volumes no longer on sale, and picks the first published
+ * volume after the highest one ordered that they have not ordered yet
+ * @param {ObjectId} seriesId - Series id
+ * @param {Array} volumes - Published volumes in reading order
+ * @param {string|ObjectId} userId - Signed-in user
+ * @returns {Promise<Object|null>} { _id, name, volume, imageURL, afterVolume },
+ *   or null when the user has ordered no volume or has read up to the end
+ */
+const nextInSeries = async (seriesId, volumes, userId) => {
+  const members = await getCollection(COLLECTIONS.BOOKS)
+    .find({ "series._id": seriesId }, { projection: { series: 1 } })
+    .toArray();
+  if (members.length === 0) return null;
+
+  const memberIds = members.map((book) => book._id);
+  const orderedIds = await findOrderedBookIds({
+    user: new ObjectId(userId),
+    ...orderedBooksFilter(memberIds),
+  });
+  const memberSet = new Set(memberIds.map(String));
+  const ordered = new Set(
+    orderedIds.map(String).filter((id) => memberSet.has(id))
+  );
+  if (ordered.size === 0) return null;
+
+  const lastRead = Math.max(
+    ...members
+      .filter((book) => ordered.has(book._id.toString()))
+      .map((book) => book.series.volume)
+  );
+
+  const next = volumes.find(
+    (book) => book.series.volume > lastRead && !ordered.has(book._id.toString())
+  );
+  if (!next) return null;
+
+  return {
+    _id: next._id,
+    name: next.name,
+    volume: next.series.volume,
+    imageURL: next.imageURL || null,
+    afterVolume: lastRead,
+  };
+};
+
+/**
+ * Series details shown on a book page: the series, this book's place in it,
+ * the neighbouring published volumes and, for a signed-in reader who has
+ * ordered earlier volumes, the volume to continue with
+ * @param {Object} book - Book document (with `series`)
+ * @param {Object} [user] - Signed-in user (req.user)
+ * @returns {Promise<Object|null>} Series summary, or null if not in a series
+ */
+const describeBookSeries = async (book, user) => {
+  if (!book.series || !book.series._id) return null;
+
+  const seriesId = new ObjectId(book.series._id);
+  const [series, volumes] = await Promise.all([
+    getCollection(COLLECTIONS.SERIES).findOne(
+      { _id: seriesId },
+      { projection: { name: 1, slug: 1 } }
+    ),
+    getPublishedVolumes(seriesId, { name: 1, imageURL: 1 }),
+  ]);
+  if (!series) return null;
+
+  const volume = book.series.volume;
+  const entry = (other) =>
+    other
+      ? { _id: other._id, name: other.name, volume: other.series.volume }
+      : null;
+  const previous = volumes.filter((other) => other.series.volume < volume);
+  const next = volumes.find((other) => other.series.volume > volume);
+
+  return {
+    _id: series._id,
+    name: series.name,
+    slug: series.slug,
+    volume,
+    volumeCount: volumes.length,
+    previous: entry(previous[previous.length - 1]),
+    next: entry(next),
+    nextForYou: user ? await nextInSeries(seriesId, volumes, user._id) : null,
+  };
+};
+
+module.exports = {
+  MAX_VOLUME,
+  parseVolume,
+  resolveSeries,
+  getPublishedVolumes,
+  nextInSeries,
+  describeBookSeries,
+};
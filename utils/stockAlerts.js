@@ -0,0 +1,106 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { describeSchedule } = require("./schedule");
+const logger = require("./logger");
+
+/**
+ * Back-in-stock alerts
+ *
+ * Users subscribe to an out-of-stock book (stockSubscriptions collection,
+ * status "waiting"). When the book comes back in stock (a librarian's edit
+ * or import, a merge, or a cancelled order returning copies), every waiting
+ * subscriber gets a notification (notifications collection) and their
+ * subscription is marked "notified", so each subscription fires once. A
+ * user who misses the copies can subscribe again.
+ *
+ * Books restocked while they are not in the public catalog keep their
+ * subscribers waiting until the next restock.
+ */
+
+/**
+ * Whether a quantity change brings a book back in stock
+ * @param {number} before - Copies in stock before the change
+ * @param {number} after - Copies in stock after the change
+ * @returns {boolean} True when the book goes from none to some copies
+ */
+const isRestock = (before, after) =>
+  (Number(before) || 0) <= 0 && (Number(after) || 0) > 0;
+
+/**
+ * Notify the waiting subscribers of a restocked book
+ * Failures are logged rather than thrown: the restock itself already succeeded
+ * @param {Object} book - Book document after the restock
+ * @returns {Promise<number>} Number of subscribers notified
+ */
+const notifyBackInStock = async (book) => {
+  if (book.archivedAt || describeSchedule(book).visibility !== "live") {
+    return 0;
+  }
+
+  try {
+    const subscriptionsCollection = getCollection(
+      COLLECTIONS.STOCK_SUBSCRIPTIONS
+    );
+    const waiting = await subscriptionsCollection
+      .find({ book: book._id, status: "waiting" }, { projection: { user: 1 } })
+      .toArray();
+
+    if (waiting.length === 0) return 0;
+
+    const now = new Date();
+    await subscriptionsCollection.updateMany(
+      {
+        _id: { $in: waiting.map((subscription) => subscription._id) },
+        status: "waiting",
+      },
+      { $set: { status: "notified", notifiedAt: now } }
+    );
+
+    await getCollection(COLLECTIONS.NOTIFICATIONS).insertMany(
+      waiting.map((subscription) => ({
+        user: subscription.user,
+        type: "back_in_stock",
+        book: book._id,
+        message: `"${book.name}" is back in stock`,
+        readAt: null,
+        createdAt: now,
+      })),
+      { ordered: false }
+    );
+
+    return waiting.length;
+  } catch (error) {
+    logger.error("Failed to send back-in-stock notifications:", error);
+    return 0;
+  }
+};
+
+/**
+ * Count the subscribers waiting for each of a set of books
+ * @param {Array} bookIds - Book ids
+ * @returns {Promise<Map>} Book id string -> number of waiting subscribers
+ */
+const countWaitingSubscribers = async (bookIds) => {
+  if (bookIds.length === 0) return new Map();
+
+  const counts = await getCollection(COLLECTIONS.STOCK_SUBSCRIPTIONS)
+    .aggregate([
+      {
+        $match: {
+          book: { $in: bookIds.map((id) => new ObjectId(id)) },
+          status: "waiting",
+        },
+      },
+      { $group: { _id: "$book", count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+};
+
+module.exports = {
+  isRestock,
+  notifyBackInStock,
+  countWaitingSubscribers,
+};
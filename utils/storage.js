@@ -0,0 +1,97 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * File storage
+ *
+ * Uploaded files are written through a storage adapter, so where they live
+ * (local disk, an object store, a CDN) can change without touching the
+ * controllers. An adapter is an object with:
+ *
+ *   name                               - adapter name, stored with each asset
+ *   save(key, buffer, contentType)     - store a file, resolve to its public URL
+ *   remove(key)                        - delete a file (missing files are ignored)
+ *
+ * Keys are relative paths such as "books/<id>/<file>.webp". The local
+ * filesystem adapter is used unless another one is registered with
+ * setStorage() at startup.
+ */
+
+/**
+ * Directory used by the local adapter (UPLOAD_DIR, default ./uploads)
+ */
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+/**
+ * URL prefix the local files are served under
+ * Set UPLOAD_BASE_URL to an absolute URL when the API sits behind a proxy
+ */
+const UPLOAD_BASE_URL = (process.env.UPLOAD_BASE_URL || "/uploads").replace(
+  /\/+$/,
+  ""
+);
+
+/**
+ * Create a storage adapter writing to the local filesystem
+ * @param {Object} options
+ * @param {string} options.directory - Root directory for stored files
+ * @param {string} options.baseUrl - URL prefix the directory is served under
+ * @returns {Object} Storage adapter
+ */
+const createLocalStorage = ({ directory, baseUrl }) => {
+  // Keys are generated by the server, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+let storage = createLocalStorage({
+  directory: UPLOAD_DIR,
+  baseUrl: UPLOAD_BASE_URL,
+});
+
+/**
+ * Get the active storage adapter
+ * @returns {Object} Storage adapter
+ */
+const getStorage = () => storage;
+
+/**
+ * Register the storage adapter to use for new uploads and deletions
+ * @param {Object} adapter - Object with name, save and remove
+ */
+const setStorage = (adapter) => {
+  if (
+    !adapter ||
+    typeof adapter.save !== "function" ||
+    typeof adapter.remove !== "function"
+  ) {
+    throw new Error("A storage adapter needs save() and remove() functions");
+  }
+  storage = adapter;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_BASE_URL,
+  createLocalStorage,
+  getStorage,
+  setStorage,
+};
@@ -0,0 +1,309 @@
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { publicBookFilter } = require("./bookQuery");
+const { escapeRegex } = require("./search");
+const { editDistance } = require("./duplicates");
+
+/**
+ * Search box suggestions
+ *
+ * Titles, authors and categories are completed from the start of any of
+ * their words ("pott" finds "Harry Potter"). When that finds too few, words
+ * sharing the query's first letters are compared allowing a typo or two
+ * ("pottr", "hary"). Every query runs under a time limit; a part that runs
+ * out of time is left empty instead of delaying the whole response.
+ */
+
+/**
+ * Time limit for each suggestion query (ms)
+ */
+const SUGGEST_TIME_LIMIT_MS = 200;
+
+/**
+ * Default and largest number of suggestions per group
+ */
+const DEFAULT_SUGGESTIONS = 5;
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Longest accepted query
+ */
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Shortest query for which typos are tolerated
+ */
+const MIN_FUZZY_LENGTH = 3;
+
+/**
+ * Most candidates scored for typos per group
+ */
+const FUZZY_CANDIDATES = 200;
+
+/**
+ * Lowercase text without accents and with single spaces
+ * @param {string} value - Raw text
+ * @returns {string} Folded text
+ */
+const foldText = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Number of typos tolerated for a query of this length
+ * @param {number} length - Folded query length
+ * @returns {number} 0, 1 or 2
+ */
+const allowedTypos = (length) => {
+  if (length < MIN_FUZZY_LENGTH) return 0;
+  return length < 7 ? 1 : 2;
+};
+
+/**
+ * How well a text completes a query
+ * @param {string} query - Folded query
+ * @param {string} text - Candidate text (title, name, ...)
+ * @returns {Object|null} { rank, distance } - rank 0 when the text starts
+ *   with the query, 1 when one of its words does, 2 for a match with typos;
+ *   null when it does not match
+ */
+const matchQuery = (query, text) => {
+  const folded = foldText(text);
+  if (folded.startsWith(query)) return { rank: 0, distance: 0 };
+
+  let best = Infinity;
+  for (let start = 0; start < folded.length && best > 0; start++) {
+    if (start > 0 && /[\p{L}\p{N}]/u.test(folded[start - 1])) continue;
+
+    for (const length of [query.length, query.length - 1, query.length + 1]) {
+      if (length <= 0) continue;
+      best = Math.min(
+        best,
+        editDistance(query, folded.slice(start, start + length))
+      );
+    }
+  }
+
+  if (best === 0) return { rank: 1, distance: 0 };
+  if (best <= allowedTypos(query.length)) return { rank: 2, distance: best };
+  return null;
+};
+
+/**
+ * Regex source matching a word starting with the query
+ * @param {string} query - Folded query
+ * @returns {string} Pattern
+ */
+const prefixPattern = (query) =>
+  `(?:^|\\s)${query.split(" ").map(escapeRegex).join("\\s+")}`;
+
+/**
+ * Regex source matching words that could be the query with a typo: the
+ * first letter must match, followed by the second letter or, when that is
+ * the one mistyped or missing, the third
+ * @param {string} query - Folded query (at least MIN_FUZZY_LENGTH long)
+ * @returns {string} Pattern
+ */
+const fuzzyPattern = (query) => {
+  const [first, second, third] = [...query].map(escapeRegex);
+  return `(?:^|\\s)${first}(?:${second}|.?${third})`;
+};
+
+/**
+ * Run a suggestion query, giving up when it exceeds the time limit
+ * @param {Promise} query - Query promise (run with maxTimeMS)
+ * @returns {Promise<Array>} Results, or [] when the time ran out
+ */
+const withinTimeLimit = async (query) => {
+  try {
+    return await query;
+  } catch (error) {
+    if (error.code === 50) return []; // MaxTimeMSExpired
+    throw error;
+  }
+};
+
+/**
+ * Find documents whose field completes the query, best matches first
+ * @param {Object} params
+ * @param {string} params.collectionName - Collection to search
+ * @param {Object} params.filter - Base filter
+ * @param {string} params.field - Field matched against the query
+ * @param {Object} params.projection - Fields returned
+ * @param {string} params.query - Folded query
+ * @param {number} params.limit - Most results
+ * @returns {Promise<Array>} Documents with `match` ("prefix" or "typo")
+ */
+const findCompletions = async ({
+  collectionName,
+  filter,
+  field,
+  projection,
+  query,
+  limit,
+}) => {
+  const collection = getCollection(collectionName);
+  const search = (pattern, count, extra = {}) =>
+    withinTimeLimit(
+      collection
+        .find(
+          { ...filter, ...extra, [field]: { $regex: pattern, $options: "i" } },
+          { projection: { ...projection, [field]: 1 } }
+        )
+        .limit(count)
+        .maxTimeMS(SUGGEST_TIME_LIMIT_MS)
+        .toArray()
+    );
+
+  // A few extra prefix matches so those starting with the query can win.
+  // The database matched case-insensitively; accents may still differ, so
+  // a prefix match that doesn't fold to one still counts as a word match
+  const prefixMatches = (await search(prefixPattern(query), limit * 2)).map(
+    (document) => ({
+      document,
+      score: matchQuery(query, document[field]) || { rank: 1, distance: 0 },
+    })
+  );
+
+  let typoMatches = [];
+  if (prefixMatches.length < limit && allowedTypos(query.length) > 0) {
+    const candidates = await search(fuzzyPattern(query), FUZZY_CANDIDATES, {
+      _id: { $nin: prefixMatches.map(({ document }) => document._id) },
+    });
+    typoMatches = candidates
+      .map((document) => ({
+        document,
+        score: matchQuery(query, document[field]),
+      }))
+      .filter(({ score }) => score);
+  }
+
+  return prefixMatches
+    .concat(typoMatches)
+    .sort(
+      (a, b) =>
+        a.score.rank - b.score.rank ||
+        a.score.distance - b.score.distance ||
+        String(a.document[field]).length - String(b.document[field]).length
+    )
+    .slice(0, limit)
+    .map(({ document, score }) => ({
+      ...document,
+      match: score.rank < 2 ? "prefix" : "typo",
+    }));
+};
+
+/**
+ * Categories that have published books, directly or in a subcategory
+ * @param {Array} categories - Candidate categories
+ * @param {Date} now - Reference time for the publishing schedule
+ * @returns {Promise<Array>} Categories with published books
+ */
+const withPublishedBooks = async (categories, now) => {
+  if (categories.length === 0) return [];
+
+  const ids = categories.map((category) => category._id);
+  const descendants = await withinTimeLimit(
+    getCollection(COLLECTIONS.CATEGORIES)
+      .find({ ancestors: { $in: ids } }, { projection: { ancestors: 1 } })
+      .maxTimeMS(SUGGEST_TIME_LIMIT_MS)
+      .toArray()
+  );
+
+  const categoryIds = await withinTimeLimit(
+    getCollection(COLLECTIONS.BOOKS).distinct(
+      "categoryId",
+      {
+        ...publicBookFilter(now),
+        categoryId: {
+          $in: [...ids, ...descendants.map((category) => category._id)],
+        },
+      },
+      { maxTimeMS: SUGGEST_TIME_LIMIT_MS }
+    )
+  );
+  const used = new Set(categoryIds.map(String));
+
+  return categories.filter(
+    (category) =>
+      used.has(category._id.toString()) ||
+      descendants.some(
+        (descendant) =>
+          used.has(descendant._id.toString()) &&
+          descendant.ancestors.some((id) => id.equals(category._id))
+      )
+  );
+};
+
+/**
+ * Title, author and category completions for a search box query
+ * Only published books are suggested, and only authors and categories that
+ * have published books
+ * @param {string} rawQuery - What the user typed
+ * @param {number} limit - Most suggestions per group
+ * @returns {Promise<Object>} { query, titles, authors, categories }
+ */
+const suggestCompletions = async (rawQuery, limit = DEFAULT_SUGGESTIONS) => {
+  const query = foldText(rawQuery);
+  const now = new Date();
+
+  const [titles, authors, categories] = await Promise.all([
+    findCompletions({
+      collectionName: COLLECTIONS.BOOKS,
+      filter: publicBookFilter(now),
+      field: "name",
+      projection: { author: 1, imageURL: 1 },
+      query,
+      limit,
+    }),
+    findCompletions({
+      collectionName: COLLECTIONS.AUTHORS,
+      filter: {},
+      field: "name",
+      projection: { slug: 1 },
+      query,
+      limit: limit * 2,
+    }).then(async (candidates) => {
+      if (candidates.length === 0) return [];
+      const published = await withinTimeLimit(
+        getCollection(COLLECTIONS.BOOKS).distinct(
+          "authors",
+          {
+            ...publicBookFilter(now),
+            authors: { $in: candidates.map((author) => author._id) },
+          },
+          { maxTimeMS: SUGGEST_TIME_LIMIT_MS }
+        )
+      );
+      const ids = new Set(published.map(String));
+      return candidates.filter((author) => ids.has(author._id.toString()));
+    }),
+    findCompletions({
+      collectionName: COLLECTIONS.CATEGORIES,
+      filter: {},
+      field: "name",
+      projection: { slug: 1 },
+      query,
+      limit: limit * 2,
+    }).then((candidates) => withPublishedBooks(candidates, now)),
+  ]);
+
+  return {
+    query: rawQuery,
+    titles,
+    authors: authors.slice(0, limit),
+    categories: categories.slice(0, limit),
+  };
+};
+
+module.exports = {
+  DEFAULT_SUGGESTIONS,
+  MAX_SUGGESTIONS,
+  MAX_QUERY_LENGTH,
+  matchQuery,
+  suggestCompletions,
+};
@@ -0,0 +1,374 @@
+const { ObjectId } = require("mongodb");
+const { getCollection } = require("./dbHelpers");
+const COLLECTIONS = require("../config/collections");
+const { recordRevisions } = require("./bookRevisions");
+const { librarianOrderFilter } = require("./orders");
+
+/**
+ * Moving books between librarians
+ *
+ * A transfer re-assigns books to another librarian together with what is
+ * still in progress for them: open (pending or shipped) orders and sales
+ * that have not ended. Delivered and cancelled orders stay with the
+ * librarian who handled them. In cart orders only the lines of the moved
+ * books change hands. Transferring all of a librarian's books also hands
+ * over their open orders for books that no longer exist (purged books).
+ */
+
+/**
+ * Roles that can own books
+ */
+const OWNER_ROLES = ["librarian", "admin"];
+
+/**
+ * Most records listed per kind in a transfer preview (counts are exact)
+ */
+const PREVIEW_LIMIT = 200;
+
+/**
+ * Conditions matching a librarian's orders, or cart order lines, for books
+ * @param {ObjectId} librarianId - Current owner
+ * @param {ObjectId[]|null} ids - Books (null: any of the librarian's books)
+ * @param {string} prefix - Path to the line ("" or an array filter name)
+ * @returns {Object} Conditions
+ */
+const orderLineFilter = (librarianId, ids, prefix = "") => ({
+  [`${prefix}librarian`]: librarianId,
+  ...(ids ? { [`${prefix}book`]: { $in: ids } } : {}),
+});
+
+/**
+ * Open orders with some of a librarian's books
+ * @param {ObjectId} librarianId - Current owner
+ * @param {ObjectId[]|null} ids - Books (null: any of the librarian's books)
+ * @returns {Object} MongoDB filter
+ */
+const openOrdersFilter = (librarianId, ids) => ({
+  $or: [
+    { ...orderLineFilter(librarianId, ids), items: { $exists: false } },
+    { items: { $elemMatch: orderLineFilter(librarianId, ids) } },
+  ],
+  orderStatus: { $in: ["pending", "shipped"] },
+});
+
+/**
+ * Every ISBN-13 used by a book, including its variants'
+ * @param {Object} book - Book document
+ * @returns {string[]} ISBN-13s
+ */
+const bookIsbns = (book) =>
+  [
+    book.isbn13,
+    ...(book.variants || []).map((variant) => variant.isbn13),
+  ].filter(Boolean);
+
+/**
+ * Work out what a transfer would move
+ * @param {string} fromId - Current owner
+ * @param {string} toId - New owner
+ * @param {string[]} [bookIds] - Books to move (default: all the owner's books,
+ *   archived ones included)
+ * @returns {Promise<Object>} { from, to, books, orders, sales, conflicts,
+ *   allBooks }, or { error, status } when the transfer is not possible
+ */
+const planTransfer = async (fromId, toId, bookIds = null) => {
+  if (!ObjectId.isValid(fromId) || !ObjectId.isValid(toId)) {
+    return { error: "Invalid librarian ID format", status: 400 };
+  }
+  if (String(fromId) === String(toId)) {
+    return {
+      error: "Books cannot be transferred to the same librarian",
+      status: 400,
+    };
+  }
+  if (
+    bookIds !== null &&
+    (!Array.isArray(bookIds) ||
+      bookIds.length === 0 ||
+      !bookIds.every((bookId) => ObjectId.isValid(bookId)))
+  ) {
+    return {
+      error: "bookIds must be a non-empty array of book IDs",
+      status: 400,
+    };
+  }
+
+  const usersCollection = getCollection(COLLECTIONS.USERS);
+  const userProjection = { name: 1, email: 1, role: 1 };
+  const [from, to] = await Promise.all([
+    usersCollection.findOne(
+      { _id: new ObjectId(fromId) },
+      { projection: userProjection }
+    ),
+    usersCollection.findOne(
+      { _id: new ObjectId(toId) },
+      { projection: userProjection }
+    ),
+  ]);
+
+  if (!from) {
+    return { error: "Librarian not found", status: 404 };
+  }
+  if (!to) {
+    return { error: "Target librarian not found", status: 404 };
+  }
+  if (!OWNER_ROLES.includes(to.role)) {
+    return {
+      error: "Books can only be transferred to a librarian or admin",
+      status: 400,
+    };
+  }
+
+  const booksCollection = getCollection(COLLECTIONS.BOOKS);
+  const bookQuery = { librarian: from._id };
+  if (bookIds !== null) {
+    bookQuery._id = {
+      $in: [...new Set(bookIds.map(String))].map((id) => new ObjectId(id)),
+    };
+  }
+
+  const books = await booksCollection
+    .find(bookQuery, {
+      projection: {
+        name: 1,
+        status: 1,
+        quantity: 1,
+        isbn13: 1,
+        "variants.isbn13": 1,
+        archivedAt: 1,
+      },
+    })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  if (bookIds !== null && books.length !== bookQuery._id.$in.length) {
+    return {
+      error: "One or more books not found or not owned by this librarian",
+      status: 404,
+    };
+  }
+
+  const ids = books.map((book) => book._id);
+  const allBooks = bookIds === null;
+  const isbns = books.flatMap(bookIsbns);
+  const now = new Date();
+
+  const [orders, sales, clashes] = await Promise.all([
+    getCollection(COLLECTIONS.ORDERS)
+      .find(openOrdersFilter(from._id, allBooks ? null : ids), {
+        projection: {
+          book: 1,
+          "items.book": 1,
+          userName: 1,
+          orderStatus: 1,
+          orderDate: 1,
+        },
+      })
+      .sort({ orderDate: 1 })
+      .toArray(),
+    getCollection(COLLECTIONS.SALE_PRICES).countDocuments({
+      book: { $in: ids },
+      endsAt: { $gt: now },
+    }),
+    // ISBNs are unique per librarian, archived books included
+    isbns.length > 0
+      ? booksCollection
+          .find(
+            {
+              librarian: to._id,
+              $or: [
+                { isbn13: { $in: isbns } },
+                { "variants.isbn13": { $in: isbns } },
+              ],
+            },
+            { projection: { name: 1, isbn13: 1, "variants.isbn13": 1 } }
+          )
+          .toArray()
+      : [],
+  ]);
+
+  const conflicts = books.flatMap((book) =>
+    bookIsbns(book).flatMap((isbn13) =>
+      clashes
+        .filter((clash) => bookIsbns(clash).includes(isbn13))
+        .map((clash) => ({
+          book: { _id: book._id, name: book.name },
+          isbn13,
+          existingBook: { _id: clash._id, name: clash.name },
+        }))
+    )
+  );
+
+  return { from, to, books, orders, sales, conflicts, allBooks };
+};
+
+/**
+ * Summarise a transfer plan for a preview or a blocked request
+ * @param {Object} plan - Result of planTransfer
+ * @returns {Object} Owners, counts and the (capped) affected records
+ */
+const describeTransfer = (plan) => {
+  const moved = new Map(
+    plan.books.map((book) => [book._id.toString(), book.name])
+  );
+
+  return {
+    from: plan.from,
+    to: plan.to,
+    books: {
+      count: plan.books.length,
+      active: plan.books.filter((book) => !book.archivedAt).length,
+      archived: plan.books.filter((book) => book.archivedAt).length,
+      items: plan.books.slice(0, PREVIEW_LIMIT).map((book) => ({
+        _id: book._id,
+        name: book.name,
+        status: book.status,
+        quantity: book.quantity,
+        archived: Boolean(book.archivedAt),
+      })),
+    },
+    openOrders: {
+      count: plan.orders.length,
+      items: plan.orders.slice(0, PREVIEW_LIMIT).map((order) => {
+        const bookIds = order.items
+          ? order.items.map((line) => line.book)
+          : [order.book];
+        return {
+          _id: order._id,
+          books: bookIds
+            .filter((bookId) => moved.has(bookId.toString()))
+            .map((bookId) => ({
+              _id: bookId,
+              name: moved.get(bookId.toString()),
+            })),
+          userName: order.userName,
+          orderStatus: order.orderStatus,
+          orderDate: order.orderDate,
+        };
+      }),
+    },
+    sales: plan.sales,
+    conflicts: plan.conflicts,
+  };
+};
+
+/**
+ * Carry out a planned transfer
+ * Books are moved first so new orders already go to the new owner; their
+ * open orders and running or upcoming sales follow, and each book gets a
+ * "transfer" revision
+ * @param {Object} plan - Result of planTransfer (without conflicts)
+ * @param {Object} user - Acting admin (req.user)
+ * @returns {Promise<Object>} { books, orders, sales } - records moved
+ */
+const applyTransfer = async (plan, user) => {
+  const ids = plan.books.map((book) => book._id);
+  if (ids.length === 0 && plan.orders.length === 0) {
+    return { books: 0, orders: 0, sales: 0 };
+  }
+
+  // A full handover moves every open order, including those for purged books
+  const orderBooks = plan.allBooks ? null : ids;
+  const now = new Date();
+
+  const books = await getCollection(COLLECTIONS.BOOKS).updateMany(
+    { _id: { $in: ids }, librarian: plan.from._id },
+    { $set: { librarian: plan.to._id, updatedAt: now } }
+  );
+
+  const ordersCollection = getCollection(COLLECTIONS.ORDERS);
+  const [orders, sales] = await Promise.all([
+    ordersCollection.updateMany(
+      {
+        ...orderLineFilter(plan.from._id, orderBooks),
+        items: { $exists: false },
+        orderStatus: { $in: ["pending", "shipped"] },
+      },
+      { $set: { librarian: plan.to._id, transferredAt: now } }
+    ),
+    getCollection(COLLECTIONS.SALE_PRICES).updateMany(
+      { book: { $in: ids }, endsAt: { $gt: now } },
+      { $set: { librarian: plan.to._id, updatedAt: now } }
+    ),
+  ]);
+
+  // Cart orders: move the lines, then rebuild the list of librarians (and
+  // the single librarian, when only one is left)
+  const cartOrders = await ordersCollection.updateMany(
+    {
+      items: { $elemMatch: orderLineFilter(plan.from._id, orderBooks) },
+      orderStatus: { $in: ["pending", "shipped"] },
+    },
+    {
+      $set: {
+        "items.$[line].librarian": plan.to._id,
+        transferredAt: now,
+      },
+    },
+    {
+      arrayFilters: [orderLineFilter(plan.from._id, orderBooks, "line.")],
+    }
+  );
+  if (cartOrders.modifiedCount > 0) {
+    await ordersCollection.updateMany(
+      { items: { $exists: true }, transferredAt: now },
+      [
+        { $set: { librarians: { $setUnion: ["$items.librarian", []] } } },
+        {
+          $set: {
+            librarian: {
+              $cond: [
+                { $eq: [{ $size: "$librarians" }, 1] },
+                { $first: "$librarians" },
+                null,
+              ],
+            },
+          },
+        },
+      ]
+    );
+  }
+
+  await recordRevisions(
+    ids.map((bookId) => ({
+      bookId,
+      action: "transfer",
+      changes: [{ field: "librarian", from: plan.from._id, to: plan.to._id }],
+      user,
+    }))
+  );
+
+  return {
+    books: books.modifiedCount,
+    orders: orders.modifiedCount + cartOrders.modifiedCount,
+    sales: sales.modifiedCount,
+  };
+};
+
+/**
+ * Count what a user still has to hand over before losing the librarian role
+ * @param {ObjectId} userId - Librarian
+ * @returns {Promise<Object>} { books, openOrders } - active (non-archived)
+ *   books and open orders
+ */
+const countActiveInventory = async (userId) => {
+  const [books, openOrders] = await Promise.all([
+    getCollection(COLLECTIONS.BOOKS).countDocuments({
+      librarian: userId,
+      archivedAt: null,
+    }),
+    getCollection(COLLECTIONS.ORDERS).countDocuments({
+      ...librarianOrderFilter(userId),
+      orderStatus: { $in: ["pending", "shipped"] },
+    }),
+  ]);
+  return { books, openOrders };
+};
+
+module.exports = {
+  OWNER_ROLES,
+  planTransfer,
+  describeTransfer,
+  applyTransfer,
+  countActiveInventory,
+};
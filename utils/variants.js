@@ -0,0 +1,113 @@
+const { ObjectId } = require("mongodb");
+const { parseIsbn } = require("./isbn");
+
+/**
+ * Formats a book variant can be sold in
+ */
+const VARIANT_FORMATS = [
+  "hardcover",
+  "paperback",
+  "large_print",
+  "ebook",
+  "audiobook",
+];
+
+/**
+ * Validate variant input and build the variant subdocument
+ * @param {Object} input - Variant fields from the request body
+ * @param {Object|null} existing - Current variant when updating (partial input allowed)
+ * @returns {Object} { errors, variant } - errors is empty when the input is valid
+ */
+const parseVariant = (input = {}, existing = null) => {
+  const errors = [];
+  const variant = existing ? { ...existing } : { _id: new ObjectId() };
+
+  if (input.format !== undefined || !existing) {
+    if (!VARIANT_FORMATS.includes(input.format)) {
+      errors.push(
+        `Variant format must be one of: ${VARIANT_FORMATS.join(", ")}`
+      );
+    } else {
+      variant.format = input.format;
+    }
+  }
+
+  if (input.edition !== undefined) {
+    variant.edition = input.edition ? String(input.edition).trim() : "";
+  } else if (!existing) {
+    variant.edition = "";
+  }
+
+  if (input.price !== undefined || !existing) {
+    const price = parseFloat(input.price);
+    if (isNaN(price) || price <= 0) {
+      errors.push("Variant price must be a valid positive number");
+    } else {
+      variant.price = price;
+    }
+  }
+
+  if (input.quantity !== undefined) {
+    const quantity = Number(input.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      errors.push("Variant quantity must be a non-negative whole number");
+    } else {
+      variant.quantity = quantity;
+    }
+  } else if (!existing) {
+    variant.quantity = 0;
+  }
+
+  if (input.isbn !== undefined) {
+    // An empty value clears the ISBN
+    if (!input.isbn) {
+      variant.isbn10 = null;
+      variant.isbn13 = null;
+    } else {
+      const isbn = parseIsbn(input.isbn);
+      if (!isbn) {
+        errors.push("Variant ISBN must be a valid ISBN-10 or ISBN-13");
+      } else {
+        variant.isbn10 = isbn.isbn10;
+        variant.isbn13 = isbn.isbn13;
+      }
+    }
+  } else if (!existing) {
+    variant.isbn10 = null;
+    variant.isbn13 = null;
+  }
+
+  return { errors, variant };
+};
+
+/**
+ * Human-readable label for a variant, e.g. "Large print, 2nd edition"
+ * @param {Object} variant - Variant subdocument
+ * @returns {string} Label
+ */
+const variantLabel = (variant) => {
+  const format = variant.format.replace(/_/g, " ");
+  return [
+    `${format.charAt(0).toUpperCase()}${format.slice(1)}`,
+    variant.edition,
+  ]
+    .filter(Boolean)
+    .join(", ");
+};
+
+/**
+ * Check whether two variants describe the same format and edition
+ * @param {Object} a - Variant
+ * @param {Object} b - Variant
+ * @returns {boolean} True if format and edition match (edition case-insensitive)
+ */
+const isSameVariant = (a, b) =>
+  a.format === b.format &&
+  (a.edition || "").toLowerCase() === (b.edition || "").toLowerCase();
+
+module.exports = {
+  VARIANT_FORMATS,
+  parseVariant,
+  variantLabel,
+  isSameVariant,
+};